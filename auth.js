@@ -0,0 +1,442 @@
+/**
+ * User Authentication
+ *
+ * Local user accounts for the chatbot API:
+ * - Passwords hashed with scrypt
+ * - API keys (shown once, stored as SHA-256 hashes)
+ * - Signed auth tokens (HMAC-SHA256 with AUTH_SECRET), sent as an HttpOnly
+ *   cookie or as "Authorization: Bearer <token>"
+ *
+ * The middleware from requireAuth() resolves req.user before any protected
+ * route runs; the client-supplied session_id is never trusted.
+ */
+
+const crypto = require('crypto');
+
+const AUTH_COOKIE = 'xcb_auth';
+const API_KEY_PREFIX = 'xcb_';
+const DEFAULT_TOKEN_TTL_HOURS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+let authSecret = null;
+
+/**
+ * Secret used to sign auth tokens (AUTH_SECRET, or a temporary one)
+ */
+function getAuthSecret() {
+  if (authSecret) return authSecret;
+
+  authSecret = process.env.AUTH_SECRET;
+  if (!authSecret) {
+    console.warn('⚠️  AUTH_SECRET is not set - using a temporary secret.');
+    console.warn('⚠️  Everyone will be logged out when the server restarts.');
+    authSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return authSecret;
+}
+
+// ==========================================
+// PASSWORDS AND API KEYS
+// ==========================================
+
+/**
+ * Hash a password with scrypt
+ *
+ * @returns {string} - scrypt$<salt>$<hash>
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+/**
+ * Check a password against a hash from hashPassword()
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64url'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Generate a new API key (only ever shown to the user once)
+ */
+function generateApiKey() {
+  return API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash an API key for storage and lookup
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// ==========================================
+// SIGNED AUTH TOKENS
+// ==========================================
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getAuthSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Create a signed auth token for a user
+ *
+ * @param {string} userId - User ID
+ * @returns {Object} - { token, expiresAt }
+ */
+function signAuthToken(userId) {
+  const ttlHours = Number(process.env.AUTH_TOKEN_TTL_HOURS || DEFAULT_TOKEN_TTL_HOURS);
+  const expiresAt = Date.now() + ttlHours * 60 * 60 * 1000;
+  const payload = Buffer.from(JSON.stringify({ sub: userId, exp: expiresAt })).toString('base64url');
+
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Verify a signed auth token
+ *
+ * @returns {string|null} - User ID, or null if the token is invalid or expired
+ */
+function verifyAuthToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!sub || !exp || Date.now() > exp) return null;
+    return sub;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ==========================================
+// USER REGISTRY
+// ==========================================
+
+/**
+ * Create a user registry on top of a keyed store (see sessionStore.js)
+ *
+ * The store must persist: the first account to register becomes admin, so
+ * losing the registry on restart would let anyone take over.
+ *
+ * @param {Object} store - Persistent store keyed by user ID
+ * @returns {Object} - User registry
+ * @throws {Error} - If the store only lives in memory
+ */
+function createUserRegistry(store) {
+  if (store.type === 'memory') {
+    throw new Error('The user registry needs a persistent store (type "file")');
+  }
+
+  function all() {
+    return store.entries().map(([, user]) => user);
+  }
+
+  function findById(userId) {
+    return store.get(userId) || null;
+  }
+
+  function findByUsername(username) {
+    const normalised = String(username || '').trim().toLowerCase();
+    return all().find(user => user.username === normalised) || null;
+  }
+
+  function findByApiKey(apiKey) {
+    const hash = hashApiKey(apiKey);
+    return all().find(user => (user.apiKeys || []).some(key => key.hash === hash)) || null;
+  }
+
+  function count() {
+    return all().length;
+  }
+
+  /**
+   * List users without password hashes or API key hashes
+   */
+  function list() {
+    return all()
+      .map(({ passwordHash, apiKeys, ...profile }) => profile)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Create a user
+   *
+   * @returns {Object} - { success, user } or { success: false, error }
+   */
+  function createUser({ username, password, ...attributes }) {
+    const normalised = String(username || '').trim().toLowerCase();
+
+    if (!normalised || !password) {
+      return { success: false, error: 'Username and password are required' };
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return { success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    if (findByUsername(normalised)) {
+      return { success: false, error: 'Username is already taken' };
+    }
+
+    const now = Date.now();
+    const user = {
+      ...attributes,
+      id: crypto.randomUUID(),
+      username: normalised,
+      passwordHash: hashPassword(password),
+      apiKeys: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    store.set(user.id, user);
+    return { success: true, user };
+  }
+
+  /**
+   * Check a username and password
+   *
+   * @returns {Object|null} - User, or null if the credentials are wrong
+   */
+  function authenticate(username, password) {
+    const user = findByUsername(username);
+    if (!user || !password || !verifyPassword(password, user.passwordHash)) {
+      return null;
+    }
+    return user;
+  }
+
+  /**
+   * Change a user's role
+   *
+   * @returns {Object|null} - Updated user, or null if the user does not exist
+   */
+  function setRole(userId, role) {
+    const user = findById(userId);
+    if (!user) return null;
+
+    const updated = { ...user, role, updatedAt: Date.now() };
+    store.set(userId, updated);
+    return updated;
+  }
+
+  /**
+   * Issue a new API key for a user
+   *
+   * @returns {Object} - { id, apiKey } - the plain key is not stored
+   */
+  function addApiKey(userId, label) {
+    const user = findById(userId);
+    if (!user) return null;
+
+    const apiKey = generateApiKey();
+    const key = {
+      id: crypto.randomBytes(8).toString('hex'),
+      label: label || 'API key',
+      hash: hashApiKey(apiKey),
+      createdAt: Date.now()
+    };
+
+    store.set(userId, {
+      ...user,
+      apiKeys: [...(user.apiKeys || []), key],
+      updatedAt: Date.now()
+    });
+
+    return { id: key.id, label: key.label, apiKey };
+  }
+
+  /**
+   * Revoke one of a user's API keys
+   */
+  function removeApiKey(userId, keyId) {
+    const user = findById(userId);
+    if (!user) return false;
+
+    const apiKeys = (user.apiKeys || []).filter(key => key.id !== keyId);
+    if (apiKeys.length === (user.apiKeys || []).length) return false;
+
+    store.set(userId, { ...user, apiKeys, updatedAt: Date.now() });
+    return true;
+  }
+
+  return {
+    findById,
+    findByUsername,
+    findByApiKey,
+    count,
+    list,
+    createUser,
+    authenticate,
+    setRole,
+    addApiKey,
+    removeApiKey
+  };
+}
+
+// ==========================================
+// EXPRESS HELPERS
+// ==========================================
+
+/**
+ * Read a cookie from an Express request (no cookie-parser needed)
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0 && part.substring(0, index).trim() === name) {
+      return decodeURIComponent(part.substring(index + 1).trim());
+    }
+  }
+  return null;
+}
+
+/**
+ * Cookie options for the auth cookie
+ *
+ * SameSite=Lax by default. A frontend on another site than the API needs
+ * AUTH_COOKIE_SAMESITE=none; rejectCrossSiteRequests() then keeps other
+ * sites from using the cookie to change anything.
+ */
+function authCookieOptions(expiresAt) {
+  const options = {
+    httpOnly: true,
+    secure: true,
+    sameSite: (process.env.AUTH_COOKIE_SAMESITE || 'lax').toLowerCase(),
+    path: '/'
+  };
+  if (expiresAt) {
+    options.maxAge = expiresAt - Date.now();
+  }
+  return options;
+}
+
+/**
+ * Log a user in: set the auth cookie and return the token for bearer use
+ */
+function issueAuthCookie(res, userId) {
+  const { token, expiresAt } = signAuthToken(userId);
+  res.cookie(AUTH_COOKIE, token, authCookieOptions(expiresAt));
+  return { token, expiresAt };
+}
+
+/**
+ * Log a user out: remove the auth cookie
+ */
+function clearAuthCookie(res) {
+  res.clearCookie(AUTH_COOKIE, authCookieOptions());
+}
+
+/**
+ * Express middleware refusing cross-site requests that ride on the auth cookie
+ *
+ * Browsers attach the cookie whichever site sends the request, so a
+ * state-changing request carrying it must come from the API's own origin
+ * or an allowed one, and must be JSON (which a plain HTML form cannot
+ * send). Bearer tokens and API keys are never attached by the browser
+ * and are not checked.
+ *
+ * @param {Array} allowedOrigins - e.g. ['https://xerochatbot.netlify.app']
+ */
+function rejectCrossSiteRequests(allowedOrigins) {
+  return (req, res, next) => {
+    if (!UNSAFE_METHODS.includes(req.method) || !readCookie(req, AUTH_COOKIE)) return next();
+    if (req.headers.authorization || req.headers['x-api-key']) return next();
+
+    const origin = req.headers.origin;
+    if (origin && !allowedOrigins.includes(origin) && !isSameHost(origin, req.headers.host)) {
+      console.warn(`🚫 Refused cross-site ${req.method} ${req.originalUrl} from ${origin}`);
+      return res.status(403).json({
+        success: false,
+        type: 'cross_site_request',
+        error: `Requests from ${origin} are not allowed.`
+      });
+    }
+
+    if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+      return res.status(415).json({
+        success: false,
+        type: 'unsupported_media_type',
+        error: 'Send requests as application/json.'
+      });
+    }
+
+    next();
+  };
+}
+
+function isSameHost(origin, host) {
+  try {
+    return new URL(origin).host === host;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolve the user behind a request
+ *
+ * Accepts, in order: "Authorization: Bearer <token or API key>",
+ * "X-API-Key: <API key>", then the auth cookie.
+ */
+function resolveUser(req, registry) {
+  const authorization = req.headers.authorization || '';
+  const bearer = authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : null;
+  const apiKey = req.headers['x-api-key'] || (bearer && bearer.startsWith(API_KEY_PREFIX) ? bearer : null);
+
+  if (apiKey) {
+    return registry.findByApiKey(apiKey);
+  }
+
+  const userId = verifyAuthToken(bearer || readCookie(req, AUTH_COOKIE));
+  return userId ? registry.findById(userId) : null;
+}
+
+/**
+ * Express middleware that rejects unauthenticated requests
+ *
+ * Sets req.user to { id, username } (plus any stored attributes except secrets).
+ */
+function requireAuth(registry) {
+  return (req, res, next) => {
+    const user = resolveUser(req, registry);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        type: 'auth_required',
+        error: 'Authentication required. Please log in.'
+      });
+    }
+
+    const { passwordHash, apiKeys, ...profile } = user;
+    req.user = profile;
+    next();
+  };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signAuthToken,
+  verifyAuthToken,
+  createUserRegistry,
+  issueAuthCookie,
+  clearAuthCookie,
+  rejectCrossSiteRequests,
+  requireAuth
+};
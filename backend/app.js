@@ -1,7 +1,7 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
+const core = require('../core');
 
 const app = express();
 // Use PORT from environment (Render provides this) or default to 4000 for local
@@ -19,30 +19,26 @@ const sessionData = {
   accessToken: null,
   refreshToken: null,
   expiresAt: null,
-  tenantId: null
+  tenantId: null,
+  xeroUser: null
 };
 
+// The authorisation request in progress (this server has a single session)
+let pendingAuthorisation = null;
+
 // ==========================================
 // HELPER FUNCTIONS
 // ==========================================
 
-/**
- * Generate random state for CSRF protection
- */
-function generateState() {
-  return Math.random().toString(36).substring(2, 15) +
-         Math.random().toString(36).substring(2, 15);
-}
-
 /**
  * Log OAuth parameters for debugging
  */
 function logOAuthConfig() {
   console.log('\n=== XERO OAUTH CONFIGURATION ===');
   console.log('Client ID:', process.env.XERO_CLIENT_ID ? '✅ SET' : '❌ MISSING');
-  console.log('Client Secret:', process.env.XERO_CLIENT_SECRET ? '✅ SET' : '❌ MISSING');
+  console.log('Client Secret:', process.env.XERO_CLIENT_SECRET ? '✅ SET' : '➖ NOT SET (PKCE only)');
   console.log('Redirect URI:', process.env.XERO_REDIRECT_URI);
-  console.log('Scopes:', process.env.XERO_SCOPE);
+  console.log('Scopes:', process.env.XERO_SCOPE || `${core.oauth.DEFAULT_SCOPE} (default)`);
   console.log('=================================\n');
 }
 
@@ -65,39 +61,14 @@ app.get('/health', (req, res) => {
 app.get('/xero/auth', (req, res) => {
   console.log('\n🔑 Starting Xero OAuth flow...');
 
-  const clientId = process.env.XERO_CLIENT_ID;
-  const redirectUri = process.env.XERO_REDIRECT_URI;
-  const scope = process.env.XERO_SCOPE;
-
-  // Validate environment variables
-  if (!clientId || !redirectUri || !scope) {
-    console.error('❌ Missing environment variables');
-    return res.status(500).json({
-      error: 'Server configuration error',
-      details: 'XERO_CLIENT_ID, XERO_REDIRECT_URI, or XERO_SCOPE is missing'
-    });
-  }
-
-  // Generate state for CSRF protection
-  const state = generateState();
-
-  // Build authorization URL
-  const authUrl = new URL('https://login.xero.com/identity/connect/authorize');
-  authUrl.searchParams.append('response_type', 'code');
-  authUrl.searchParams.append('client_id', clientId);
-  authUrl.searchParams.append('redirect_uri', redirectUri);
-  authUrl.searchParams.append('scope', scope);
-  authUrl.searchParams.append('state', state);
-
-  console.log('📋 Authorization URL generated:');
-  console.log('   Redirect URI:', redirectUri);
-  console.log('   State:', state);
-  console.log('   Full URL:', authUrl.toString());
+  // PKCE authorization URL; the verifier stays on the server until the callback
+  const { url, state, codeVerifier } = core.oauth.getAuthorizationUrl();
+  pendingAuthorisation = { state, codeVerifier };
 
   // Return authorization URL to frontend (frontend will handle redirect)
   res.json({
     success: true,
-    authorization_url: authUrl.toString()
+    authorization_url: url
   });
 });
 
@@ -121,94 +92,39 @@ app.get('/xero/callback', async (req, res) => {
     });
   }
 
+  // Only accept the state handed out by the last /xero/auth call, once
+  const pending = pendingAuthorisation;
+  pendingAuthorisation = null;
+  if (!pending || pending.state !== state) {
+    console.error('❌ Unknown or reused OAuth state');
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid OAuth state',
+      details: 'Start the connection again from /xero/auth'
+    });
+  }
+
   try {
     // Exchange authorization code for tokens
     console.log('\n🔄 Exchanging authorization code for tokens...');
 
-    const clientId = process.env.XERO_CLIENT_ID;
-    const clientSecret = process.env.XERO_CLIENT_SECRET;
-    const redirectUri = process.env.XERO_REDIRECT_URI;
-
-    console.log('📋 Token exchange parameters:');
-    console.log('   Token URL: https://identity.xero.com/oauth/token');
-    console.log('   Redirect URI:', redirectUri);
-    console.log('   Client ID:', clientId);
-
-    const tokenResponse = await axios.post(
-      'https://identity.xero.com/oauth/token',
-      new URLSearchParams({
-        grant_type: 'authorization_code',
-        code: code,
-        redirect_uri: redirectUri,
-        client_id: clientId,
-        client_secret: clientSecret
-      }),
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      }
-    );
-
-    console.log('✅ Token exchange successful!');
-    console.log('📋 Response status:', tokenResponse.status);
-
-    // Validate response structure
-    if (!tokenResponse.data) {
-      console.error('❌ Token response missing data field');
+    const tokenResult = await core.oauth.exchangeCodeForToken(code, pending.codeVerifier);
+    if (!tokenResult.success) {
       return res.status(500).json({
         success: false,
-        error: 'Invalid token response from Xero',
-        details: 'Response data is missing'
-      });
-    }
-
-    // Extract token data with validation
-    const { access_token, refresh_token, expires_in } = tokenResponse.data;
-
-    // Validate required fields
-    if (!access_token) {
-      console.error('❌ Access token missing from response');
-      console.error('📋 Full response:', JSON.stringify(tokenResponse.data, null, 2));
-      return res.status(500).json({
-        success: false,
-        error: 'Missing authorization code from Xero',
-        details: 'Xero did not return an access_token. Check your redirect URI and credentials.'
-      });
-    }
-
-    if (!expires_in) {
-      console.error('❌ Expires_in missing from response');
-      return res.status(500).json({
-        success: false,
-        error: 'Invalid token response',
-        details: 'expires_in field is missing'
+        error: 'Token exchange failed',
+        details: tokenResult.error,
+        hint: 'Check your Xero Developer Portal redirect URI setting'
       });
     }
 
-    // Calculate expiration time (current time + expires_in seconds - 5 minutes buffer)
-    const expiresAt = Date.now() + (expires_in * 1000) - 300000;
-
-    console.log('📋 Token details:');
-    console.log('   Access Token:', access_token ? '✅ RECEIVED (length: ' + access_token.length + ')' : '❌ MISSING');
-    console.log('   Refresh Token:', refresh_token ? '✅ RECEIVED' : '❌ MISSING');
-    console.log('   Expires In:', expires_in, 'seconds');
-    console.log('   Expires At:', new Date(expiresAt).toISOString());
+    const { accessToken, refreshToken, expiresAt } = tokenResult.tokens;
 
     // Get tenant ID
     console.log('\n🔄 Getting tenant ID from Xero...');
 
-    const connectionsResponse = await axios.get(
-      'https://api.xero.com/connections',
-      {
-        headers: {
-          'Authorization': `Bearer ${access_token}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (!connectionsResponse.data || connectionsResponse.data.length === 0) {
+    const tenantsResult = await core.oauth.getTenants(accessToken);
+    if (!tenantsResult.success || tenantsResult.tenants.length === 0) {
       console.error('❌ No tenants found');
       return res.status(500).json({
         error: 'No tenants found',
@@ -216,8 +132,7 @@ app.get('/xero/callback', async (req, res) => {
       });
     }
 
-    const tenantId = connectionsResponse.data[0].tenantId;
-    const tenantName = connectionsResponse.data[0].tenantName;
+    const { tenantId, tenantName } = core.oauth.selectDefaultTenant(tenantsResult.tenants);
 
     console.log('✅ Tenant retrieved:');
     console.log('   Tenant ID:', tenantId);
@@ -225,10 +140,11 @@ app.get('/xero/callback', async (req, res) => {
 
     // Store in memory
     sessionData.connected = true;
-    sessionData.accessToken = access_token;
-    sessionData.refreshToken = refresh_token;
+    sessionData.accessToken = accessToken;
+    sessionData.refreshToken = refreshToken;
     sessionData.expiresAt = expiresAt;
     sessionData.tenantId = tenantId;
+    sessionData.xeroUser = tokenResult.user;
 
     console.log('\n✅ Session stored successfully!');
     console.log('📊 Session data:', {
@@ -244,42 +160,12 @@ app.get('/xero/callback', async (req, res) => {
       tenant: {
         id: tenantId,
         name: tenantName
-      }
+      },
+      user: tokenResult.user
     });
 
   } catch (error) {
-    console.error('\n❌ ERROR during token exchange or tenant retrieval');
-    console.error('Error type:', error.name);
-    console.error('Error message:', error.message);
-
-    // Log Xero's error response
-    if (error.response) {
-      console.error('\n📋 Xero Error Response:');
-      console.error('   Status:', error.response.status);
-      console.error('   Status Text:', error.response.statusText);
-      console.error('   Headers:', JSON.stringify(error.response.headers, null, 2));
-      console.error('   Data:', JSON.stringify(error.response.data, null, 2));
-
-      // Check if it's HTML (redirect URI mismatch)
-      if (error.response.headers['content-type'] && error.response.headers['content-type'].includes('text/html')) {
-        console.error('\n⚠️  WARNING: Xero returned HTML instead of JSON');
-        console.error('⚠️  This usually means:');
-        console.error('   1. Redirect URI mismatch');
-        console.error('   2. Invalid client_id or client_secret');
-        console.error('   3. Authorization code already used');
-        console.error('\n📋 Redirect URI being used:', process.env.XERO_REDIRECT_URI);
-        console.error('📋 Make sure this EXACT URI is in your Xero Developer Portal!');
-      }
-
-      return res.status(error.response.status).json({
-        error: 'Xero API error',
-        status: error.response.status,
-        details: error.response.data,
-        hint: 'Check your Xero Developer Portal redirect URI setting'
-      });
-    }
-
-    // Network or other errors
+    console.error('\n❌ ERROR during token exchange or tenant retrieval:', error.message);
     res.status(500).json({
       error: 'Server error',
       message: error.message
@@ -292,11 +178,12 @@ app.get('/xero/callback', async (req, res) => {
  * Check Xero connection status
  */
 app.get('/xero/status', (req, res) => {
-  const isExpired = sessionData.expiresAt && Date.now() > sessionData.expiresAt;
+  const isExpired = Boolean(sessionData.expiresAt) && core.tokens.needsRefresh(sessionData.expiresAt);
 
   res.json({
     connected: sessionData.connected && !isExpired,
     tenantId: sessionData.tenantId,
+    xeroUser: sessionData.xeroUser,
     expiresAt: sessionData.expiresAt ? new Date(sessionData.expiresAt).toISOString() : null,
     isExpired: isExpired
   });
@@ -307,11 +194,10 @@ app.get('/xero/status', (req, res) => {
 // ==========================================
 
 // Validate environment variables at startup
+// XERO_CLIENT_SECRET is optional (PKCE) and XERO_SCOPE has a default
 const requiredEnvVars = [
   'XERO_CLIENT_ID',
-  'XERO_CLIENT_SECRET',
-  'XERO_REDIRECT_URI',
-  'XERO_SCOPE'
+  'XERO_REDIRECT_URI'
 ];
 
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
@@ -0,0 +1,370 @@
+/**
+ * Xero Action Dispatcher
+ *
+ * Runs the JSON actions emitted by the AI (get/create/update/delete of
+ * invoices, contacts, accounts, items and payments, plus quotes, credit notes,
+ * bank transactions and transfers, and manual journals) through xeroClientFull
+ * and shapes the chat response for each one.
+ *
+ * A response may carry a model_note: not shown to the user, but added to the
+ * conversation for the model (why Xero rejected an action, which draft
+ * journal awaits confirmation).
+ */
+
+const xeroFull = require('../xeroClientFull');
+const { explainForUser, explainForModel } = require('./xeroErrors');
+const { IDEMPOTENT_ACTION } = require('./idempotency');
+
+/**
+ * Chat lists are paged: page 1 unless the AI asks for another page, or for
+ * everything with "all": true (capped at XERO_MAX_RECORDS)
+ */
+function pagedFilters(filters = {}) {
+  const { all, ...rest } = filters;
+  return all || rest.page ? rest : { ...rest, page: 1 };
+}
+
+/**
+ * Add the organisation's base currency (manual journals are always in it)
+ * to a successful journal result, for the preview
+ */
+async function withBaseCurrency(result, session) {
+  if (!result.success) return result;
+  const org = await xeroFull.getOrganization(session.accessToken, session.tenantId);
+  return org.success ? { ...result, currency: org.organization.BaseCurrency } : result;
+}
+
+/**
+ * Preview of a draft journal (one "Dr/Cr account amount" line each), with
+ * a note telling the model which journal to post once the user confirms
+ */
+function journalPreview(journal, heading, currency) {
+  const code = journal.CurrencyCode || currency;
+  const lines = journal.JournalLines.map(line => {
+    const amount = Number(line.LineAmount);
+    const description = line.Description ? ` ${line.Description}` : '';
+    return `${amount >= 0 ? 'Dr' : 'Cr'} ${line.AccountCode}${description}: ${code ? `${code} ` : ''}${Math.abs(amount).toFixed(2)}`;
+  });
+
+  return {
+    type: 'manual_journal_draft',
+    message: `${heading}\n${journal.Narration}\n${lines.join('\n')}\n\nSay "post it" to post this journal, or tell me what to change.`,
+    manual_journal: journal,
+    model_note: `Draft manual journal ${journal.ManualJournalID} is waiting for the user's confirmation. ` +
+      `If they confirm, output {"action": "post_manual_journal", "manual_journal_id": "${journal.ManualJournalID}"}; ` +
+      'for changes, output update_manual_journal with that manual_journal_id.'
+  };
+}
+
+/**
+ * Response for a paged list, telling the user how to see more
+ */
+function listResponse(records, pagination, noun) {
+  let message = `Found ${records.length} ${noun}`;
+
+  if (pagination.pagesFetched === 1) {
+    message += ` (page ${pagination.page}${pagination.pageCount ? ` of ${pagination.pageCount}` : ''})`;
+    if (pagination.hasMore) message += ' - say "next page" to see more';
+  } else if (pagination.hasMore) {
+    message += ` - there are more${pagination.itemCount ? ` (${pagination.itemCount} in total)` : ''}, narrow the filters to see the rest`;
+  }
+
+  return { type: 'data_retrieved', message, data: records, pagination };
+}
+
+/**
+ * Action name -> { run(actionData, session, options), respond(result, actionData, aiContent) }
+ *
+ * Creates and updates receive { idempotencyKey } as options.
+ */
+const ACTIONS = {
+  // ================== GET OPERATIONS ==================
+  get_invoices: {
+    run: (data, s) => xeroFull.getInvoices(s.accessToken, s.tenantId, pagedFilters(data.filters)),
+    respond: (result) => listResponse(result.invoices, result.pagination, 'invoices')
+  },
+  get_contacts: {
+    run: (data, s) => xeroFull.getContacts(s.accessToken, s.tenantId, pagedFilters(data.filters)),
+    respond: (result) => listResponse(result.contacts, result.pagination, 'contacts')
+  },
+  get_accounts: {
+    run: (data, s) => xeroFull.getAccounts(s.accessToken, s.tenantId, data.filters || {}),
+    respond: (result) => ({ type: 'data_retrieved', message: `Found ${result.count} accounts`, data: result.accounts })
+  },
+  get_items: {
+    run: (data, s) => xeroFull.getItems(s.accessToken, s.tenantId, data.filters || {}),
+    respond: (result) => ({ type: 'data_retrieved', message: `Found ${result.count} items`, data: result.items })
+  },
+  get_payments: {
+    run: (data, s) => xeroFull.getPayments(s.accessToken, s.tenantId, pagedFilters(data.filters)),
+    respond: (result) => listResponse(result.payments, result.pagination, 'payments')
+  },
+
+  // ================== CREATE OPERATIONS ==================
+  create_invoice: {
+    run: (data, s, options) => xeroFull.createInvoice(data, s.accessToken, s.tenantId, options),
+    respond: (result, data, aiContent) => ({
+      type: 'invoice_created',
+      message: `${aiContent}\n\n✅ Invoice created successfully!`,
+      xero_invoice: result.invoice,
+      invoice_url: `https://go.xero.com/AccountsReceivable/View.aspx?InvoiceID=${result.invoice.InvoiceID}`
+    })
+  },
+  create_contact: {
+    run: (data, s, options) => xeroFull.createContact(data, s.accessToken, s.tenantId, options),
+    respond: (result, data) => ({ type: 'contact_created', message: `✅ Contact "${data.name}" created successfully!`, contact: result.contact })
+  },
+  create_account: {
+    run: (data, s, options) => xeroFull.createAccount(data, s.accessToken, s.tenantId, options),
+    respond: (result, data) => ({ type: 'account_created', message: `✅ Account "${data.name}" created successfully!`, account: result.account })
+  },
+  create_item: {
+    run: (data, s, options) => xeroFull.createItem(data, s.accessToken, s.tenantId, options),
+    respond: (result, data) => ({ type: 'item_created', message: `✅ Item "${data.name}" created successfully!`, item: result.item })
+  },
+  create_payment: {
+    run: (data, s, options) => xeroFull.createPayment(data, s.accessToken, s.tenantId, options),
+    respond: (result, data) => ({ type: 'payment_created', message: `✅ Payment of RM${data.amount} recorded successfully!`, payment: result.payment })
+  },
+
+  // ================== UPDATE OPERATIONS ==================
+  update_invoice: {
+    run: (data, s, options) => xeroFull.updateInvoice(data.invoice_id, data.invoice_data, s.accessToken, s.tenantId, options),
+    respond: (result) => ({ type: 'invoice_updated', message: '✅ Invoice updated successfully!', invoice: result.invoice })
+  },
+  update_contact: {
+    run: (data, s, options) => xeroFull.updateContact(data.contact_id, data.contact_data, s.accessToken, s.tenantId, options),
+    respond: (result) => ({ type: 'contact_updated', message: '✅ Contact updated successfully!', contact: result.contact })
+  },
+  update_account: {
+    run: (data, s, options) => xeroFull.updateAccount(data.account_id, data.account_data, s.accessToken, s.tenantId, options),
+    respond: (result) => ({ type: 'account_updated', message: '✅ Account updated successfully!', account: result.account })
+  },
+  update_item: {
+    run: (data, s, options) => xeroFull.updateItem(data.item_id, data.item_data, s.accessToken, s.tenantId, options),
+    respond: (result) => ({ type: 'item_updated', message: '✅ Item updated successfully!', item: result.item })
+  },
+
+  // ================== DELETE OPERATIONS ==================
+  delete_invoice: {
+    run: (data, s) => xeroFull.deleteInvoice(data.invoice_id, s.accessToken, s.tenantId),
+    respond: () => ({ type: 'invoice_deleted', message: '✅ Invoice deleted successfully!' })
+  },
+  delete_contact: {
+    run: (data, s) => xeroFull.deleteContact(data.contact_id, s.accessToken, s.tenantId),
+    respond: () => ({ type: 'contact_deleted', message: '✅ Contact deleted successfully!' })
+  },
+  delete_item: {
+    run: (data, s) => xeroFull.deleteItem(data.item_id, s.accessToken, s.tenantId),
+    respond: () => ({ type: 'item_deleted', message: '✅ Item deleted successfully!' })
+  },
+  delete_payment: {
+    run: (data, s) => xeroFull.deletePayment(data.payment_id, s.accessToken, s.tenantId),
+    respond: () => ({ type: 'payment_deleted', message: '✅ Payment deleted successfully!' })
+  },
+
+  // ================== QUOTES ==================
+  get_quotes: {
+    run: (data, s) => xeroFull.getQuotes(s.accessToken, s.tenantId, pagedFilters(data.filters)),
+    respond: (result) => listResponse(result.quotes, result.pagination, 'quotes')
+  },
+  create_quote: {
+    run: (data, s, options) => xeroFull.createQuote(data, s.accessToken, s.tenantId, options),
+    respond: (result) => ({
+      type: 'quote_created',
+      message: `✅ Quote${result.quote.QuoteNumber ? ` ${result.quote.QuoteNumber}` : ''} created as ${result.quote.Status}!`,
+      quote: result.quote
+    })
+  },
+  update_quote: {
+    run: (data, s, options) => xeroFull.updateQuote(data.quote_id, data.quote_data || {}, s.accessToken, s.tenantId, options),
+    respond: (result) => ({ type: 'quote_updated', message: `✅ Quote updated successfully! Status: ${result.quote.Status}`, quote: result.quote })
+  },
+  convert_quote: {
+    run: (data, s) => xeroFull.convertQuoteToInvoice(data.quote_id, s.accessToken, s.tenantId),
+    respond: (result) => ({
+      type: 'quote_converted',
+      message: `✅ ${result.message}`,
+      quote: result.quote,
+      xero_invoice: result.invoice,
+      invoice_url: `https://go.xero.com/AccountsReceivable/View.aspx?InvoiceID=${result.invoice.InvoiceID}`
+    })
+  },
+
+  // ================== CREDIT NOTES ==================
+  get_credit_notes: {
+    run: (data, s) => xeroFull.getCreditNotes(s.accessToken, s.tenantId, pagedFilters(data.filters)),
+    respond: (result) => listResponse(result.creditNotes, result.pagination, 'credit notes')
+  },
+  create_credit_note: {
+    run: (data, s, options) => xeroFull.createCreditNote(data, s.accessToken, s.tenantId, options),
+    respond: (result) => ({
+      type: 'credit_note_created',
+      message: `✅ Credit note${result.creditNote.CreditNoteNumber ? ` ${result.creditNote.CreditNoteNumber}` : ''} created as ${result.creditNote.Status}!`,
+      credit_note: result.creditNote
+    })
+  },
+  allocate_credit_note: {
+    run: (data, s, options) => xeroFull.allocateCreditNote(data.credit_note_id, data.allocations, s.accessToken, s.tenantId, options),
+    respond: (result) => ({
+      type: 'credit_note_allocated',
+      message: `✅ RM${result.allocated.toFixed(2)} of credit note ${result.creditNote.CreditNoteNumber || ''} allocated to ${result.allocations.length} invoice(s). Remaining credit: RM${result.remainingCredit.toFixed(2)}`,
+      credit_note: result.creditNote,
+      allocations: result.allocations
+    })
+  },
+  refund_credit_note: {
+    run: (data, s, options) => xeroFull.refundCreditNote(data.credit_note_id, data, s.accessToken, s.tenantId, options),
+    respond: (result) => ({
+      type: 'credit_note_refunded',
+      message: `✅ Refund of RM${Number(result.payment.Amount).toFixed(2)} recorded against credit note ${result.creditNote.CreditNoteNumber || ''}`,
+      credit_note: result.creditNote,
+      payment: result.payment
+    })
+  },
+
+  // ================== BANK TRANSACTIONS ==================
+  get_bank_transactions: {
+    run: (data, s) => xeroFull.getBankTransactions(s.accessToken, s.tenantId, pagedFilters(data.filters)),
+    respond: (result) => listResponse(result.bankTransactions, result.pagination, 'bank transactions')
+  },
+  create_bank_transaction: {
+    run: (data, s, options) => xeroFull.createBankTransaction(data, s.accessToken, s.tenantId, options),
+    respond: (result) => {
+      const transaction = result.bankTransaction;
+      const direction = transaction.Type.startsWith('SPEND') ? 'paid from' : 'received into';
+      return {
+        type: 'bank_transaction_created',
+        message: `✅ RM${Number(transaction.Total).toFixed(2)} ${direction} ${result.bankAccount.Name} recorded (${transaction.Type})`,
+        bank_transaction: transaction
+      };
+    }
+  },
+  update_bank_transaction: {
+    run: (data, s, options) => xeroFull.updateBankTransaction(data.bank_transaction_id, data.bank_transaction_data || {}, s.accessToken, s.tenantId, options),
+    respond: (result) => ({ type: 'bank_transaction_updated', message: '✅ Bank transaction updated successfully!', bank_transaction: result.bankTransaction })
+  },
+
+  // ================== BANK TRANSFERS ==================
+  get_bank_transfers: {
+    run: (data, s) => xeroFull.getBankTransfers(s.accessToken, s.tenantId, data.filters || {}),
+    respond: (result) => ({ type: 'data_retrieved', message: `Found ${result.count} bank transfers`, data: result.bankTransfers })
+  },
+  create_bank_transfer: {
+    run: (data, s, options) => xeroFull.createBankTransfer(data, s.accessToken, s.tenantId, options),
+    respond: (result) => ({
+      type: 'bank_transfer_created',
+      message: `✅ Transferred ${Number(result.bankTransfer.Amount).toFixed(2)} from ${result.fromBankAccount.Name} to ${result.toBankAccount.Name}`,
+      bank_transfer: result.bankTransfer
+    })
+  },
+
+  // ================== MANUAL JOURNALS ==================
+  // Chat only drafts and edits journals; the user previews them, and posting
+  // is its own action (with its own permission)
+  get_manual_journals: {
+    run: (data, s) => xeroFull.getManualJournals(s.accessToken, s.tenantId, pagedFilters(data.filters)),
+    respond: (result) => listResponse(result.manualJournals, result.pagination, 'manual journals')
+  },
+  create_manual_journal: {
+    run: async (data, s, options) =>
+      withBaseCurrency(await xeroFull.createManualJournal({ ...data, status: 'DRAFT' }, s.accessToken, s.tenantId, options), s),
+    respond: (result) => journalPreview(result.manualJournal, '📝 Draft journal ready for review:', result.currency)
+  },
+  update_manual_journal: {
+    run: async (data, s, options) => {
+      const changes = data.manual_journal_data || {};
+      if (changes.status) {
+        return {
+          success: false,
+          error: 'Only drafts can be edited here; post them with post_manual_journal, void posted ones in Xero',
+          code: 'USE_POST_ACTION',
+          fields: []
+        };
+      }
+      return withBaseCurrency(await xeroFull.updateManualJournal(data.manual_journal_id, changes, s.accessToken, s.tenantId, options), s);
+    },
+    respond: (result) => journalPreview(result.manualJournal, '📝 Draft journal updated:', result.currency)
+  },
+  post_manual_journal: {
+    run: (data, s, options) => xeroFull.updateManualJournal(data.manual_journal_id, { status: 'POSTED' }, s.accessToken, s.tenantId, options),
+    respond: (result) => ({
+      type: 'manual_journal_posted',
+      message: `✅ Journal posted: ${result.manualJournal.Narration}`,
+      manual_journal: result.manualJournal
+    })
+  }
+};
+
+/**
+ * Execute an AI-emitted action against Xero
+ *
+ * @param {Object} actionData - Parsed JSON from the AI ({ action, ... })
+ * @param {Object} session - Xero session with a fresh accessToken and tenantId
+ * @param {string} aiContent - Raw AI reply
+ * @param {Object} options - { idempotencyKey, records } for creates and updates: the key
+ *   sent to Xero, and createIdempotencyRecords() to replay an earlier result (both optional)
+ * @returns {Object} - Response body for the chat function; failures carry error_code,
+ *   fields ([{ field, code, message }]) and a model_note on how to correct the action
+ */
+async function executeAction(actionData, session, aiContent, options = {}) {
+  const action = actionData.action;
+  const handler = ACTIONS[action];
+
+  if (!handler) {
+    return {
+      success: false,
+      type: 'unknown_action',
+      message: `Unknown action: ${action}`,
+      data: actionData
+    };
+  }
+
+  // Tie every Xero change to the person who authorised the connection
+  const xeroUser = session.xeroUser ? (session.xeroUser.email || session.xeroUser.id) : 'unknown Xero user';
+  console.log(`📊 Executing ${action} for tenant ${session.tenantName || session.tenantId} as ${xeroUser}`);
+
+  let xeroResult;
+  if (IDEMPOTENT_ACTION.test(action) && options.idempotencyKey) {
+    const run = (idempotencyKey) => handler.run(actionData, session, { idempotencyKey });
+    xeroResult = options.records
+      ? await options.records.run(options.idempotencyKey, run)
+      : await run(options.idempotencyKey);
+  } else {
+    xeroResult = await handler.run(actionData, session);
+  }
+
+  if (xeroResult.success && xeroResult.replayed) {
+    const response = handler.respond(xeroResult, actionData, aiContent);
+    return {
+      success: true,
+      ...response,
+      message: `${response.message}\n\n↩️ This was already done for an earlier copy of this request, so nothing was created or changed again.`,
+      replayed: true
+    };
+  }
+
+  if (xeroResult.success) {
+    return { success: true, ...handler.respond(xeroResult, actionData, aiContent) };
+  }
+
+  const explanation = explainForUser(xeroResult, action);
+  return {
+    success: false,
+    type: 'xero_error',
+    message: explanation,
+    error: explanation,
+    data: actionData,
+    xero_error: xeroResult.error || 'Operation failed',
+    error_code: xeroResult.code,
+    fields: xeroResult.fields || [],
+    details: xeroResult.details,
+    // Picked up by the chat orchestrator so the model can correct the action
+    model_note: explainForModel(xeroResult, actionData)
+  };
+}
+
+module.exports = {
+  ACTION_NAMES: Object.keys(ACTIONS),
+  executeAction
+};
@@ -0,0 +1,122 @@
+/**
+ * Chat Orchestrator
+ *
+ * One chat turn: ask GLM (with the shared system prompt in glmClient.js),
+ * then either answer with text or run the Xero action the AI asked for.
+ * Servers supply the conversation history, the Xero session and an
+ * optional permission check, and store the updated history themselves.
+ */
+
+const glmClient = require('../glmClient');
+const { executeAction } = require('./actions');
+const { deriveKey } = require('./idempotency');
+
+// Messages kept in the conversation history (user + assistant pairs)
+const MAX_HISTORY = 20;
+
+/**
+ * Handle one chat message
+ *
+ * @param {Object} options
+ * @param {string} options.message - User message
+ * @param {Array} options.conversationHistory - Previous messages
+ * @param {Object|null} options.xeroSession - { accessToken, tenantId, tenantName } with a valid
+ *   access token, or null if Xero is not connected
+ * @param {Function} options.authorize - Optional; called with the action name and its data,
+ *   returns null to allow it or a response body to deny it
+ * @param {Object} options.idempotency - Optional; { scope, requestId, records }: scope identifies
+ *   the session and requestId the client's message (resent with the same id after a timeout),
+ *   records replays creates/updates already done (see core/idempotency). Without both a scope
+ *   and a requestId every write gets a fresh key.
+ * @returns {Promise<Object>} - { status, body, conversationHistory }
+ */
+async function handleMessage({ message, conversationHistory = [], xeroSession = null, authorize, idempotency }) {
+  const aiResponse = await glmClient.chatWithGLM(message, conversationHistory);
+
+  if (!aiResponse.success) {
+    return {
+      status: 200,
+      conversationHistory,
+      body: {
+        success: false,
+        message: aiResponse.content,
+        error: aiResponse.error
+      }
+    };
+  }
+
+  const history = [
+    ...conversationHistory,
+    { role: 'user', content: message },
+    { role: 'assistant', content: aiResponse.content }
+  ].slice(-MAX_HISTORY);
+
+  // Regular text response from AI
+  if (!aiResponse.isJSON || !aiResponse.parsedJSON || !aiResponse.parsedJSON.action) {
+    return {
+      status: 200,
+      conversationHistory: history,
+      body: {
+        success: true,
+        type: 'text',
+        message: aiResponse.content,
+        xero_connected: Boolean(xeroSession)
+      }
+    };
+  }
+
+  const actionData = aiResponse.parsedJSON;
+  const action = actionData.action;
+
+  const denied = authorize ? authorize(action, actionData) : null;
+  if (denied) {
+    return {
+      status: 403,
+      conversationHistory: history,
+      body: { ...denied, message: aiResponse.content, data: actionData }
+    };
+  }
+
+  if (!xeroSession) {
+    return {
+      status: 200,
+      conversationHistory: history,
+      body: {
+        success: true,
+        type: 'action_data',
+        message: `Here is the ${action} data ready to be executed in Xero.`,
+        data: actionData,
+        xero_connected: false,
+        note: 'Please connect Xero account first'
+      }
+    };
+  }
+
+  // Keyed on the client's request id, never the text: saying the same thing
+  // twice on purpose must do it twice
+  const idempotencyKey = idempotency?.scope && idempotency.requestId
+    ? deriveKey(idempotency.scope, xeroSession.tenantId, idempotency.requestId)
+    : undefined;
+
+  const { model_note: modelNote, ...body } = await executeAction(actionData, xeroSession, aiResponse.content, {
+    idempotencyKey,
+    records: idempotency?.records
+  });
+
+  // Tell the model what it needs for the next turn (why Xero rejected its
+  // action, so "fix it" gets a corrected one; which draft to post)
+  const historyWithNote = modelNote
+    ? [...history, { role: 'system', content: modelNote }].slice(-MAX_HISTORY)
+    : history;
+
+  return {
+    status: 200,
+    conversationHistory: historyWithNote,
+    body
+  };
+}
+
+module.exports = {
+  MAX_HISTORY,
+  handleMessage
+};
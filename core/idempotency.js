@@ -0,0 +1,87 @@
+/**
+ * Idempotent Xero Writes
+ *
+ * Every create/update sent to Xero carries an Idempotency-Key header, so
+ * Xero itself never applies the same request twice. Keys come from an id
+ * the client sends with the request (the Idempotency-Key header, on /api
+ * and /chat alike) and reuses only when it resends that request; the same
+ * text sent again as a new message is a new request.
+ *
+ * On top of that, a local record of recently executed keys returns the
+ * original result without calling Xero again (and makes concurrent
+ * duplicates wait for the first one).
+ */
+
+const crypto = require('crypto');
+
+// Actions whose entity functions accept { idempotencyKey }
+const IDEMPOTENT_ACTION = /^(create|update|convert|allocate|refund|post)_/;
+
+/**
+ * Derive a stable key from anything that identifies a request
+ *
+ * @param {...*} parts - e.g. session ID, message, action payload
+ * @returns {string} - 64 hex characters (Xero allows up to 128)
+ */
+function deriveKey(...parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Headers for an entity function call; generates a key when none is given
+ * so that every write can be retried safely
+ */
+function idempotencyHeaders(idempotencyKey) {
+  return { 'Idempotency-Key': idempotencyKey || crypto.randomUUID() };
+}
+
+/**
+ * Create the record of executed keys on top of a keyed store (see sessionStore.js)
+ *
+ * Only successful results are kept, so a corrected request can run again.
+ *
+ * @param {Object} store - { get, set }, with a TTL for how long keys are remembered
+ * @returns {Object} - { run(key, operation) }
+ */
+function createIdempotencyRecords(store) {
+  const inFlight = new Map();
+
+  /**
+   * Run operation(key) once per key
+   *
+   * @returns {Promise<Object>} - The operation's result; replays add replayed: true
+   */
+  async function run(key, operation) {
+    const previous = store.get(key);
+    if (previous) {
+      console.log(`♻️  Replaying result of idempotency key ${key.slice(0, 12)}…`);
+      return { ...previous.result, replayed: true };
+    }
+
+    if (inFlight.has(key)) {
+      return { ...(await inFlight.get(key)), replayed: true };
+    }
+
+    const pending = operation(key);
+    inFlight.set(key, pending);
+
+    try {
+      const result = await pending;
+      if (result.success) {
+        store.set(key, { result, updatedAt: Date.now() });
+      }
+      return result;
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  return { run };
+}
+
+module.exports = {
+  IDEMPOTENT_ACTION,
+  deriveKey,
+  idempotencyHeaders,
+  createIdempotencyRecords
+};
@@ -0,0 +1,27 @@
+/**
+ * Xero Chatbot Core
+ *
+ * Shared by the Express app (index.js), the minimal OAuth backend
+ * (backend/app.js) and the Netlify functions, which only adapt it to
+ * their own request, response and storage model:
+ * - oauth:    authorisation URL (PKCE), code exchange + id_token, tenants, revocation
+ * - tokens:   when and how to refresh access tokens
+ * - entities: Xero invoices, contacts, accounts, items and payments
+ * - http:     the request layer entities use (per-tenant queue, rate limits, retries)
+ * - sync:     per-tenant, per-entity cursors for incremental (If-Modified-Since) reads
+ * - idempotency: Idempotency-Key derivation and replay of writes already done
+ * - chat:     GLM conversation turn plus Xero action dispatch
+ * - webhooks: Xero webhook signatures and internal events
+ */
+
+module.exports = {
+  oauth: require('./oauth'),
+  tokens: require('./tokens'),
+  entities: require('../xeroClientFull'),
+  http: require('./xeroHttp'),
+  sync: require('./sync'),
+  idempotency: require('./idempotency'),
+  actions: require('./actions'),
+  webhooks: require('./webhooks'),
+  chat: require('./chat')
+};
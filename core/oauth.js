@@ -0,0 +1,47 @@
+/**
+ * Xero OAuth Client
+ *
+ * Authorisation URL (PKCE), code exchange (with id_token validation),
+ * token refresh, tenant lookup, revocation and connection removal - the
+ * implementations live in xeroClient.js and core/oidc.js; this is the set
+ * every server is expected to use.
+ */
+
+const xeroClient = require('../xeroClient');
+const oidc = require('./oidc');
+
+/**
+ * Pick the organisation to make active after connecting
+ *
+ * Keeps the current organisation if it is still connected, then tries
+ * XERO_DEFAULT_TENANT_ID, then falls back to the first one.
+ *
+ * @param {Array} tenants - Connections from getTenants()
+ * @param {string} currentTenantId - Organisation active before (optional)
+ * @returns {Object} - Selected connection
+ */
+function selectDefaultTenant(tenants, currentTenantId) {
+  const preferredIds = [currentTenantId, process.env.XERO_DEFAULT_TENANT_ID].filter(Boolean);
+
+  for (const tenantId of preferredIds) {
+    const tenant = tenants.find(t => t.tenantId === tenantId);
+    if (tenant) return tenant;
+  }
+
+  return tenants[0];
+}
+
+module.exports = {
+  DEFAULT_SCOPE: xeroClient.DEFAULT_SCOPE,
+  generatePkcePair: xeroClient.generatePkcePair,
+  getAuthorizationUrl: xeroClient.getAuthorizationUrl,
+  exchangeCodeForToken: xeroClient.exchangeCodeForToken,
+  refreshAccessToken: xeroClient.refreshAccessToken,
+  getTenants: xeroClient.getTenants,
+  revokeToken: xeroClient.revokeToken,
+  deleteConnection: xeroClient.deleteConnection,
+  selectDefaultTenant,
+  verifyIdToken: oidc.verifyIdToken,
+  createJwksClient: oidc.createJwksClient,
+  setJwksClient: oidc.setJwksClient
+};
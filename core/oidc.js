@@ -0,0 +1,186 @@
+/**
+ * OpenID Connect
+ *
+ * Validates the id_token Xero returns with the `openid` scope (RS256
+ * signature against Xero's JWKS, then issuer, audience and time claims)
+ * and maps its claims to the Xero user behind the connection.
+ *
+ * The JWKS is cached in memory. Tests and offline environments can inject
+ * their own keys with setJwksClient(createJwksClient({ fetchKeys })).
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const XERO_ISSUER = 'https://identity.xero.com';
+const XERO_JWKS_URL = 'https://identity.xero.com/.well-known/openid-configuration/jwks';
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000; // unknown kid: refetch at most once a minute
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+/**
+ * Create a cached JWKS client
+ *
+ * @param {Object} options
+ * @param {string} options.jwksUrl - JWKS endpoint (default: Xero)
+ * @param {number} options.cacheTtlMs - How long fetched keys are trusted
+ * @param {Function} options.fetchKeys - Optional; async () => [jwk, ...] instead of HTTP
+ * @returns {Object} - { getKey(kid) }
+ */
+function createJwksClient(options = {}) {
+  const jwksUrl = options.jwksUrl || XERO_JWKS_URL;
+  const cacheTtlMs = options.cacheTtlMs ?? DEFAULT_CACHE_TTL_MS;
+  const fetchKeys = options.fetchKeys || (async () => {
+    const response = await axios.get(jwksUrl, { headers: { 'Accept': 'application/json' } });
+    return response.data.keys || [];
+  });
+
+  let keys = new Map();
+  let fetchedAt = 0;
+  let inFlight = null;
+
+  async function refresh() {
+    // Concurrent callers share one fetch
+    if (!inFlight) {
+      inFlight = fetchKeys()
+        .then(jwks => {
+          keys = new Map(jwks.filter(jwk => jwk.kid).map(jwk => [jwk.kid, jwk]));
+          fetchedAt = Date.now();
+        })
+        .finally(() => { inFlight = null; });
+    }
+    return inFlight;
+  }
+
+  /**
+   * Get the public key for a key ID, fetching the JWKS if needed
+   *
+   * @returns {Promise<KeyObject|null>}
+   */
+  async function getKey(kid) {
+    const age = Date.now() - fetchedAt;
+
+    // Stale cache, or a key we have not seen (Xero rotated its keys)
+    if (age > cacheTtlMs || (!keys.has(kid) && age > MIN_REFETCH_INTERVAL_MS)) {
+      await refresh();
+    }
+
+    const jwk = keys.get(kid);
+    return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+  }
+
+  return { getKey };
+}
+
+let jwksClient = null;
+
+/**
+ * JWKS client used by verifyIdToken when none is passed in
+ */
+function getJwksClient() {
+  if (!jwksClient) jwksClient = createJwksClient();
+  return jwksClient;
+}
+
+/**
+ * Replace the default JWKS client (tests, offline use)
+ */
+function setJwksClient(client) {
+  jwksClient = client;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Validate an id_token
+ *
+ * @param {string} idToken - Compact JWT from the token response
+ * @param {Object} options - { audience (default XERO_CLIENT_ID), issuer, jwks }
+ * @returns {Promise<Object>} - { success: true, claims } or { success: false, error }
+ */
+async function verifyIdToken(idToken, options = {}) {
+  const audience = options.audience || process.env.XERO_CLIENT_ID;
+  const issuer = options.issuer || XERO_ISSUER;
+  const jwks = options.jwks || getJwksClient();
+
+  try {
+    const parts = String(idToken || '').split('.');
+    if (parts.length !== 3) {
+      return { success: false, error: 'Malformed id_token' };
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = decodeSegment(encodedHeader);
+    const claims = decodeSegment(encodedPayload);
+
+    if (header.alg !== 'RS256') {
+      return { success: false, error: `Unsupported id_token algorithm: ${header.alg}` };
+    }
+
+    const key = await jwks.getKey(header.kid);
+    if (!key) {
+      return { success: false, error: `Unknown id_token signing key: ${header.kid}` };
+    }
+
+    const signatureValid = crypto.verify(
+      'RSA-SHA256',
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      key,
+      Buffer.from(encodedSignature, 'base64url')
+    );
+    if (!signatureValid) {
+      return { success: false, error: 'Invalid id_token signature' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (claims.iss !== issuer) {
+      return { success: false, error: `Unexpected id_token issuer: ${claims.iss}` };
+    }
+    if (!audience || !audiences.includes(audience)) {
+      return { success: false, error: 'id_token was not issued for this client' };
+    }
+    if (!claims.exp || claims.exp < now - CLOCK_TOLERANCE_SECONDS) {
+      return { success: false, error: 'id_token has expired' };
+    }
+    if (claims.iat && claims.iat > now + CLOCK_TOLERANCE_SECONDS) {
+      return { success: false, error: 'id_token was issued in the future' };
+    }
+    if (claims.nbf && claims.nbf > now + CLOCK_TOLERANCE_SECONDS) {
+      return { success: false, error: 'id_token is not valid yet' };
+    }
+
+    return { success: true, claims };
+
+  } catch (error) {
+    return { success: false, error: `id_token validation failed: ${error.message}` };
+  }
+}
+
+/**
+ * Map id_token claims to the Xero user recorded on a session
+ *
+ * @returns {Object} - { id, name, email }
+ */
+function userFromClaims(claims) {
+  const name = [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+
+  return {
+    id: claims.xero_userid || claims.sub,
+    name: name || claims.preferred_username || claims.email || null,
+    email: claims.email || null
+  };
+}
+
+module.exports = {
+  XERO_ISSUER,
+  XERO_JWKS_URL,
+  createJwksClient,
+  getJwksClient,
+  setJwksClient,
+  verifyIdToken,
+  userFromClaims
+};
@@ -0,0 +1,133 @@
+/**
+ * Incremental Sync
+ *
+ * "What changed since my last sync": one cursor per tenant and entity,
+ * sent to Xero as If-Modified-Since so only the deltas come back.
+ *
+ * A cursor only moves forward once a read has succeeded. When a read is
+ * capped by max_records it resumes from the last change it returned
+ * (records are requested in UpdatedDateUTC order), and a complete read
+ * moves it to just before the sync started, so a record may be returned
+ * twice but is never missed.
+ */
+
+const entities = require('../xeroClientFull');
+
+// Entity name (as in /api/sync/:entity) -> list function and the key its results come back under
+const SYNC_ENTITIES = {
+  invoices: { list: entities.getInvoices, key: 'invoices' },
+  contacts: { list: entities.getContacts, key: 'contacts' },
+  accounts: { list: entities.getAccounts, key: 'accounts' },
+  items: { list: entities.getItems, key: 'items' },
+  payments: { list: entities.getPayments, key: 'payments' },
+  quotes: { list: entities.getQuotes, key: 'quotes' },
+  'credit-notes': { list: entities.getCreditNotes, key: 'creditNotes' },
+  'bank-transactions': { list: entities.getBankTransactions, key: 'bankTransactions' },
+  'manual-journals': { list: entities.getManualJournals, key: 'manualJournals' }
+};
+
+// Overlap with the previous sync, covering clock drift between us and Xero
+const CURSOR_OVERLAP_MS = 60 * 1000;
+
+/**
+ * Parse Xero's UpdatedDateUTC ("/Date(1573755038314+0000)/" or ISO)
+ *
+ * @returns {string|null} - ISO timestamp
+ */
+function parseXeroDate(value) {
+  if (!value) return null;
+
+  const match = /^\/Date\((-?\d+)([+-]\d{4})?\)\/$/.exec(value);
+  const date = match ? new Date(Number(match[1])) : new Date(value);
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Create sync cursors on top of a keyed store (see sessionStore.js)
+ *
+ * @param {Object} store - { get, set, delete, entries }
+ * @returns {Object} - { get(tenantId, entity), set(tenantId, entity, cursor), reset(tenantId, entity) }
+ */
+function createSyncCursors(store) {
+  const keyFor = (tenantId, entity) => `${tenantId}:${entity}`;
+
+  return {
+    get(tenantId, entity) {
+      return store.get(keyFor(tenantId, entity))?.cursor || null;
+    },
+
+    set(tenantId, entity, cursor) {
+      store.set(keyFor(tenantId, entity), { tenantId, entity, cursor, updatedAt: Date.now() });
+    },
+
+    reset(tenantId, entity) {
+      return store.delete(keyFor(tenantId, entity));
+    }
+  };
+}
+
+/**
+ * Fetch what changed since the tenant's last sync of an entity and move
+ * its cursor forward
+ *
+ * @param {Object} options
+ * @param {string} options.entity - invoices, contacts, accounts, items, payments, quotes,
+ *   credit-notes, bank-transactions or manual-journals
+ * @param {string} options.accessToken - Valid access token
+ * @param {string} options.tenantId - Xero tenant ID
+ * @param {Object} options.cursors - From createSyncCursors()
+ * @param {string} options.since - Optional; start here instead of the stored cursor
+ * @param {Object} options.filters - Optional extra filters (e.g. max_records)
+ * @returns {Promise<Object>} - { success, entity, since, cursor, complete, changes, count }
+ */
+async function syncChanges({ entity, accessToken, tenantId, cursors, since, filters = {} }) {
+  const source = SYNC_ENTITIES[entity];
+  if (!source) {
+    return {
+      success: false,
+      error: `Unknown sync entity "${entity}". Use one of: ${Object.keys(SYNC_ENTITIES).join(', ')}`
+    };
+  }
+
+  const from = since || cursors.get(tenantId, entity);
+  const startedAt = Date.now();
+
+  const { page, ...rest } = filters;
+  const result = await source.list(accessToken, tenantId, {
+    ...rest,
+    since: from || undefined,
+    order: 'UpdatedDateUTC ASC'
+  });
+
+  if (!result.success) return result;
+
+  const changes = result[source.key];
+  const complete = !result.pagination?.hasMore;
+  const lastChange = parseXeroDate(changes[changes.length - 1]?.UpdatedDateUTC);
+
+  const cursor = complete
+    ? new Date(startedAt - CURSOR_OVERLAP_MS).toISOString()
+    : lastChange || from;
+
+  if (cursor) cursors.set(tenantId, entity, cursor);
+
+  console.log(`🔄 Synced ${changes.length} ${entity} for tenant ${tenantId}${from ? ` since ${from}` : ' (full)'}`);
+
+  return {
+    success: true,
+    entity,
+    since: from || null,
+    cursor,
+    complete,
+    changes,
+    count: changes.length
+  };
+}
+
+module.exports = {
+  SYNC_ENTITIES: Object.keys(SYNC_ENTITIES),
+  parseXeroDate,
+  createSyncCursors,
+  syncChanges
+};
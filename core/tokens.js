@@ -0,0 +1,76 @@
+/**
+ * Token Lifecycle
+ *
+ * When to refresh a Xero access token, and how to turn a refresh into the
+ * fields every server stores. Storage (session store, sealed cookie, memory)
+ * stays with each server.
+ */
+
+const xeroClient = require('../xeroClient');
+
+// Refresh this long before the access token actually expires
+const EXPIRY_BUFFER_MS = 5 * 60 * 1000;
+
+let refreshTransport = (refreshToken) => xeroClient.refreshAccessToken(refreshToken);
+
+/**
+ * Replace the call to Xero's token endpoint (tests, offline use)
+ *
+ * @param {Function} fn - async (refreshToken) => { success, tokens } or { success: false, error, status }
+ *   like xeroClient.refreshAccessToken; pass nothing to restore it
+ */
+function setRefreshTransport(fn) {
+  refreshTransport = fn || ((refreshToken) => xeroClient.refreshAccessToken(refreshToken));
+}
+
+/**
+ * Check if an access token needs refreshing
+ *
+ * @param {number} expiresAt - Expiry time in ms (missing counts as expired)
+ * @returns {boolean}
+ */
+function needsRefresh(expiresAt) {
+  if (!expiresAt) return true;
+  return Date.now() > expiresAt - EXPIRY_BUFFER_MS;
+}
+
+/**
+ * Refresh a Xero token pair
+ *
+ * Xero rotates the refresh token on every use, so the caller must store
+ * both new tokens. A 400/401 from Xero means the refresh token is expired
+ * or revoked and only a new login can fix it (reauthRequired).
+ *
+ * @param {string} refreshToken - Current refresh token
+ * @returns {Promise<Object>} - { success, tokens: { accessToken, refreshToken, expiresAt, refreshTokenIssuedAt } }
+ *   or { success: false, error, status, reauthRequired }
+ */
+async function refreshTokens(refreshToken) {
+  const result = await refreshTransport(refreshToken);
+
+  if (!result.success) {
+    return {
+      success: false,
+      error: result.error,
+      status: result.status,
+      reauthRequired: result.status === 400 || result.status === 401
+    };
+  }
+
+  return {
+    success: true,
+    tokens: {
+      accessToken: result.tokens.accessToken,
+      refreshToken: result.tokens.refreshToken || refreshToken,
+      expiresAt: result.tokens.expiresAt,
+      refreshTokenIssuedAt: Date.now()
+    }
+  };
+}
+
+module.exports = {
+  EXPIRY_BUFFER_MS,
+  needsRefresh,
+  refreshTokens,
+  setRefreshTransport
+};
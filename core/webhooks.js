@@ -0,0 +1,138 @@
+/**
+ * Xero Webhooks
+ *
+ * Signature verification for Xero webhook deliveries and translation of
+ * their payload into internal events, published on a small event bus.
+ *
+ * Xero signs the raw request body with HMAC-SHA256 using the app's webhook
+ * key (XERO_WEBHOOK_KEY) and sends it base64-encoded in x-xero-signature.
+ * Its intent-to-receive check sends correctly and incorrectly signed
+ * payloads and expects 200 and 401 respectively, within five seconds.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * Check the x-xero-signature header against the raw request body
+ *
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - x-xero-signature header
+ * @param {string} webhookKey - Webhook key from the Xero developer portal
+ * @returns {boolean}
+ */
+function verifySignature(rawBody, signature, webhookKey) {
+  if (!rawBody || !signature || !webhookKey) return false;
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', webhookKey).update(rawBody).digest('base64')
+  );
+  const actual = Buffer.from(String(signature));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Turn a webhook payload into internal events
+ *
+ * { eventCategory: 'INVOICE', eventType: 'UPDATE', ... } becomes
+ * { type: 'invoice.updated', category: 'invoice', ... }.
+ *
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Array} - [{ type, category, action, tenantId, resourceId, resourceUrl, occurredAt }]
+ */
+function toInternalEvents(payload) {
+  const actions = { CREATE: 'created', UPDATE: 'updated' };
+
+  return (payload?.events || [])
+    .filter(event => event.eventCategory && event.resourceId)
+    .map(event => {
+      const category = event.eventCategory.toLowerCase();
+      const action = actions[event.eventType] || String(event.eventType || 'changed').toLowerCase();
+
+      return {
+        type: `${category}.${action}`,
+        category,
+        action,
+        tenantId: event.tenantId,
+        resourceId: event.resourceId,
+        resourceUrl: event.resourceUrl,
+        occurredAt: event.eventDateUtc
+      };
+    });
+}
+
+/**
+ * Create the Express handler for Xero webhook deliveries
+ *
+ * Answers 401 for a bad signature (this is also how the intent-to-receive
+ * check is passed), otherwise 200 with an empty body; the events are
+ * published afterwards so the response is never held up.
+ *
+ * Needs req.rawBody (the body exactly as received) next to the parsed req.body.
+ *
+ * @param {Object} options
+ * @param {Function} options.getWebhookKey - () => XERO_WEBHOOK_KEY (read per request)
+ * @param {Function} options.publish - (event) => void, e.g. an event bus's publish
+ * @returns {Function} - (req, res) handler
+ */
+function createWebhookHandler({ getWebhookKey, publish }) {
+  return (req, res) => {
+    const webhookKey = getWebhookKey();
+    if (!webhookKey) {
+      console.error('❌ Webhook received but XERO_WEBHOOK_KEY is not set');
+    }
+
+    if (!verifySignature(req.rawBody, req.headers['x-xero-signature'], webhookKey)) {
+      console.warn('🚫 Rejected webhook with invalid signature');
+      return res.status(401).end();
+    }
+
+    res.status(200).end();
+
+    const events = toInternalEvents(req.body);
+    if (events.length > 0) {
+      console.log(`📬 Webhook: ${events.map(event => event.type).join(', ')}`);
+    }
+    setImmediate(() => events.forEach(event => publish(event)));
+  };
+}
+
+/**
+ * Create an event bus for internal Xero events
+ *
+ * Subscribers can listen for one type ("invoice.updated"), one category
+ * ("invoice.*") or everything ("*"). A failing subscriber is logged and
+ * never affects the others.
+ *
+ * @returns {Object} - { publish(event), subscribe(pattern, handler) }
+ */
+function createEventBus() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(50);
+
+  function publish(event) {
+    [event.type, `${event.category}.*`, '*'].forEach(pattern => {
+      emitter.emit(pattern, event);
+    });
+  }
+
+  function subscribe(pattern, handler) {
+    emitter.on(pattern, async (event) => {
+      try {
+        await handler(event);
+      } catch (error) {
+        console.error(`❌ Webhook subscriber for ${pattern} failed on ${event.type}:`, error.message);
+      }
+    });
+  }
+
+  return { publish, subscribe };
+}
+
+module.exports = {
+  verifySignature,
+  toInternalEvents,
+  createWebhookHandler,
+  createEventBus
+};
@@ -0,0 +1,210 @@
+/**
+ * Xero Error Normaliser
+ *
+ * Turns any failed Xero call (validation errors, RFC 7807 "Problem"
+ * payloads, auth and rate-limit failures, network errors) into one shape:
+ *
+ *   { status, code, message, fields: [{ field, code, message }], details }
+ *
+ * Validation errors sit on the element they belong to (the invoice, one of
+ * its LineItems, its Contact...), so their field path comes from where they
+ * are found plus the field their message is about, e.g.
+ * "line_items[1].account_code". Codes are stable so callers can branch on
+ * them instead of parsing Xero's wording.
+ */
+
+/**
+ * Message pattern -> field it refers to and stable code (first match wins)
+ */
+const VALIDATION_RULES = [
+  { pattern: /account code|AccountCode/i, field: 'account_code', code: 'INVALID_ACCOUNT_CODE' },
+  { pattern: /tax ?type|tax rate/i, field: 'tax_type', code: 'INVALID_TAX_TYPE' },
+  { pattern: /item code|ItemCode/i, field: 'item_code', code: 'INVALID_ITEM_CODE' },
+  { pattern: /currency/i, field: 'currency_code', code: 'INVALID_CURRENCY' },
+  { pattern: /email/i, field: 'email', code: 'INVALID_EMAIL' },
+  { pattern: /due ?date/i, field: 'due_date', code: 'INVALID_DUE_DATE' },
+  { pattern: /\bdate\b/i, field: 'date', code: 'INVALID_DATE' },
+  { pattern: /at least one line item|line ?items? (is|are) required/i, field: 'line_items', code: 'MISSING_LINE_ITEMS' },
+  { pattern: /quantity/i, field: 'quantity', code: 'INVALID_QUANTITY' },
+  { pattern: /unit ?amount|unit price/i, field: 'unit_amount', code: 'INVALID_AMOUNT' },
+  { pattern: /amount|total/i, field: 'amount', code: 'INVALID_AMOUNT' },
+  { pattern: /already (exists|been used|assigned)|must be unique|duplicate/i, code: 'DUPLICATE' },
+  { pattern: /contact/i, field: 'contact', code: 'INVALID_CONTACT' },
+  { pattern: /status/i, field: 'status', code: 'INVALID_STATUS' },
+  { pattern: /(cannot|can't|can not) be (modified|edited|deleted|voided)|not editable/i, code: 'NOT_EDITABLE' },
+  { pattern: /required|must (be )?(specified|provided|entered)|cannot be (empty|blank)/i, code: 'REQUIRED' },
+  { pattern: /name/i, field: 'name', code: 'INVALID_NAME' }
+];
+
+const STATUS_CODES = {
+  400: 'XERO_BAD_REQUEST',
+  401: 'XERO_UNAUTHORIZED',
+  403: 'XERO_FORBIDDEN',
+  404: 'XERO_NOT_FOUND',
+  429: 'XERO_RATE_LIMITED'
+};
+
+/**
+ * Xero PascalCase key -> snake_case path segment ("LineItems" -> "line_items")
+ */
+function toSnakeCase(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+function joinPath(path, segment) {
+  if (!segment) return path;
+  if (!path) return segment;
+  return segment.startsWith('[') ? `${path}${segment}` : `${path}.${segment}`;
+}
+
+function classify(message) {
+  return VALIDATION_RULES.find(rule => rule.pattern.test(message)) || { code: 'VALIDATION_ERROR' };
+}
+
+/**
+ * Collect ValidationErrors from an element and everything nested in it
+ *
+ * @param {Object} element - Elements[i] of a ValidationException (or anything below it)
+ * @param {string} path - Field path of the element ('' for the document itself)
+ * @returns {Array} - [{ field, code, message }]
+ */
+function collectValidationErrors(element, path = '') {
+  if (!element || typeof element !== 'object') return [];
+
+  const fields = (element.ValidationErrors || []).map(({ Message: message = 'Invalid value' }) => {
+    const rule = classify(message);
+    // Don't repeat the field when the element already is that field (e.g. "contact")
+    const field = rule.field && !path.endsWith(rule.field) ? joinPath(path, rule.field) : path;
+    return { field: field || null, code: rule.code, message };
+  });
+
+  for (const [key, value] of Object.entries(element)) {
+    if (key === 'ValidationErrors' || key === 'Warnings' || !value || typeof value !== 'object') continue;
+
+    if (Array.isArray(value)) {
+      value.forEach((child, index) => {
+        fields.push(...collectValidationErrors(child, joinPath(joinPath(path, toSnakeCase(key)), `[${index}]`)));
+      });
+    } else {
+      fields.push(...collectValidationErrors(value, joinPath(path, toSnakeCase(key))));
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Field errors of a Xero response body
+ *
+ * @returns {Array} - [{ field, code, message }]
+ */
+function fieldErrors(data) {
+  if (!data || typeof data !== 'object') return [];
+
+  const elements = data.Elements || [];
+  // Batch requests report each document at its index; single ones start at the root
+  return elements.flatMap((element, index) =>
+    collectValidationErrors(element, elements.length > 1 ? `[${index}]` : '')
+  );
+}
+
+/**
+ * Normalise a failed Xero call
+ *
+ * @param {Error} error - axios error (or any Error)
+ * @returns {Object} - { status, code, message, fields, details }
+ */
+function normaliseXeroError(error) {
+  const status = error.response?.status || null;
+  const data = error.response?.data;
+  const fields = fieldErrors(data);
+
+  let code;
+  if (fields.length > 0 || data?.Type === 'ValidationException') {
+    code = 'XERO_VALIDATION_FAILED';
+  } else if (status && STATUS_CODES[status]) {
+    code = STATUS_CODES[status];
+  } else if (status >= 500) {
+    code = 'XERO_UNAVAILABLE';
+  } else if (!error.response && (error.request || error.code)) {
+    code = 'XERO_UNREACHABLE';
+  } else {
+    code = 'XERO_ERROR';
+  }
+
+  // RFC 7807 problem payloads ({ Title, Detail }) and the older { Problem } wrapper
+  const problems = [].concat(data?.Problem || []);
+  const summary = fields.length > 0
+    ? fields.map(f => (f.field ? `${f.field}: ${f.message}` : f.message)).join('; ')
+    : data?.Detail || data?.Message || problems.map(p => p.Message || p.Detail).filter(Boolean).join(', ') ||
+      data?.Title || (typeof data === 'string' && data) || error.message;
+
+  return {
+    status,
+    code,
+    message: summary,
+    fields,
+    details: data ?? null
+  };
+}
+
+/**
+ * Failure result for the entity functions: { success: false, error, code, fields, details }
+ */
+function xeroFailure(error) {
+  const { message, ...rest } = normaliseXeroError(error);
+  return { success: false, error: message, ...rest };
+}
+
+/**
+ * Explain a failure to the user
+ *
+ * @param {Object} failure - From xeroFailure()
+ * @param {string} action - What was attempted, e.g. "create_invoice"
+ * @returns {string}
+ */
+function explainForUser(failure, action) {
+  const what = action ? action.replace(/_/g, ' ') : 'this request';
+  const reasons = {
+    XERO_UNAUTHORIZED: 'Your Xero connection has expired. Please reconnect Xero.',
+    XERO_FORBIDDEN: 'Xero did not allow this. Check the connected user\'s permissions and the app\'s scopes.',
+    XERO_NOT_FOUND: 'Xero could not find that record.',
+    XERO_RATE_LIMITED: 'Xero is limiting how often we can call it. Please try again shortly.',
+    XERO_UNAVAILABLE: 'Xero is having problems right now. Please try again in a few minutes.',
+    XERO_UNREACHABLE: 'Could not reach Xero. Please try again.'
+  };
+
+  if (failure.fields?.length > 0) {
+    const lines = failure.fields.map(f => `• ${f.field ? `${f.field}: ` : ''}${f.message}`);
+    return `❌ Could not ${what}:\n${lines.join('\n')}`;
+  }
+
+  return `❌ Could not ${what}: ${reasons[failure.code] || failure.error}`;
+}
+
+/**
+ * Instruction for the model after a validation failure, so that "try again"
+ * produces a corrected action
+ *
+ * @returns {string|null} - null when there is nothing the model can fix
+ */
+function explainForModel(failure, actionData) {
+  if (failure.code !== 'XERO_VALIDATION_FAILED' || !failure.fields?.length) return null;
+
+  const lines = failure.fields.map(f => `- ${f.field || '(document)'} [${f.code}]: ${f.message}`);
+
+  return [
+    `Xero rejected the ${actionData.action} action with these validation errors:`,
+    ...lines,
+    'Field paths use the action JSON\'s own names (line_items[1] is the second line item).',
+    'If the user asks to fix or retry it, output the corrected JSON action; ask for anything you cannot infer.'
+  ].join('\n');
+}
+
+module.exports = {
+  VALIDATION_RULES,
+  normaliseXeroError,
+  xeroFailure,
+  explainForUser,
+  explainForModel
+};
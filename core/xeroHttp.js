@@ -0,0 +1,320 @@
+/**
+ * Xero HTTP Client
+ *
+ * The single request layer for the Xero Accounting API. Every call is
+ * queued per tenant to stay inside Xero's limits (5 concurrent calls and
+ * 60 calls per minute per organisation), 429 responses wait for
+ * Retry-After before trying again, and transient 5xx or network failures
+ * are retried with exponential backoff.
+ *
+ * The X-MinLimit-Remaining / X-DayLimit-Remaining / X-AppMinLimit-Remaining
+ * headers of every response are recorded per tenant (getRateLimits).
+ *
+ * Only GET/HEAD are retried after a 5xx or network failure; writes
+ * (including DELETE) need an Idempotency-Key, as Xero may already have
+ * applied them.
+ */
+
+const axios = require('axios');
+
+const XERO_API_BASE = 'https://api.xero.com/api.xro/2.0';
+const MAX_CONCURRENT = 5;
+const MAX_CALLS_PER_MINUTE = 60;
+const MINUTE_MS = 60 * 1000;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 500;
+const MAX_RETRY_AFTER_MS = 60 * 1000; // longer waits (daily limit) fail straight away
+const DAY_LIMIT_WARNING = 500;
+
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN'];
+const SAFE_METHODS = ['GET', 'HEAD'];
+
+let transport = (config) => axios.request(config);
+
+/**
+ * Replace the function that sends requests (tests, offline use)
+ *
+ * @param {Function} fn - async (axiosConfig) => axios-style response
+ */
+function setTransport(fn) {
+  transport = fn || ((config) => axios.request(config));
+}
+
+// ==========================================
+// PER-TENANT QUEUE
+// ==========================================
+
+const tenants = new Map();
+
+function tenantState(tenantId) {
+  const key = tenantId || 'none';
+
+  if (!tenants.has(key)) {
+    tenants.set(key, {
+      queue: [],
+      active: 0,
+      sentAt: [],
+      pausedUntil: 0,
+      timer: null,
+      limits: {
+        minuteRemaining: null,
+        dayRemaining: null,
+        appMinuteRemaining: null,
+        updatedAt: null
+      }
+    });
+  }
+
+  return tenants.get(key);
+}
+
+/**
+ * How long the next queued call has to wait, in ms
+ */
+function waitTime(state) {
+  const now = Date.now();
+  state.sentAt = state.sentAt.filter(sentAt => now - sentAt < MINUTE_MS);
+
+  let wait = Math.max(0, state.pausedUntil - now);
+  if (state.sentAt.length >= MAX_CALLS_PER_MINUTE) {
+    wait = Math.max(wait, state.sentAt[0] + MINUTE_MS - now);
+  }
+
+  return wait;
+}
+
+function drain(state) {
+  while (state.queue.length > 0 && state.active < MAX_CONCURRENT) {
+    const wait = waitTime(state);
+
+    if (wait > 0) {
+      if (!state.timer) {
+        state.timer = setTimeout(() => {
+          state.timer = null;
+          drain(state);
+        }, wait);
+      }
+      return;
+    }
+
+    const job = state.queue.shift();
+    state.active++;
+    state.sentAt.push(Date.now());
+
+    Promise.resolve()
+      .then(job.run)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        state.active--;
+        drain(state);
+      });
+  }
+}
+
+function schedule(state, run) {
+  return new Promise((resolve, reject) => {
+    state.queue.push({ run, resolve, reject });
+    drain(state);
+  });
+}
+
+// ==========================================
+// RATE LIMIT HEADERS
+// ==========================================
+
+function headerNumber(headers, name) {
+  const value = headers?.[name];
+  if (value === undefined || value === null || value === '') return null;
+
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function recordLimits(state, tenantId, headers) {
+  if (!headers) return;
+
+  const minuteRemaining = headerNumber(headers, 'x-minlimit-remaining');
+  const dayRemaining = headerNumber(headers, 'x-daylimit-remaining');
+  const appMinuteRemaining = headerNumber(headers, 'x-appminlimit-remaining');
+
+  if (minuteRemaining === null && dayRemaining === null && appMinuteRemaining === null) return;
+
+  const previousDay = state.limits.dayRemaining;
+
+  state.limits = {
+    minuteRemaining: minuteRemaining ?? state.limits.minuteRemaining,
+    dayRemaining: dayRemaining ?? state.limits.dayRemaining,
+    appMinuteRemaining: appMinuteRemaining ?? state.limits.appMinuteRemaining,
+    updatedAt: new Date().toISOString()
+  };
+
+  // Other processes share the same limit, so trust Xero over our own count
+  if (minuteRemaining === 0) {
+    const windowStart = state.sentAt[0] || Date.now();
+    state.pausedUntil = Math.max(state.pausedUntil, windowStart + MINUTE_MS);
+  }
+
+  if (dayRemaining !== null && dayRemaining <= DAY_LIMIT_WARNING &&
+      (previousDay === null || previousDay > DAY_LIMIT_WARNING)) {
+    console.warn(`⚠️  Xero daily API limit for tenant ${tenantId} is running low: ${dayRemaining} calls left`);
+  }
+}
+
+/**
+ * Last known rate limit state of a tenant
+ *
+ * @param {string} tenantId - Xero tenant ID
+ * @returns {Object} - { minuteRemaining, dayRemaining, appMinuteRemaining, updatedAt, queued, active, pausedUntil }
+ */
+function getRateLimits(tenantId) {
+  // Reading must not create queue state for tenants we never called
+  const state = tenants.get(tenantId || 'none');
+
+  if (!state) {
+    return {
+      minuteRemaining: null,
+      dayRemaining: null,
+      appMinuteRemaining: null,
+      updatedAt: null,
+      queued: 0,
+      active: 0,
+      pausedUntil: null
+    };
+  }
+
+  return {
+    ...state.limits,
+    queued: state.queue.length,
+    active: state.active,
+    pausedUntil: state.pausedUntil > Date.now() ? new Date(state.pausedUntil).toISOString() : null
+  };
+}
+
+// ==========================================
+// RETRIES
+// ==========================================
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Retry-After is either a number of seconds or an HTTP date
+ */
+function retryAfterMs(headers) {
+  const value = headers?.['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempt) {
+  const delay = BASE_BACKOFF_MS * 2 ** attempt;
+  return delay + Math.floor(Math.random() * delay / 2);
+}
+
+function isRetryableFailure(error, config) {
+  const status = error.response?.status;
+  const transient = status
+    ? RETRYABLE_STATUSES.includes(status)
+    : RETRYABLE_ERROR_CODES.includes(error.code);
+
+  if (!transient) return false;
+
+  const hasIdempotencyKey = Object.keys(config.headers)
+    .some(name => name.toLowerCase() === 'idempotency-key');
+
+  return SAFE_METHODS.includes(config.method) || hasIdempotencyKey;
+}
+
+// ==========================================
+// REQUEST
+// ==========================================
+
+/**
+ * Send a request to the Xero Accounting API
+ *
+ * Resolves with the axios response; rejects with the axios error once
+ * retries are exhausted, so callers keep using error.response?.data.
+ *
+ * @param {Object} options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {string} options.path - Path under /api.xro/2.0, e.g. '/Invoices'
+ * @param {string} options.url - Full URL instead of path (optional)
+ * @param {string} options.accessToken - Valid access token
+ * @param {string} options.tenantId - Xero tenant ID
+ * @param {Object} options.params - Query parameters (optional)
+ * @param {Object} options.data - JSON body (optional)
+ * @param {Object} options.headers - Extra headers (optional)
+ * @returns {Promise<Object>} - axios response
+ */
+async function xeroRequest(options) {
+  const method = (options.method || 'GET').toUpperCase();
+  const config = {
+    method,
+    url: options.url || `${XERO_API_BASE}${options.path}`,
+    params: options.params,
+    data: options.data,
+    // 304 Not Modified answers an If-Modified-Since request with nothing new
+    validateStatus: status => (status >= 200 && status < 300) || status === 304,
+    headers: {
+      'Authorization': `Bearer ${options.accessToken}`,
+      'Xero-tenant-id': options.tenantId,
+      'Accept': 'application/json',
+      ...(options.data !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...options.headers
+    }
+  };
+
+  const state = tenantState(options.tenantId);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await schedule(state, () => transport(config));
+      recordLimits(state, options.tenantId, response.headers);
+      return response;
+
+    } catch (error) {
+      const headers = error.response?.headers;
+      recordLimits(state, options.tenantId, headers);
+
+      if (error.response?.status === 429) {
+        const problem = headers?.['x-rate-limit-problem'] || 'minute';
+        const wait = retryAfterMs(headers) ?? backoffMs(attempt);
+
+        if (attempt >= MAX_RETRIES || wait > MAX_RETRY_AFTER_MS) {
+          error.message = `Xero ${problem} rate limit reached, retry in ${Math.ceil(wait / 1000)}s`;
+          throw error;
+        }
+
+        // Hold the whole tenant queue, not just this call
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + wait);
+        console.warn(`⏳ Xero ${problem} rate limit hit for ${method} ${config.url}, retrying in ${Math.ceil(wait / 1000)}s`);
+        continue;
+      }
+
+      if (attempt < MAX_RETRIES && isRetryableFailure(error, config)) {
+        const wait = backoffMs(attempt);
+        console.warn(`🔁 Xero ${method} ${config.url} failed (${error.response?.status || error.code}), retry ${attempt + 1}/${MAX_RETRIES} in ${wait}ms`);
+        await sleep(wait);
+        continue;
+      }
+
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  XERO_API_BASE,
+  MAX_CONCURRENT,
+  MAX_CALLS_PER_MINUTE,
+  xeroRequest,
+  getRateLimits,
+  setTransport
+};
@@ -17,10 +17,8 @@
 // Frontend deployed on Netlify, backend deployed on Render
 const API_BASE_URL = 'https://xero-aichatbot.onrender.com';  // Render backend
 
-// Session ID for maintaining conversation context
-// Use existing session from localStorage or create new one
-const SESSION_ID = localStorage.getItem('xero_session_id') || 'user_' + Date.now();
-localStorage.setItem('xero_session_id', SESSION_ID);
+// Conversation context and Xero connection belong to the logged-in user;
+// the backend identifies them from the HttpOnly auth cookie
 
 // ==========================================
 // DOM ELEMENTS
@@ -40,6 +38,12 @@ const modalBody = document.getElementById('modal-body');
 const modalClose = document.getElementById('modal-close');
 const btnCloseModal = document.getElementById('btn-close-modal');
 const quickActions = document.querySelectorAll('.quick-action');
+const loginModal = document.getElementById('login-modal');
+const loginForm = document.getElementById('login-form');
+const loginUsername = document.getElementById('login-username');
+const loginPassword = document.getElementById('login-password');
+const loginError = document.getElementById('login-error');
+const btnRegister = document.getElementById('btn-register');
 
 // ==========================================
 // STATE
@@ -55,16 +59,9 @@ let isTyping = false;
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
   console.log('🚀 Xero Chatbot Initialized');
-  console.log('Session ID:', SESSION_ID);
 
-  // Check for Xero tokens in localStorage
-  const xeroTokens = localStorage.getItem('xero_tokens');
-  if (xeroTokens) {
-    xeroConnected = true;
-    updateStatus(true);
-    xeroBanner.style.display = 'none';
-    console.log('✅ Xero connected from localStorage');
-  }
+  // Tokens from older versions are no longer used; the session lives in an HttpOnly cookie
+  localStorage.removeItem('xero_tokens');
 
   checkXeroStatus();
 });
@@ -76,9 +73,8 @@ window.addEventListener('message', (event) => {
     return;
   }
 
-  if (event.data && event.data.accessToken) {
-    // Save Xero tokens
-    localStorage.setItem('xero_tokens', JSON.stringify(event.data));
+  if (event.data && event.data.type === 'xero_connected') {
+    // Tokens stay in the HttpOnly session cookie; only the outcome is posted
     xeroConnected = true;
     updateStatus(true);
     xeroBanner.style.display = 'none';
@@ -86,6 +82,82 @@ window.addEventListener('message', (event) => {
   }
 });
 
+// ==========================================
+// AUTHENTICATION
+// ==========================================
+
+/**
+ * Call the backend with the auth cookie; opens the login modal on 401
+ */
+async function apiFetch(path, options = {}) {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    credentials: 'include'
+  });
+
+  if (response.status === 401) {
+    const data = await response.clone().json().catch(() => ({}));
+    if (data.type === 'auth_required') {
+      showLoginModal();
+    }
+  }
+
+  return response;
+}
+
+/**
+ * Show the login modal
+ */
+function showLoginModal(message = '') {
+  loginError.textContent = message;
+  loginModal.style.display = 'flex';
+  loginUsername.focus();
+}
+
+/**
+ * Log in or register, then refresh the Xero status
+ */
+async function submitCredentials(endpoint) {
+  loginError.textContent = '';
+
+  try {
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        username: loginUsername.value.trim(),
+        password: loginPassword.value
+      })
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      loginError.textContent = data.error || 'Login failed';
+      return;
+    }
+
+    loginPassword.value = '';
+    loginModal.style.display = 'none';
+    addBotMessage(`👋 Logged in as **${data.user.username}**`);
+    checkXeroStatus();
+  } catch (error) {
+    console.error('Login error:', error);
+    loginError.textContent = 'Error communicating with the server. Please try again.';
+  }
+}
+
+loginForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  submitCredentials('/auth/login');
+});
+
+btnRegister.addEventListener('click', () => {
+  submitCredentials('/auth/register');
+});
+
 // ==========================================
 // XERO CONNECTION
 // ==========================================
@@ -95,8 +167,8 @@ window.addEventListener('message', (event) => {
  */
 async function checkXeroStatus() {
   try {
-    console.log('Checking Xero status for session:', SESSION_ID);
-    const response = await fetch(`${API_BASE_URL}/xero/status?session_id=${SESSION_ID}`);
+    console.log('Checking Xero status...');
+    const response = await apiFetch('/xero/status');
     const data = await response.json();
 
     console.log('Status response:', data);
@@ -109,6 +181,9 @@ async function checkXeroStatus() {
       // Don't auto-connect - let user manually connect
       xeroConnected = false;
       updateStatus(false);
+      if (data.status === 'needs_reauth') {
+        statusText.textContent = 'Xero Reconnect Needed';
+      }
       xeroBanner.style.display = 'block'; // Show banner with connect button
       console.log('Not connected to Xero - waiting for user to connect manually');
     }
@@ -122,6 +197,22 @@ async function checkXeroStatus() {
   }
 }
 
+/**
+ * Show notifications queued by the backend (e.g. an invoice was paid)
+ */
+async function checkNotifications() {
+  try {
+    const response = await apiFetch('/chat/notifications');
+    const data = await response.json();
+
+    (data.notifications || []).forEach(notification => {
+      addBotMessage(notification.message);
+    });
+  } catch (error) {
+    console.error('Notification check failed:', error);
+  }
+}
+
 /**
  * Update status indicator
  */
@@ -145,10 +236,7 @@ async function connectToXero() {
     // Add message to inform user
     addBotMessage('🔗 Connecting to Xero... Please authorize in the popup window.');
 
-    // Store session ID in localStorage for sharing between windows
-    localStorage.setItem('xero_session_id', SESSION_ID);
-
-    const response = await fetch(`${API_BASE_URL}/xero/auth?session_id=${SESSION_ID}`);
+    const response = await apiFetch('/xero/auth');
     const data = await response.json();
 
     if (data.success && data.authorization_url) {
@@ -158,7 +246,7 @@ async function connectToXero() {
       // Poll for connection status
       const checkInterval = setInterval(async () => {
         try {
-          const statusResponse = await fetch(`${API_BASE_URL}/xero/status?session_id=${SESSION_ID}`);
+          const statusResponse = await apiFetch('/xero/status');
           const statusData = await statusResponse.json();
 
           if (statusData.connected) {
@@ -230,11 +318,12 @@ chatForm.addEventListener('submit', async (e) => {
     // Get conversation history from localStorage
     const conversationHistory = JSON.parse(localStorage.getItem('conversation_history') || '[]');
 
-    // Send message to backend
-    const response = await fetch(`${API_BASE_URL}/chat`, {
+    // Send message to backend (a resend of this message would reuse its Idempotency-Key)
+    const response = await apiFetch('/chat', {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'Idempotency-Key': newRequestId()
       },
       body: JSON.stringify({
         message: message,
@@ -248,12 +337,12 @@ chatForm.addEventListener('submit', async (e) => {
     showTypingIndicator(false);
     isTyping = false;
 
-    if (data.success) {
-      // Save updated conversation history
-      if (data.conversationHistory) {
-        localStorage.setItem('conversation_history', JSON.stringify(data.conversationHistory));
-      }
+    // Save updated conversation history (including notes for the model, e.g. why Xero rejected an action)
+    if (data.conversationHistory) {
+      localStorage.setItem('conversation_history', JSON.stringify(data.conversationHistory));
+    }
 
+    if (data.success) {
       addBotMessage(data.message);
 
       if (data.type === 'invoice_created') {
@@ -264,6 +353,9 @@ chatForm.addEventListener('submit', async (e) => {
         addBotMessage(data.message);
         addBotMessage(`❌ Error: ${data.xero_error}`);
       }
+    } else if (data.type === 'xero_error') {
+      // Already explained, with the fields Xero rejected
+      addBotMessage(data.message);
     } else {
       addBotMessage(`❌ Error: ${data.error || 'Unknown error occurred'}`);
     }
@@ -373,10 +465,13 @@ function showLoading(show) {
 
 /**
  * Format message with basic markdown support
+ *
+ * Messages carry Xero data (contact names, references) and AI output, so
+ * they are escaped first; only the markdown below becomes HTML.
  */
 function formatMessage(message) {
   // Convert newlines to <br>
-  let formatted = message.replace(/\n/g, '<br>');
+  let formatted = escapeHtml(String(message)).replace(/\n/g, '<br>');
 
   // Convert **bold** to <strong>
   formatted = formatted.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
@@ -391,6 +486,16 @@ function formatMessage(message) {
   return formatted;
 }
 
+/**
+ * Unique id for one chat request (sent as its Idempotency-Key)
+ */
+function newRequestId() {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
 /**
  * Escape HTML to prevent XSS
  */
@@ -505,9 +610,10 @@ window.addEventListener('offline', () => {
 // Check Xero status on page load
 checkXeroStatus();
 
-// Check Xero status every 30 seconds
+// Check Xero status and notifications every 30 seconds
 setInterval(() => {
   checkXeroStatus();
+  checkNotifications();
 }, 30000);
 
 console.log('✅ Frontend loaded successfully');
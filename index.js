@@ -14,35 +14,46 @@ const bodyParser = require('body-parser');
 const cors = require('cors');
 const https = require('https');
 const fs = require('fs');
-const glmClient = require('./glmClient');
-const xeroClient = require('./xeroClient');
-const xeroFull = require('./xeroClientFull');
+const core = require('./core');
+const { createSessionStore } = require('./sessionStore');
+const tokenCrypto = require('./tokenCrypto');
+const { startTokenKeepAlive } = require('./tokenKeepAlive');
+const { createSessionTokens } = require('./sessionTokens');
+const auth = require('./auth');
+const permissions = require('./permissions');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Sites allowed to call the API from a browser (CORS_ORIGINS, comma-separated)
+const ALLOWED_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : ['http://localhost:8080', 'https://xerochatbot.netlify.app', 'http://127.0.0.1:8080'];
+
 // Middleware
 // Allow requests from Netlify frontend
 app.use(cors({
-  origin: [
-    'http://localhost:8080',
-    'https://xerochatbot.netlify.app',
-    'http://127.0.0.1:8080'
-  ],
+  origin: ALLOWED_ORIGINS,
   credentials: true
 }));
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+app.use(bodyParser.json({
+  // Webhook signatures are computed over the exact bytes Xero sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/xero/webhooks')) req.rawBody = buf;
+  }
+}));
+// Writes authenticated by the cookie must come from an allowed site, as JSON
+app.use(auth.rejectCrossSiteRequests(ALLOWED_ORIGINS));
 
 // ==========================================
-// SESSION STORAGE (In-memory for demo)
-// In production, use Redis or database
+// SESSION STORAGE
+// Backend selected by SESSION_STORE (memory or file)
 // ==========================================
-const sessions = new Map();
+const sessions = createSessionStore();
 
 /**
- * Store session data
+ * Store session data (merged into any existing session)
  */
 function setSession(sessionId, data) {
   const existing = sessions.get(sessionId) || {};
@@ -60,73 +71,187 @@ function getSession(sessionId) {
   return sessions.get(sessionId);
 }
 
+// ==========================================
+// PENDING OAUTH AUTHORISATIONS
+// One record per OAuth state: valid for 10 minutes and usable once.
+// Records are kept for an hour so reused/expired states get a clear error.
+// ==========================================
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const pendingAuthorisations = createSessionStore({
+  name: 'OAuth state',
+  filePath: process.env.OAUTH_STATE_FILE || './data/oauth-states.json',
+  ttlHours: 1
+});
+
 /**
- * Find session by OAuth state
+ * Record a new authorisation request for the given OAuth state
  */
-function getSessionByOAuthState(state) {
-  for (const [sessionId, data] of sessions.entries()) {
-    if (data.oauthState === state) {
-      return { sessionId, data };
-    }
+function createPendingAuthorisation(state, sessionId, codeVerifier) {
+  const now = Date.now();
+  pendingAuthorisations.set(state, {
+    sessionId,
+    codeVerifier: tokenCrypto.encrypt(codeVerifier),
+    createdAt: now,
+    updatedAt: now,
+    used: false
+  });
+}
+
+/**
+ * Validate an OAuth state from the callback and mark it as used
+ *
+ * @param {string} state - State returned by Xero
+ * @returns {Object} - { valid: true, sessionId, codeVerifier } or { valid: false, reason }
+ */
+function consumePendingAuthorisation(state) {
+  if (!state) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const record = pendingAuthorisations.get(state);
+  if (!record) {
+    return { valid: false, reason: 'unknown' };
   }
-  return null;
+
+  if (record.used) {
+    return { valid: false, reason: 'used' };
+  }
+
+  // Burn the state before anything else so it can never be retried
+  pendingAuthorisations.set(state, { ...record, used: true, usedAt: Date.now() });
+
+  if (Date.now() - record.createdAt > OAUTH_STATE_TTL_MS) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return {
+    valid: true,
+    sessionId: record.sessionId,
+    codeVerifier: tokenCrypto.decrypt(record.codeVerifier)
+  };
 }
 
+const OAUTH_STATE_ERRORS = {
+  missing: 'The response from Xero did not include a state parameter.',
+  unknown: 'This authorisation request was not started from this app, or it is too old.',
+  used: 'This authorisation link has already been used.',
+  expired: 'This authorisation request has expired.'
+};
+
 /**
- * Check if access token needs refresh
+ * Send an HTML error page for a failed Xero connection
  */
-function needsRefresh(expiresAt) {
-  if (!expiresAt) return true;
-  // Refresh 5 minutes before expiration
-  return Date.now() > (expiresAt - 300000);
+function sendAuthErrorPage(res, status, message) {
+  res.status(status).send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Xero Connection Failed</title>
+      <style>
+        body {
+          font-family: Arial, sans-serif;
+          max-width: 600px;
+          margin: 50px auto;
+          text-align: center;
+          padding: 20px;
+        }
+        .error {
+          color: #C62828;
+          font-size: 24px;
+          margin-bottom: 20px;
+        }
+        .info {
+          background: #FFEBEE;
+          padding: 20px;
+          border-radius: 8px;
+          margin: 20px 0;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="error">❌ Xero Connection Failed</div>
+      <div class="info">
+        <p>${message}</p>
+      </div>
+      <p>Please close this window and click "Connect Xero" again.</p>
+    </body>
+    </html>
+  `);
 }
 
 /**
- * Refresh access token with proper error handling and logging
+ * Find one of the session's connected organisations by tenant ID
  */
-async function ensureValidToken(sessionId) {
-  const session = getSession(sessionId);
-  if (!session || !session.connected) {
-    return { success: false, error: 'Not connected to Xero' };
-  }
+function findTenant(session, tenantId) {
+  return (session?.tenants || []).find(tenant => tenant.tenantId === tenantId) || null;
+}
 
-  if (!session.refreshToken) {
-    return { success: false, error: 'No refresh token available' };
-  }
+// Decrypted sessions with a valid access token; refreshes are single-flight per session
+const { ensureValidToken, decryptSessionTokens } = createSessionTokens({ getSession, setSession });
 
-  // Check if token needs refresh
-  if (!needsRefresh(session.expiresAt)) {
-    console.log('✅ Token is still valid, expires at:', new Date(session.expiresAt).toISOString());
-    return { success: true, session };
-  }
+// ==========================================
+// AUTHENTICATION
+// Every /chat, /xero/* and /api/* request must come from a logged-in user.
+// /xero/callback arrives from Xero and is protected by its one-time state,
+// /xero/webhooks by its HMAC signature.
+// ==========================================
+// Always on disk, whatever SESSION_STORE says: an empty registry after a
+// restart would hand admin to whoever registers first
+const users = auth.createUserRegistry(createSessionStore({
+  name: 'User',
+  type: 'file',
+  filePath: process.env.USER_FILE || './data/users.json',
+  ttlHours: 0
+}));
 
-  console.log('🔄 Refreshing access token...');
-  console.log('📊 Token expired at:', new Date(session.expiresAt).toISOString());
-  console.log('📊 Current time:', new Date().toISOString());
+// Accounts created before roles existed: the oldest one becomes admin
+if (users.count() > 0 && !users.list().some(user => user.role === 'admin')) {
+  const [oldest] = users.list();
+  users.setRole(oldest.id, 'admin');
+  console.log('👤 Promoted', oldest.username, 'to admin');
+}
 
-  try {
-    const refreshResult = await xeroClient.refreshAccessToken(session.refreshToken);
+const PUBLIC_PATHS = ['/xero/callback', '/xero/webhooks'];
+const authenticate = auth.requireAuth(users);
 
-    if (!refreshResult.success) {
-      console.error('❌ Token refresh failed:', refreshResult.error);
-      return { success: false, error: 'Token refresh failed', details: refreshResult.error };
-    }
+app.use(['/chat', '/xero', '/api', '/auth/me', '/auth/api-keys', '/auth/users'], (req, res, next) => {
+  if (PUBLIC_PATHS.includes(req.baseUrl + req.path)) return next();
+  authenticate(req, res, next);
+});
 
-    console.log('✅ Token refreshed successfully');
-    console.log('📊 New token expires at:', new Date(refreshResult.tokens.expiresAt).toISOString());
+// Role checks for the REST API (see permissions.js for the policy table)
+app.use('/api', permissions.authorizeRoute());
 
-    // Update session while preserving ALL existing data
-    setSession(sessionId, {
-      accessToken: refreshResult.tokens.accessToken,
-      refreshToken: refreshResult.tokens.refreshToken || session.refreshToken,
-      expiresAt: refreshResult.tokens.expiresAt
-    });
+/**
+ * Chat/Xero session key for the authenticated user
+ */
+function sessionIdFor(req) {
+  return `user:${req.user.id}`;
+}
 
-    return { success: true, session: getSession(sessionId) };
-  } catch (error) {
-    console.error('❌ Token refresh error:', error);
-    return { success: false, error: error.message };
-  }
+// ==========================================
+// IDEMPOTENT XERO WRITES
+// Creates and updates already done for an Idempotency-Key request header
+// (on /chat and /api) are replayed instead of repeated
+// ==========================================
+const idempotencyRecords = core.idempotency.createIdempotencyRecords(createSessionStore({
+  name: 'Idempotency key',
+  filePath: process.env.IDEMPOTENCY_FILE || './data/idempotency-keys.json',
+  ttlHours: Number(process.env.IDEMPOTENCY_TTL_HOURS || 24)
+}));
+
+/**
+ * Run a REST create/update once per Idempotency-Key request header
+ * (without the header every call runs, still with a fresh key sent to Xero)
+ *
+ * @param {Function} operation - (idempotencyKey) => entity function result
+ */
+function runIdempotent(req, session, operation) {
+  const clientKey = req.get('Idempotency-Key');
+  if (!clientKey) return operation(undefined);
+
+  const key = core.idempotency.deriveKey(sessionIdFor(req), session.tenantId, req.method, req.path, clientKey);
+  return idempotencyRecords.run(key, operation);
 }
 
 // ==========================================
@@ -152,15 +277,212 @@ app.get('/', (req, res) => {
     name: 'Xero Chatbot API',
     version: '1.0.0',
     endpoints: {
+      register: 'POST /auth/register',
+      login: 'POST /auth/login',
+      logout: 'POST /auth/logout',
+      users: 'GET /auth/users',
+      setUserRole: 'PUT /auth/users/:userId/role',
       chat: 'POST /chat',
       xeroAuth: 'GET /xero/auth',
       xeroCallback: 'GET /xero/callback',
-      xeroDisconnect: 'POST /xero/disconnect'
+      xeroTenants: 'GET /xero/tenants',
+      xeroSelectTenant: 'POST /xero/tenant',
+      xeroDisconnect: 'POST /xero/disconnect',
+      xeroWebhooks: 'POST /xero/webhooks',
+      notifications: 'GET /chat/notifications'
     },
     documentation: 'See README.md for usage examples'
   });
 });
 
+/**
+ * Create an account
+ *
+ * Open only for the very first user, or when AUTH_ALLOW_SIGNUP=true
+ */
+app.post('/auth/register', (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (users.count() > 0 && process.env.AUTH_ALLOW_SIGNUP !== 'true') {
+      return res.status(403).json({
+        success: false,
+        error: 'Sign-up is closed. Ask an administrator for an account.'
+      });
+    }
+
+    // The first account administers the rest
+    const role = users.count() === 0
+      ? 'admin'
+      : (permissions.isValidRole(process.env.AUTH_DEFAULT_ROLE) ? process.env.AUTH_DEFAULT_ROLE : permissions.DEFAULT_ROLE);
+
+    const result = users.createUser({ username, password, role });
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    console.log('👤 User registered:', result.user.username);
+
+    const { token, expiresAt } = auth.issueAuthCookie(res, result.user.id);
+    res.status(201).json({
+      success: true,
+      user: { id: result.user.id, username: result.user.username, role: result.user.role },
+      token,
+      expiresAt: new Date(expiresAt).toISOString()
+    });
+
+  } catch (error) {
+    console.error('Register error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Log in with username and password
+ *
+ * Sets the auth cookie and also returns the token for "Authorization: Bearer" use
+ */
+app.post('/auth/login', (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = users.authenticate(username, password);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        type: 'auth_required',
+        error: 'Invalid username or password'
+      });
+    }
+
+    const { token, expiresAt } = auth.issueAuthCookie(res, user.id);
+    res.json({
+      success: true,
+      user: { id: user.id, username: user.username, role: permissions.roleOf(user) },
+      token,
+      expiresAt: new Date(expiresAt).toISOString()
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Log out (clears the auth cookie)
+ */
+app.post('/auth/logout', (req, res) => {
+  auth.clearAuthCookie(res);
+  res.json({ success: true, message: 'Logged out' });
+});
+
+/**
+ * Get the logged-in user
+ */
+app.get('/auth/me', (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+/**
+ * Create an API key for the logged-in user (the key is only shown once)
+ */
+app.post('/auth/api-keys', (req, res) => {
+  try {
+    const key = users.addApiKey(req.user.id, req.body.label);
+    res.status(201).json({
+      success: true,
+      ...key,
+      message: 'Store this key now - it cannot be shown again'
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Revoke one of the logged-in user's API keys
+ */
+app.delete('/auth/api-keys/:keyId', (req, res) => {
+  const removed = users.removeApiKey(req.user.id, req.params.keyId);
+  if (!removed) {
+    return res.status(404).json({ success: false, error: 'API key not found' });
+  }
+  res.json({ success: true, message: 'API key revoked' });
+});
+
+/**
+ * List users and their roles (admin only)
+ */
+app.get('/auth/users', (req, res) => {
+  if (!permissions.can(req.user, 'manage_users')) {
+    return res.status(403).json(permissions.forbiddenResponse(req.user, 'manage_users'));
+  }
+
+  res.json({
+    success: true,
+    roles: permissions.ROLES,
+    users: users.list().map(user => ({ ...user, role: permissions.roleOf(user) }))
+  });
+});
+
+/**
+ * Change a user's role (admin only)
+ */
+app.put('/auth/users/:userId/role', (req, res) => {
+  try {
+    if (!permissions.can(req.user, 'manage_users')) {
+      return res.status(403).json(permissions.forbiddenResponse(req.user, 'manage_users'));
+    }
+
+    const { role } = req.body;
+    if (!permissions.isValidRole(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${permissions.ROLES.join(', ')}`
+      });
+    }
+
+    // Never leave the system without an administrator
+    const admins = users.list().filter(user => user.role === 'admin');
+    if (role !== 'admin' && admins.length === 1 && admins[0].id === req.params.userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot remove the last admin'
+      });
+    }
+
+    const user = users.setRole(req.params.userId, role);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    console.log(`👤 ${req.user.username} set role of ${user.username} to ${role}`);
+    res.json({
+      success: true,
+      user: { id: user.id, username: user.username, role: user.role }
+    });
+
+  } catch (error) {
+    console.error('Set role error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Initiate Xero OAuth2 authentication
  *
@@ -168,11 +490,11 @@ app.get('/', (req, res) => {
  */
 app.get('/xero/auth', async (req, res) => {
   try {
-    const { url, state } = xeroClient.getAuthorizationUrl();
+    const { url, state, codeVerifier } = core.oauth.getAuthorizationUrl();
 
-    // Store state in session for verification during callback
-    const sessionId = req.query.session_id || 'default';
-    setSession(sessionId, { oauthState: state });
+    // Remember which session started this request, for the callback
+    const sessionId = sessionIdFor(req);
+    createPendingAuthorisation(state, sessionId, codeVerifier);
 
     res.json({
       success: true,
@@ -199,13 +521,22 @@ app.get('/xero/callback', async (req, res) => {
     const { code, state } = req.query;
 
     if (!code) {
-      return res.status(400).send('Missing authorization code');
+      return sendAuthErrorPage(res, 400, 'Missing authorization code.');
+    }
+
+    // Only accept states issued by /xero/auth, once, within their lifetime
+    const pending = consumePendingAuthorisation(state);
+    if (!pending.valid) {
+      console.error(`❌ Rejected OAuth callback: ${pending.reason} state`);
+      return sendAuthErrorPage(res, 400, OAUTH_STATE_ERRORS[pending.reason]);
     }
 
+    const { sessionId, codeVerifier } = pending;
+
     console.log('🔑 Received OAuth callback, exchanging code for tokens...');
 
     // Exchange code for access token
-    const tokenResult = await xeroClient.exchangeCodeForToken(code);
+    const tokenResult = await core.oauth.exchangeCodeForToken(code, codeVerifier);
 
     if (!tokenResult.success) {
       console.error('❌ Token exchange failed:', tokenResult.error);
@@ -220,7 +551,7 @@ app.get('/xero/callback', async (req, res) => {
     console.log('🔑 Getting tenants (organizations)...');
 
     // Get tenants (organizations)
-    const tenantsResult = await xeroClient.getTenants(tokenResult.tokens.accessToken);
+    const tenantsResult = await core.oauth.getTenants(tokenResult.tokens.accessToken);
 
     if (!tenantsResult.success) {
       console.error('❌ Get tenants failed:', tenantsResult.error);
@@ -230,32 +561,37 @@ app.get('/xero/callback', async (req, res) => {
       });
     }
 
+    if (tenantsResult.tenants.length === 0) {
+      console.error('❌ No tenants found');
+      return res.status(400).json({
+        success: false,
+        error: 'No Xero organisations are connected to this account'
+      });
+    }
+
     console.log(`✅ Found ${tenantsResult.tenants.length} tenants:`);
     tenantsResult.tenants.forEach((tenant, index) => {
       console.log(`   ${index + 1}. ${tenant.tenantName} (${tenant.tenantId})`);
     });
 
-    // Get session ID from state (which was set during auth initiation)
-    const sessionData = getSessionByOAuthState(state);
-    const sessionId = sessionData?.sessionId || 'default';
-
-    // Select Mega Genset Malaysia Sdn Bhd tenant (exclude Demo Company)
-    const selectedTenant = tenantsResult.tenants.find(tenant =>
-      tenant.tenantId === '28ceb5ab-5dc9-45bf-88a2-0564bd8fa561' ||
-      tenant.tenantName === 'Mega Genset Malaysia Sdn Bhd'
-    ) || tenantsResult.tenants[0]; // Fallback to first if not found
+    // Keep the previously active organisation if possible; it can be switched via POST /xero/tenant
+    const selectedTenant = core.oauth.selectDefaultTenant(tenantsResult.tenants, getSession(sessionId)?.tenantId);
 
     console.log(`💾 Storing session for: ${sessionId}`);
     console.log(`📊 Selected tenant: ${selectedTenant.tenantName} (${selectedTenant.tenantId})`);
 
-    // Store session data while preserving existing data (like oauthState)
+    // Store session data while preserving existing data (like conversation history)
     setSession(sessionId, {
-      accessToken: tokenResult.tokens.accessToken,
-      refreshToken: tokenResult.tokens.refreshToken,
+      accessToken: tokenCrypto.encrypt(tokenResult.tokens.accessToken),
+      refreshToken: tokenCrypto.encrypt(tokenResult.tokens.refreshToken),
       expiresAt: tokenResult.tokens.expiresAt,
       tenantId: selectedTenant.tenantId,
       tenantName: selectedTenant.tenantName,
-      tenants: tenantsResult.tenants, // Store all tenants for future use
+      tenants: tenantsResult.tenants, // All connected organisations, see GET /xero/tenants
+      xeroUser: tokenResult.user, // Person who authorised the connection (from the id_token)
+      refreshTokenIssuedAt: Date.now(),
+      connectionStatus: 'connected',
+      reauthReason: null,
       connected: true
     });
 
@@ -296,6 +632,7 @@ app.get('/xero/callback', async (req, res) => {
         <div class="info">
           <p><strong>Tenant:</strong> ${selectedTenant.tenantName}</p>
           <p><strong>Tenant ID:</strong> <code>${selectedTenant.tenantId}</code></p>
+          ${tenantsResult.tenants.length > 1 ? `<p>${tenantsResult.tenants.length} organisations connected. You can switch the active one from the chatbot.</p>` : ''}
           <p>You can now use the chatbot to create invoices and quotations.</p>
         </div>
         <p>You can close this window and return to your application.</p>
@@ -311,18 +648,105 @@ app.get('/xero/callback', async (req, res) => {
 
 /**
  * Disconnect Xero account
+ *
+ * With tenant_id, removes only that organisation's connection. Without it,
+ * removes every connection and revokes the refresh token. Either way the
+ * conversation is cleared. Local data is always removed, even if Xero
+ * could not be reached; failed remote steps are listed in the response.
  */
-app.post('/xero/disconnect', (req, res) => {
+app.post('/xero/disconnect', async (req, res) => {
   try {
-    const sessionId = req.body.session_id || 'default';
+    const { tenant_id } = req.body;
+    const sessionId = sessionIdFor(req);
+    const storedSession = getSession(sessionId);
 
-    if (sessions.has(sessionId)) {
+    if (!storedSession || !storedSession.connected) {
+      sessions.delete(sessionId);
+      return res.json({
+        success: true,
+        message: 'Xero account disconnected successfully'
+      });
+    }
+
+    const targetTenants = tenant_id
+      ? [findTenant(storedSession, tenant_id)].filter(Boolean)
+      : (storedSession.tenants || []);
+
+    if (tenant_id && targetTenants.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Tenant is not one of the organisations connected to this session'
+      });
+    }
+
+    const remainingTenants = (storedSession.tenants || [])
+      .filter(tenant => !targetTenants.includes(tenant));
+    const disconnectAll = remainingTenants.length === 0;
+
+    const results = { connections: [], revocation: null };
+
+    // Remote cleanup needs a working token; without one we can only clear local data
+    const tokenCheck = await ensureValidToken(sessionId);
+
+    if (!tokenCheck.success) {
+      console.error('⚠️  Cannot reach Xero to disconnect, clearing local session only:', tokenCheck.error);
+      targetTenants.forEach(tenant => results.connections.push({
+        tenantId: tenant.tenantId,
+        tenantName: tenant.tenantName,
+        success: false,
+        error: 'Skipped: ' + tokenCheck.error
+      }));
+      if (disconnectAll) {
+        results.revocation = { success: false, error: 'Skipped: ' + tokenCheck.error };
+      }
+    } else {
+      const { accessToken, refreshToken } = tokenCheck.session;
+
+      for (const tenant of targetTenants) {
+        const result = await core.oauth.deleteConnection(accessToken, tenant.id);
+        results.connections.push({
+          tenantId: tenant.tenantId,
+          tenantName: tenant.tenantName,
+          success: result.success,
+          error: result.error
+        });
+      }
+
+      if (disconnectAll) {
+        results.revocation = await core.oauth.revokeToken(refreshToken);
+      }
+    }
+
+    // Update local state regardless of remote results
+    if (disconnectAll) {
       sessions.delete(sessionId);
+    } else {
+      const activeTenant = core.oauth.selectDefaultTenant(remainingTenants, storedSession.tenantId);
+      setSession(sessionId, {
+        tenants: remainingTenants,
+        tenantId: activeTenant.tenantId,
+        tenantName: activeTenant.tenantName,
+        conversationHistory: []
+      });
     }
 
+    const failures = [
+      ...results.connections.filter(result => !result.success),
+      ...(results.revocation && !results.revocation.success ? [results.revocation] : [])
+    ];
+
     res.json({
-      success: true,
-      message: 'Xero account disconnected successfully'
+      success: failures.length === 0,
+      partial: failures.length > 0,
+      message: failures.length === 0
+        ? (disconnectAll ? 'Xero account disconnected successfully' : 'Xero organisation disconnected successfully')
+        : 'Disconnected locally, but some steps failed on Xero. You can also remove the app under Connected Apps in Xero.',
+      disconnected_all: disconnectAll,
+      remaining_tenants: remainingTenants.map(tenant => ({
+        tenantId: tenant.tenantId,
+        tenantName: tenant.tenantName
+      })),
+      results
     });
 
   } catch (error) {
@@ -335,28 +759,53 @@ app.post('/xero/disconnect', (req, res) => {
 });
 
 /**
- * Check Xero connection status
+ * List the organisations connected to this session
+ *
+ * Pass refresh=true to reload the list from Xero's Connections API
  */
-app.get('/xero/status', (req, res) => {
+app.get('/xero/tenants', async (req, res) => {
   try {
-    const sessionId = req.query.session_id || 'default';
-    const session = getSession(sessionId);
+    const { refresh } = req.query;
+    const sessionId = sessionIdFor(req);
+    let session = getSession(sessionId);
 
     if (!session || !session.connected) {
-      return res.json({
-        connected: false,
-        message: 'Xero account not connected. Please authenticate first.'
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    if (refresh === 'true') {
+      const activeSession = await getActiveSession(sessionId);
+      if (!activeSession) {
+        return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+      }
+
+      const tenantsResult = await core.oauth.getTenants(activeSession.accessToken);
+      if (!tenantsResult.success) {
+        return res.status(502).json({ success: false, error: tenantsResult.error });
+      }
+
+      const activeTenant = core.oauth.selectDefaultTenant(tenantsResult.tenants, session.tenantId);
+      setSession(sessionId, {
+        tenants: tenantsResult.tenants,
+        tenantId: activeTenant?.tenantId || null,
+        tenantName: activeTenant?.tenantName || null
       });
+      session = getSession(sessionId);
     }
 
     res.json({
-      connected: true,
-      tenantName: session.tenantName,
-      tenantId: session.tenantId
+      success: true,
+      activeTenantId: session.tenantId,
+      tenants: (session.tenants || []).map(tenant => ({
+        tenantId: tenant.tenantId,
+        tenantName: tenant.tenantName,
+        tenantType: tenant.tenantType,
+        active: tenant.tenantId === session.tenantId
+      }))
     });
 
   } catch (error) {
-    console.error('Status check error:', error);
+    console.error('List tenants error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -365,557 +814,1043 @@ app.get('/xero/status', (req, res) => {
 });
 
 /**
- * MAIN CHAT ENDPOINT
- *
- * Handles user messages, integrates with GLM-4-Flash AI,
- * and creates invoices/quotations in Xero when requested
+ * Switch the active organisation for this session
  */
-app.post('/chat', async (req, res) => {
+app.post('/xero/tenant', (req, res) => {
   try {
-    const { message, session_id = 'default' } = req.body;
+    const { tenant_id } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = getSession(sessionId);
 
-    if (!message) {
-      return res.status(400).json({
-        success: false,
-        error: 'Message is required'
-      });
+    if (!session || !session.connected) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    // Get or create session
-    let session = getSession(session_id);
-    if (!session) {
-      session = {
-        conversationHistory: [],
-        connected: false
-      };
-      setSession(session_id, session);
+    if (!tenant_id) {
+      return res.status(400).json({ success: false, error: 'tenant_id is required' });
     }
 
-    // Ensure we have a valid token before processing
-    if (session.connected && session.refreshToken) {
-      const tokenCheck = await ensureValidToken(session_id);
-      if (!tokenCheck.success) {
-        console.error('❌ Token validation failed:', tokenCheck.error);
-        return res.status(401).json({
-          success: false,
-          error: 'Xero authentication failed. Please reconnect.',
-          details: tokenCheck.error
-        });
-      }
-      session = tokenCheck.session;
+    const tenant = findTenant(session, tenant_id);
+    if (!tenant) {
+      return res.status(403).json({
+        success: false,
+        error: 'Tenant is not one of the organisations connected to this session'
+      });
     }
 
-    // Get AI response from GLM-4-Flash
-    const aiResponse = await glmClient.chatWithGLM(
-      message,
-      session.conversationHistory
-    );
+    setSession(sessionId, {
+      tenantId: tenant.tenantId,
+      tenantName: tenant.tenantName
+    });
+
+    console.log(`🏢 Session ${sessionId} switched to tenant: ${tenant.tenantName} (${tenant.tenantId})`);
+
+    res.json({
+      success: true,
+      tenantId: tenant.tenantId,
+      tenantName: tenant.tenantName
+    });
+
+  } catch (error) {
+    console.error('Select tenant error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    if (!aiResponse.success) {
+/**
+ * Check Xero connection status
+ */
+app.get('/xero/status', (req, res) => {
+  try {
+    const sessionId = sessionIdFor(req);
+    const session = getSession(sessionId);
+
+    if (!session || !session.connected) {
       return res.json({
+        connected: false,
+        status: 'disconnected',
+        message: 'Xero account not connected. Please authenticate first.'
+      });
+    }
+
+    if (session.connectionStatus === 'needs_reauth') {
+      return res.json({
+        connected: false,
+        status: 'needs_reauth',
+        reason: session.reauthReason,
+        tenantName: session.tenantName,
+        tenantId: session.tenantId,
+        message: 'Xero connection expired. Please reconnect.'
+      });
+    }
+
+    res.json({
+      connected: true,
+      status: 'connected',
+      tenantName: session.tenantName,
+      tenantId: session.tenantId,
+      xeroUser: session.xeroUser || null,
+      refreshTokenIssuedAt: session.refreshTokenIssuedAt
+        ? new Date(session.refreshTokenIssuedAt).toISOString()
+        : null,
+      rateLimits: core.http.getRateLimits(session.tenantId)
+    });
+
+  } catch (error) {
+    console.error('Status check error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * MAIN CHAT ENDPOINT
+ *
+ * Handles user messages, integrates with GLM-4-Flash AI,
+ * and creates invoices/quotations in Xero when requested
+ */
+app.post('/chat', async (req, res) => {
+  try {
+    const { message, tenant_id } = req.body;
+    const sessionId = sessionIdFor(req);
+
+    if (!message) {
+      return res.status(400).json({
         success: false,
-        message: aiResponse.content,
-        error: aiResponse.error
+        error: 'Message is required'
       });
     }
 
-    // Update conversation history (keep last 10 messages)
-    session.conversationHistory.push(
-      { role: 'user', content: message },
-      { role: 'assistant', content: aiResponse.content }
-    );
-    if (session.conversationHistory.length > 20) {
-      session.conversationHistory = session.conversationHistory.slice(-20);
-    }
-
-    // If AI response is JSON (CRUD operation request)
-    if (aiResponse.isJSON && aiResponse.parsedJSON) {
-      const actionData = aiResponse.parsedJSON;
-      const action = actionData.action;
-
-      // Check if Xero is connected
-      if (!session.connected || !session.accessToken) {
-        return res.json({
-          success: true,
-          type: 'action_data',
-          message: `Here is the ${action} data ready to be executed in Xero.`,
-          data: actionData,
-          xero_connected: false,
-          note: 'Please connect Xero account first'
+    // Get or create session
+    let session = getSession(sessionId);
+    if (!session) {
+      session = {
+        conversationHistory: [],
+        connected: false
+      };
+      setSession(sessionId, session);
+    }
+
+    // Ensure we have a valid token before processing
+    if (session.connected && session.refreshToken) {
+      const tokenCheck = await ensureValidToken(sessionId);
+      if (!tokenCheck.success) {
+        console.error('❌ Token validation failed:', tokenCheck.error);
+        return res.status(401).json({
+          success: false,
+          error: 'Xero authentication failed. Please reconnect.',
+          details: tokenCheck.error
         });
       }
+      session = tokenCheck.session;
+    }
 
-      let xeroResult;
-
-      // Handle different CRUD operations
-      switch (action) {
-        // ================== GET OPERATIONS ==================
-        case 'get_invoices':
-          xeroResult = await xeroFull.getInvoices(session.accessToken, session.tenantId, actionData.filters || {});
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'data_retrieved',
-              message: `Found ${xeroResult.count} invoices`,
-              data: xeroResult.invoices
-            });
-          }
-          break;
-
-        case 'get_contacts':
-          xeroResult = await xeroFull.getContacts(session.accessToken, session.tenantId, actionData.filters || {});
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'data_retrieved',
-              message: `Found ${xeroResult.count} contacts`,
-              data: xeroResult.contacts
-            });
-          }
-          break;
-
-        case 'get_accounts':
-          xeroResult = await xeroFull.getAccounts(session.accessToken, session.tenantId, actionData.filters || {});
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'data_retrieved',
-              message: `Found ${xeroResult.count} accounts`,
-              data: xeroResult.accounts
-            });
-          }
-          break;
-
-        case 'get_items':
-          xeroResult = await xeroFull.getItems(session.accessToken, session.tenantId, actionData.filters || {});
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'data_retrieved',
-              message: `Found ${xeroResult.count} items`,
-              data: xeroResult.items
-            });
-          }
-          break;
-
-        case 'get_payments':
-          xeroResult = await xeroFull.getPayments(session.accessToken, session.tenantId, actionData.filters || {});
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'data_retrieved',
-              message: `Found ${xeroResult.count} payments`,
-              data: xeroResult.payments
-            });
-          }
-          break;
-
-        // ================== CREATE OPERATIONS ==================
-        case 'create_invoice':
-          xeroResult = await xeroFull.createInvoice(actionData, session.accessToken, session.tenantId);
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'invoice_created',
-              message: `${aiResponse.content}\n\n✅ Invoice created successfully!`,
-              xero_invoice: xeroResult.invoice,
-              invoice_url: `https://go.xero.com/AccountsReceivable/View.aspx?InvoiceID=${xeroResult.invoice.InvoiceID}`
-            });
-          }
-          break;
-
-        case 'create_contact':
-          xeroResult = await xeroFull.createContact(actionData, session.accessToken, session.tenantId);
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'contact_created',
-              message: `✅ Contact "${actionData.name}" created successfully!`,
-              contact: xeroResult.contact
-            });
-          }
-          break;
-
-        case 'create_account':
-          xeroResult = await xeroFull.createAccount(actionData, session.accessToken, session.tenantId);
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'account_created',
-              message: `✅ Account "${actionData.name}" created successfully!`,
-              account: xeroResult.account
-            });
-          }
-          break;
-
-        case 'create_item':
-          xeroResult = await xeroFull.createItem(actionData, session.accessToken, session.tenantId);
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'item_created',
-              message: `✅ Item "${actionData.name}" created successfully!`,
-              item: xeroResult.item
-            });
-          }
-          break;
-
-        case 'create_payment':
-          xeroResult = await xeroFull.createPayment(actionData, session.accessToken, session.tenantId);
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'payment_created',
-              message: `✅ Payment of RM${actionData.amount} recorded successfully!`,
-              payment: xeroResult.payment
-            });
-          }
-          break;
-
-        // ================== UPDATE OPERATIONS ==================
-        case 'update_invoice':
-          xeroResult = await xeroFull.updateInvoice(actionData.invoice_id, actionData.invoice_data, session.accessToken, session.tenantId);
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'invoice_updated',
-              message: `✅ Invoice updated successfully!`,
-              invoice: xeroResult.invoice
-            });
-          }
-          break;
-
-        case 'update_contact':
-          xeroResult = await xeroFull.updateContact(actionData.contact_id, actionData.contact_data, session.accessToken, session.tenantId);
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'contact_updated',
-              message: `✅ Contact updated successfully!`,
-              contact: xeroResult.contact
-            });
-          }
-          break;
-
-        case 'update_account':
-          xeroResult = await xeroFull.updateAccount(actionData.account_id, actionData.account_data, session.accessToken, session.tenantId);
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'account_updated',
-              message: `✅ Account updated successfully!`,
-              account: xeroResult.account
-            });
-          }
-          break;
-
-        case 'update_item':
-          xeroResult = await xeroFull.updateItem(actionData.item_id, actionData.item_data, session.accessToken, session.tenantId);
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'item_updated',
-              message: `✅ Item updated successfully!`,
-              item: xeroResult.item
-            });
-          }
-          break;
-
-        // ================== DELETE OPERATIONS ==================
-        case 'delete_invoice':
-          xeroResult = await xeroFull.deleteInvoice(actionData.invoice_id, session.accessToken, session.tenantId);
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'invoice_deleted',
-              message: `✅ Invoice deleted successfully!`
-            });
-          }
-          break;
-
-        case 'delete_contact':
-          xeroResult = await xeroFull.deleteContact(actionData.contact_id, session.accessToken, session.tenantId);
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'contact_deleted',
-              message: `✅ Contact deleted successfully!`
-            });
-          }
-          break;
-
-        case 'delete_item':
-          xeroResult = await xeroFull.deleteItem(actionData.item_id, session.accessToken, session.tenantId);
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'item_deleted',
-              message: `✅ Item deleted successfully!`
-            });
-          }
-          break;
-
-        case 'delete_payment':
-          xeroResult = await xeroFull.deletePayment(actionData.payment_id, session.accessToken, session.tenantId);
-          if (xeroResult.success) {
-            return res.json({
-              success: true,
-              type: 'payment_deleted',
-              message: `✅ Payment deleted successfully!`
-            });
-          }
-          break;
-
-        default:
-          return res.json({
-            success: false,
-            type: 'unknown_action',
-            message: `Unknown action: ${action}`,
-            data: actionData
-          });
+    // Optional per-request organisation override
+    if (tenant_id && session.connected) {
+      const tenant = findTenant(session, tenant_id);
+      if (!tenant) {
+        return res.status(403).json({
+          success: false,
+          error: 'Tenant is not one of the organisations connected to this session'
+        });
       }
+      session = { ...session, tenantId: tenant.tenantId, tenantName: tenant.tenantName };
+    }
 
-      // If we got here, the operation failed
-      return res.json({
-        success: false,
-        type: 'xero_error',
-        message: aiResponse.content,
-        data: actionData,
-        xero_error: xeroResult?.error || 'Operation failed',
-        details: xeroResult?.details
-      });
+    const outcome = await core.chat.handleMessage({
+      message,
+      conversationHistory: session.conversationHistory || [],
+      xeroSession: session.connected && session.accessToken ? session : null,
+      // Same policy as the /api routes
+      authorize: (action, data) => permissions.authorizeAction(req.user, action, data),
+      // Idempotency-Key: one per message, reused only when the client resends it
+      idempotency: { scope: sessionId, requestId: req.get('Idempotency-Key'), records: idempotencyRecords }
+    });
 
-    } else {
-      // Regular text response from AI
-      res.json({
-        success: true,
-        type: 'text',
-        message: aiResponse.content,
-        xero_connected: session.connected || false
+    setSession(sessionId, { conversationHistory: outcome.conversationHistory });
+
+    if (outcome.status === 403) {
+      console.warn(`🚫 ${req.user.username} (${permissions.roleOf(req.user)}) denied ${outcome.body.action}`);
+    }
+
+    res.status(outcome.status).json(outcome.body);
+
+  } catch (error) {
+    console.error('Chat error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get chat history
+ */
+app.get('/chat/history', (req, res) => {
+  try {
+    const sessionId = sessionIdFor(req);
+    const session = getSession(sessionId);
+
+    res.json({
+      success: true,
+      history: session ? session.conversationHistory : []
+    });
+
+  } catch (error) {
+    console.error('History error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get and clear pending notifications (e.g. invoices paid, from Xero webhooks)
+ */
+app.get('/chat/notifications', (req, res) => {
+  try {
+    const sessionId = sessionIdFor(req);
+    const session = getSession(sessionId);
+    const notifications = session?.notifications || [];
+
+    if (notifications.length > 0) {
+      setSession(sessionId, { notifications: [] });
+    }
+
+    res.json({
+      success: true,
+      notifications
+    });
+
+  } catch (error) {
+    console.error('Notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Clear chat history
+ */
+app.delete('/chat/history', (req, res) => {
+  try {
+    const sessionId = sessionIdFor(req);
+
+    if (sessions.has(sessionId)) {
+      setSession(sessionId, { conversationHistory: [] });
+    }
+
+    res.json({
+      success: true,
+      message: 'Chat history cleared'
+    });
+
+  } catch (error) {
+    console.error('Clear history error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==========================================
+// CRUD API ENDPOINTS - Full Admin Operations
+// ==========================================
+
+// Helper function to get session data with valid token
+// tenantId optionally overrides the active organisation (already validated by resolveTenantOverride)
+const getActiveSession = async (sessionId, tenantId) => {
+  const session = getSession(sessionId);
+  if (!session || !session.connected) {
+    return null;
+  }
+
+  if (tenantId) {
+    const activeSession = await getActiveSession(sessionId);
+    const tenant = findTenant(session, tenantId);
+    if (!activeSession || !tenant) return null;
+    return { ...activeSession, tenantId: tenant.tenantId, tenantName: tenant.tenantName };
+  }
+
+  // Ensure token is valid
+  if (session.refreshToken) {
+    const tokenCheck = await ensureValidToken(sessionId);
+    if (!tokenCheck.success) {
+      console.error('❌ Failed to get valid token for session:', sessionId);
+      return null;
+    }
+    return tokenCheck.session;
+  }
+
+  try {
+    return decryptSessionTokens(sessionId, session);
+  } catch (error) {
+    console.error('❌ Failed to decrypt token for session:', sessionId);
+    return null;
+  }
+};
+
+/**
+ * Validate an optional tenant_id override on /api/* requests
+ *
+ * The organisation must be one of the session's connections; the validated
+ * ID is exposed as req.tenantId for getActiveSession.
+ */
+app.use('/api', (req, res, next) => {
+  const tenantId = req.query.tenant_id || req.body?.tenant_id;
+  if (!tenantId) return next();
+
+  const sessionId = sessionIdFor(req);
+  const session = getSession(sessionId);
+
+  if (session && session.connected && !findTenant(session, tenantId)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Tenant is not one of the organisations connected to this session'
+    });
+  }
+
+  req.tenantId = tenantId;
+  next();
+});
+
+/**
+ * Test endpoint - Get organization info
+ */
+app.get('/api/organization', async (req, res) => {
+  try {
+    const sessionId = sessionIdFor(req);
+    console.log('📊 Getting organization info for session:', sessionId);
+
+    const session = await getActiveSession(sessionId, req.tenantId);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not connected to Xero or session invalid'
       });
     }
 
+    console.log('✅ Session is valid');
+    console.log('📊 Using tenant:', session.tenantName);
+    console.log('📊 Tenant ID:', session.tenantId);
+
+    const response = await axios.get(
+      'https://api.xero.com/api.xro/2.0/Organisation',
+      {
+        headers: {
+          'Authorization': `Bearer ${session.accessToken}`,
+          'Xero-tenant-id': session.tenantId,
+          'Accept': 'application/json'
+        }
+      }
+    );
+
+    console.log('✅ Organization API call successful');
+
+    res.json({
+      success: true,
+      organization: response.data.Organisations[0]
+    });
+  } catch (error) {
+    console.error('❌ Organization API error:', error.response?.data || error.message);
+
+    // Check if it's a 401 error
+    if (error.response?.status === 401) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication failed',
+        details: error.response.data,
+        cause: 'Token may be expired or invalid'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      details: error.response?.data
+    });
+  }
+});
+
+// ==================== INVOICES ====================
+
+/**
+ * Get all invoices
+ * ?page=N returns one page (page_size, default 100); otherwise every page up to max_records
+ */
+app.get('/api/invoices', async (req, res) => {
+  try {
+    const { status, contact_id, page, page_size, max_records } = req.query;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    console.log(`📊 Getting invoices for tenant: ${session.tenantName}`);
+
+    const filters = {};
+    if (status) filters.status = status;
+    if (contact_id) filters.contact_id = contact_id;
+    if (page) filters.page = page;
+    if (page_size) filters.page_size = page_size;
+    if (max_records) filters.max_records = max_records;
+
+    const result = await core.entities.getInvoices(session.accessToken, session.tenantId, filters);
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Get invoices error:', error.response?.data || error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get single invoice by ID
+ */
+app.get('/api/invoices/:invoiceId', async (req, res) => {
+  try {
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await core.entities.getInvoiceById(req.params.invoiceId, session.accessToken, session.tenantId);
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Get invoice error:', error.response?.data || error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Create invoice
+ */
+app.post('/api/invoices', async (req, res) => {
+  try {
+    const { invoice_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    console.log(`📝 Creating invoice for tenant: ${session.tenantName}`);
+
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.createInvoice(invoice_data, session.accessToken, session.tenantId, { idempotencyKey })
+    );
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Create invoice error:', error.response?.data || error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Update invoice
+ */
+app.put('/api/invoices/:invoiceId', async (req, res) => {
+  try {
+    const { invoice_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.updateInvoice(req.params.invoiceId, invoice_data, session.accessToken, session.tenantId, { idempotencyKey })
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Delete invoice
+ */
+app.delete('/api/invoices/:invoiceId', async (req, res) => {
+  try {
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await core.entities.deleteInvoice(req.params.invoiceId, session.accessToken, session.tenantId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== CONTACTS ====================
+
+/**
+ * Get all contacts
+ */
+app.get('/api/contacts', async (req, res) => {
+  try {
+    const { where, page, page_size, max_records } = req.query;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const filters = {};
+    if (where) filters.where = where;
+    if (page) filters.page = page;
+    if (page_size) filters.page_size = page_size;
+    if (max_records) filters.max_records = max_records;
+
+    const result = await core.entities.getContacts(session.accessToken, session.tenantId, filters);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get single contact by ID
+ */
+app.get('/api/contacts/:contactId', async (req, res) => {
+  try {
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await core.entities.getContactById(req.params.contactId, session.accessToken, session.tenantId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Create contact
+ */
+app.post('/api/contacts', async (req, res) => {
+  try {
+    const { contact_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.createContact(contact_data, session.accessToken, session.tenantId, { idempotencyKey })
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Update contact
+ */
+app.put('/api/contacts/:contactId', async (req, res) => {
+  try {
+    const { contact_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.updateContact(req.params.contactId, contact_data, session.accessToken, session.tenantId, { idempotencyKey })
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Delete contact
+ */
+app.delete('/api/contacts/:contactId', async (req, res) => {
+  try {
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await core.entities.deleteContact(req.params.contactId, session.accessToken, session.tenantId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== ACCOUNTS ====================
+
+/**
+ * Get all accounts
+ */
+app.get('/api/accounts', async (req, res) => {
+  try {
+    const { where } = req.query;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const filters = {};
+    if (where) filters.where = where;
+
+    const result = await core.entities.getAccounts(session.accessToken, session.tenantId, filters);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Create account
+ */
+app.post('/api/accounts', async (req, res) => {
+  try {
+    const { account_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.createAccount(account_data, session.accessToken, session.tenantId, { idempotencyKey })
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Update account
+ */
+app.put('/api/accounts/:accountId', async (req, res) => {
+  try {
+    const { account_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.updateAccount(req.params.accountId, account_data, session.accessToken, session.tenantId, { idempotencyKey })
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== ITEMS/PRODUCTS ====================
+
+/**
+ * Get all items
+ */
+app.get('/api/items', async (req, res) => {
+  try {
+    const { where } = req.query;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const filters = {};
+    if (where) filters.where = where;
+
+    const result = await core.entities.getItems(session.accessToken, session.tenantId, filters);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Create item
+ */
+app.post('/api/items', async (req, res) => {
+  try {
+    const { item_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.createItem(item_data, session.accessToken, session.tenantId, { idempotencyKey })
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Update item
+ */
+app.put('/api/items/:itemId', async (req, res) => {
+  try {
+    const { item_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.updateItem(req.params.itemId, item_data, session.accessToken, session.tenantId, { idempotencyKey })
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Delete item
+ */
+app.delete('/api/items/:itemId', async (req, res) => {
+  try {
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await core.entities.deleteItem(req.params.itemId, session.accessToken, session.tenantId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== PAYMENTS (POS) ====================
+
+/**
+ * Get all payments
+ */
+app.get('/api/payments', async (req, res) => {
+  try {
+    const { where, page, page_size, max_records } = req.query;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const filters = {};
+    if (where) filters.where = where;
+    if (page) filters.page = page;
+    if (page_size) filters.page_size = page_size;
+    if (max_records) filters.max_records = max_records;
+
+    const result = await core.entities.getPayments(session.accessToken, session.tenantId, filters);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Create payment (POS)
+ */
+app.post('/api/payments', async (req, res) => {
+  try {
+    const { payment_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.createPayment(payment_data, session.accessToken, session.tenantId, { idempotencyKey })
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Delete payment
+ */
+app.delete('/api/payments/:paymentId', async (req, res) => {
+  try {
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const result = await core.entities.deletePayment(req.params.paymentId, session.accessToken, session.tenantId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== QUOTES ====================
+
+/**
+ * Get all quotes
+ * ?status=DRAFT|SENT|ACCEPTED|DECLINED|INVOICED, contact_id, date_from, date_to; paged like /api/invoices
+ */
+app.get('/api/quotes', async (req, res) => {
+  try {
+    const { status, contact_id, date_from, date_to, page, page_size, max_records } = req.query;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
+
+    const filters = {};
+    if (status) filters.status = status;
+    if (contact_id) filters.contact_id = contact_id;
+    if (date_from) filters.date_from = date_from;
+    if (date_to) filters.date_to = date_to;
+    if (page) filters.page = page;
+    if (page_size) filters.page_size = page_size;
+    if (max_records) filters.max_records = max_records;
+
+    const result = await core.entities.getQuotes(session.accessToken, session.tenantId, filters);
+    res.json(result);
   } catch (error) {
-    console.error('Chat error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    console.error('❌ Get quotes error:', error.response?.data || error.message);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Get chat history
+ * Get single quote by ID
  */
-app.get('/chat/history', (req, res) => {
+app.get('/api/quotes/:quoteId', async (req, res) => {
   try {
-    const sessionId = req.query.session_id || 'default';
-    const session = getSession(sessionId);
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
-    res.json({
-      success: true,
-      history: session ? session.conversationHistory : []
-    });
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
+    }
 
+    const result = await core.entities.getQuoteById(req.params.quoteId, session.accessToken, session.tenantId);
+    res.json(result);
   } catch (error) {
-    console.error('History error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Clear chat history
+ * Create quote
  */
-app.delete('/chat/history', (req, res) => {
+app.post('/api/quotes', async (req, res) => {
   try {
-    const sessionId = req.body.session_id || 'default';
+    const { quote_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
-    if (sessions.has(sessionId)) {
-      setSession(sessionId, { conversationHistory: [] });
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    res.json({
-      success: true,
-      message: 'Chat history cleared'
-    });
+    console.log(`📝 Creating quote for tenant: ${session.tenantName}`);
 
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.createQuote(quote_data, session.accessToken, session.tenantId, { idempotencyKey })
+    );
+    res.json(result);
   } catch (error) {
-    console.error('Clear history error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    console.error('❌ Create quote error:', error.response?.data || error.message);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==========================================
-// CRUD API ENDPOINTS - Full Admin Operations
-// ==========================================
-
-// Helper function to get session data with valid token
-const getActiveSession = async (sessionId) => {
-  const session = getSession(sessionId);
-  if (!session || !session.connected) {
-    return null;
-  }
+/**
+ * Update quote (including status: DRAFT -> SENT -> ACCEPTED/DECLINED)
+ */
+app.put('/api/quotes/:quoteId', async (req, res) => {
+  try {
+    const { quote_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
-  // Ensure token is valid
-  if (session.refreshToken) {
-    const tokenCheck = await ensureValidToken(sessionId);
-    if (!tokenCheck.success) {
-      console.error('❌ Failed to get valid token for session:', sessionId);
-      return null;
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
-    return tokenCheck.session;
-  }
 
-  return session;
-};
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.updateQuote(req.params.quoteId, quote_data || {}, session.accessToken, session.tenantId, { idempotencyKey })
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
 /**
- * Test endpoint - Get organization info
+ * Convert an accepted quote into a draft invoice
  */
-app.get('/api/organization', async (req, res) => {
+app.post('/api/quotes/:quoteId/convert', async (req, res) => {
   try {
-    const { session_id = 'default' } = req.query;
-    console.log('📊 Getting organization info for session:', session_id);
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
-    const session = await getActiveSession(session_id);
     if (!session) {
-      return res.status(401).json({
-        success: false,
-        error: 'Not connected to Xero or session invalid'
-      });
+      return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    console.log('✅ Session is valid');
-    console.log('📊 Using tenant:', session.tenantName);
-    console.log('📊 Tenant ID:', session.tenantId);
-
-    const response = await axios.get(
-      'https://api.xero.com/api.xro/2.0/Organisation',
-      {
-        headers: {
-          'Authorization': `Bearer ${session.accessToken}`,
-          'Xero-tenant-id': session.tenantId,
-          'Accept': 'application/json'
-        }
-      }
+    // Xero's key comes from the quote itself; the request key only replays the response
+    const result = await runIdempotent(req, session, () =>
+      core.entities.convertQuoteToInvoice(req.params.quoteId, session.accessToken, session.tenantId)
     );
-
-    console.log('✅ Organization API call successful');
-
-    res.json({
-      success: true,
-      organization: response.data.Organisations[0]
-    });
+    res.json(result);
   } catch (error) {
-    console.error('❌ Organization API error:', error.response?.data || error.message);
-
-    // Check if it's a 401 error
-    if (error.response?.status === 401) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        details: error.response.data,
-        cause: 'Token may be expired or invalid'
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      details: error.response?.data
-    });
+    console.error('❌ Convert quote error:', error.response?.data || error.message);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==================== INVOICES ====================
+// ==================== CREDIT NOTES ====================
 
 /**
- * Get all invoices
+ * Get all credit notes
+ * ?status=DRAFT|SUBMITTED|AUTHORISED|PAID|VOIDED, type=ACCRECCREDIT|ACCPAYCREDIT, contact_id; paged like /api/invoices
  */
-app.get('/api/invoices', async (req, res) => {
+app.get('/api/credit-notes', async (req, res) => {
   try {
-    const { session_id = 'default', status, contact_id } = req.query;
-    const session = await getActiveSession(session_id);
+    const { status, type, contact_id, page, page_size, max_records } = req.query;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    console.log(`📊 Getting invoices for tenant: ${session.tenantName}`);
-
     const filters = {};
     if (status) filters.status = status;
+    if (type) filters.type = type;
     if (contact_id) filters.contact_id = contact_id;
+    if (page) filters.page = page;
+    if (page_size) filters.page_size = page_size;
+    if (max_records) filters.max_records = max_records;
 
-    const result = await xeroFull.getInvoices(session.accessToken, session.tenantId, filters);
+    const result = await core.entities.getCreditNotes(session.accessToken, session.tenantId, filters);
     res.json(result);
   } catch (error) {
-    console.error('❌ Get invoices error:', error.response?.data || error.message);
+    console.error('❌ Get credit notes error:', error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Get single invoice by ID
+ * Get single credit note by ID
  */
-app.get('/api/invoices/:invoiceId', async (req, res) => {
+app.get('/api/credit-notes/:creditNoteId', async (req, res) => {
   try {
-    const { session_id = 'default' } = req.query;
-    const session = await getActiveSession(session_id);
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.getInvoiceById(req.params.invoiceId, session.accessToken, session.tenantId);
+    const result = await core.entities.getCreditNoteById(req.params.creditNoteId, session.accessToken, session.tenantId);
     res.json(result);
   } catch (error) {
-    console.error('❌ Get invoice error:', error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Create invoice
+ * Create credit note
  */
-app.post('/api/invoices', async (req, res) => {
+app.post('/api/credit-notes', async (req, res) => {
   try {
-    const { session_id = 'default', invoice_data } = req.body;
-    const session = await getActiveSession(session_id);
+    const { credit_note_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    console.log(`📝 Creating invoice for tenant: ${session.tenantName}`);
+    console.log(`📝 Creating credit note for tenant: ${session.tenantName}`);
 
-    const result = await xeroFull.createInvoice(invoice_data, session.accessToken, session.tenantId);
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.createCreditNote(credit_note_data || {}, session.accessToken, session.tenantId, { idempotencyKey })
+    );
     res.json(result);
   } catch (error) {
-    console.error('❌ Create invoice error:', error.response?.data || error.message);
+    console.error('❌ Create credit note error:', error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Update invoice
+ * Update credit note (DRAFT/SUBMITTED only; status AUTHORISED approves it)
  */
-app.put('/api/invoices/:invoiceId', async (req, res) => {
+app.put('/api/credit-notes/:creditNoteId', async (req, res) => {
   try {
-    const { session_id = 'default', invoice_data } = req.body;
-    const session = getActiveSession(session_id);
+    const { credit_note_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.updateInvoice(req.params.invoiceId, invoice_data, session.accessToken, session.tenantId);
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.updateCreditNote(req.params.creditNoteId, credit_note_data || {}, session.accessToken, session.tenantId, { idempotencyKey })
+    );
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -923,99 +1858,120 @@ app.put('/api/invoices/:invoiceId', async (req, res) => {
 });
 
 /**
- * Delete invoice
+ * Delete (draft) or void (authorised) credit note
  */
-app.delete('/api/invoices/:invoiceId', async (req, res) => {
+app.delete('/api/credit-notes/:creditNoteId', async (req, res) => {
   try {
-    const { session_id = 'default' } = req.query;
-    const session = getActiveSession(session_id);
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.deleteInvoice(req.params.invoiceId, session.accessToken, session.tenantId);
+    const result = await core.entities.deleteCreditNote(req.params.creditNoteId, session.accessToken, session.tenantId);
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==================== CONTACTS ====================
-
 /**
- * Get all contacts
+ * Allocate credit note against outstanding invoices
+ * Body: { allocations: [{ invoice_id, amount, date }] }
  */
-app.get('/api/contacts', async (req, res) => {
+app.post('/api/credit-notes/:creditNoteId/allocations', async (req, res) => {
   try {
-    const { session_id = 'default', where } = req.query;
-    const session = getActiveSession(session_id);
+    const { allocations } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const filters = {};
-    if (where) filters.where = where;
-
-    const result = await xeroFull.getContacts(session.accessToken, session.tenantId, filters);
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.allocateCreditNote(req.params.creditNoteId, allocations, session.accessToken, session.tenantId, { idempotencyKey })
+    );
     res.json(result);
   } catch (error) {
+    console.error('❌ Allocate credit note error:', error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Get single contact by ID
+ * Refund credit note as cash
+ * Body: { refund_data: { account_code, amount, date, reference } } (amount defaults to the remaining credit)
  */
-app.get('/api/contacts/:contactId', async (req, res) => {
+app.post('/api/credit-notes/:creditNoteId/refunds', async (req, res) => {
   try {
-    const { session_id = 'default' } = req.query;
-    const session = getActiveSession(session_id);
+    const { refund_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.getContactById(req.params.contactId, session.accessToken, session.tenantId);
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.refundCreditNote(req.params.creditNoteId, refund_data || {}, session.accessToken, session.tenantId, { idempotencyKey })
+    );
     res.json(result);
   } catch (error) {
+    console.error('❌ Refund credit note error:', error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// ==================== BANK TRANSACTIONS ====================
+
 /**
- * Create contact
+ * Get all bank transactions (spend / receive money)
+ * ?type=SPEND|RECEIVE|..., status, bank_account_id, contact_id, date_from, date_to; paged like /api/invoices
  */
-app.post('/api/contacts', async (req, res) => {
+app.get('/api/bank-transactions', async (req, res) => {
   try {
-    const { session_id = 'default', contact_data } = req.body;
-    const session = getActiveSession(session_id);
+    const { type, status, bank_account_id, contact_id, date_from, date_to, page, page_size, max_records } = req.query;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.createContact(contact_data, session.accessToken, session.tenantId);
+    const filters = {};
+    if (type) filters.type = type;
+    if (status) filters.status = status;
+    if (bank_account_id) filters.bank_account_id = bank_account_id;
+    if (contact_id) filters.contact_id = contact_id;
+    if (date_from) filters.date_from = date_from;
+    if (date_to) filters.date_to = date_to;
+    if (page) filters.page = page;
+    if (page_size) filters.page_size = page_size;
+    if (max_records) filters.max_records = max_records;
+
+    const result = await core.entities.getBankTransactions(session.accessToken, session.tenantId, filters);
     res.json(result);
   } catch (error) {
+    console.error('❌ Get bank transactions error:', error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Update contact
+ * Get single bank transaction by ID
  */
-app.put('/api/contacts/:contactId', async (req, res) => {
+app.get('/api/bank-transactions/:bankTransactionId', async (req, res) => {
   try {
-    const { session_id = 'default', contact_data } = req.body;
-    const session = getActiveSession(session_id);
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.updateContact(req.params.contactId, contact_data, session.accessToken, session.tenantId);
+    const result = await core.entities.getBankTransactionById(req.params.bankTransactionId, session.accessToken, session.tenantId);
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -1023,123 +1979,154 @@ app.put('/api/contacts/:contactId', async (req, res) => {
 });
 
 /**
- * Delete contact
+ * Create bank transaction
+ * Body: { bank_transaction_data: { type, bank_account, contact_name, line_items, ... } }
  */
-app.delete('/api/contacts/:contactId', async (req, res) => {
+app.post('/api/bank-transactions', async (req, res) => {
   try {
-    const { session_id = 'default' } = req.query;
-    const session = getActiveSession(session_id);
+    const { bank_transaction_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.deleteContact(req.params.contactId, session.accessToken, session.tenantId);
+    console.log(`📝 Creating bank transaction for tenant: ${session.tenantName}`);
+
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.createBankTransaction(bank_transaction_data || {}, session.accessToken, session.tenantId, { idempotencyKey })
+    );
     res.json(result);
   } catch (error) {
+    console.error('❌ Create bank transaction error:', error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==================== ACCOUNTS ====================
-
 /**
- * Get all accounts
+ * Update bank transaction (status DELETED removes it)
  */
-app.get('/api/accounts', async (req, res) => {
+app.put('/api/bank-transactions/:bankTransactionId', async (req, res) => {
   try {
-    const { session_id = 'default', where } = req.query;
-    const session = getActiveSession(session_id);
+    const { bank_transaction_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const filters = {};
-    if (where) filters.where = where;
-
-    const result = await xeroFull.getAccounts(session.accessToken, session.tenantId, filters);
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.updateBankTransaction(req.params.bankTransactionId, bank_transaction_data || {}, session.accessToken, session.tenantId, { idempotencyKey })
+    );
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// ==================== BANK TRANSFERS ====================
+
 /**
- * Create account
+ * Get bank transfers
+ * ?from_bank_account_id, to_bank_account_id, date_from, date_to
  */
-app.post('/api/accounts', async (req, res) => {
+app.get('/api/bank-transfers', async (req, res) => {
   try {
-    const { session_id = 'default', account_data } = req.body;
-    const session = getActiveSession(session_id);
+    const { from_bank_account_id, to_bank_account_id, date_from, date_to } = req.query;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.createAccount(account_data, session.accessToken, session.tenantId);
+    const filters = {};
+    if (from_bank_account_id) filters.from_bank_account_id = from_bank_account_id;
+    if (to_bank_account_id) filters.to_bank_account_id = to_bank_account_id;
+    if (date_from) filters.date_from = date_from;
+    if (date_to) filters.date_to = date_to;
+
+    const result = await core.entities.getBankTransfers(session.accessToken, session.tenantId, filters);
     res.json(result);
   } catch (error) {
+    console.error('❌ Get bank transfers error:', error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Update account
+ * Transfer money between two bank accounts
+ * Body: { bank_transfer_data: { from_bank_account, to_bank_account, amount, date, reference, currency_rate } }
  */
-app.put('/api/accounts/:accountId', async (req, res) => {
+app.post('/api/bank-transfers', async (req, res) => {
   try {
-    const { session_id = 'default', account_data } = req.body;
-    const session = getActiveSession(session_id);
+    const { bank_transfer_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.updateAccount(req.params.accountId, account_data, session.accessToken, session.tenantId);
+    console.log(`📝 Creating bank transfer for tenant: ${session.tenantName}`);
+
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.createBankTransfer(bank_transfer_data || {}, session.accessToken, session.tenantId, { idempotencyKey })
+    );
     res.json(result);
   } catch (error) {
+    console.error('❌ Create bank transfer error:', error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==================== ITEMS/PRODUCTS ====================
+// ==================== MANUAL JOURNALS ====================
 
 /**
- * Get all items
+ * Get all manual journals
+ * ?status=DRAFT|POSTED|VOIDED, date_from, date_to; paged like /api/invoices
  */
-app.get('/api/items', async (req, res) => {
+app.get('/api/manual-journals', async (req, res) => {
   try {
-    const { session_id = 'default', where } = req.query;
-    const session = getActiveSession(session_id);
+    const { status, date_from, date_to, page, page_size, max_records } = req.query;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
     const filters = {};
-    if (where) filters.where = where;
+    if (status) filters.status = status;
+    if (date_from) filters.date_from = date_from;
+    if (date_to) filters.date_to = date_to;
+    if (page) filters.page = page;
+    if (page_size) filters.page_size = page_size;
+    if (max_records) filters.max_records = max_records;
 
-    const result = await xeroFull.getItems(session.accessToken, session.tenantId, filters);
+    const result = await core.entities.getManualJournals(session.accessToken, session.tenantId, filters);
     res.json(result);
   } catch (error) {
+    console.error('❌ Get manual journals error:', error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Create item
+ * Get single manual journal by ID
  */
-app.post('/api/items', async (req, res) => {
+app.get('/api/manual-journals/:manualJournalId', async (req, res) => {
   try {
-    const { session_id = 'default', item_data } = req.body;
-    const session = getActiveSession(session_id);
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.createItem(item_data, session.accessToken, session.tenantId);
+    const result = await core.entities.getManualJournalById(req.params.manualJournalId, session.accessToken, session.tenantId);
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -1147,105 +2134,271 @@ app.post('/api/items', async (req, res) => {
 });
 
 /**
- * Update item
+ * Create manual journal (DRAFT unless a status is given)
+ * Body: { manual_journal_data: { narration, date, journal_lines: [{ account_code, debit | credit | line_amount, description }] } }
  */
-app.put('/api/items/:itemId', async (req, res) => {
+app.post('/api/manual-journals', async (req, res) => {
   try {
-    const { session_id = 'default', item_data } = req.body;
-    const session = getActiveSession(session_id);
+    const { manual_journal_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.updateItem(req.params.itemId, item_data, session.accessToken, session.tenantId);
+    console.log(`📝 Creating manual journal for tenant: ${session.tenantName}`);
+
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.createManualJournal(manual_journal_data || {}, session.accessToken, session.tenantId, { idempotencyKey })
+    );
     res.json(result);
   } catch (error) {
+    console.error('❌ Create manual journal error:', error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Delete item
+ * Update manual journal (status POSTED/VOIDED/DELETED needs post_manual_journal)
  */
-app.delete('/api/items/:itemId', async (req, res) => {
+app.put('/api/manual-journals/:manualJournalId', async (req, res) => {
   try {
-    const { session_id = 'default' } = req.query;
-    const session = getActiveSession(session_id);
+    const { manual_journal_data } = req.body;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.deleteItem(req.params.itemId, session.accessToken, session.tenantId);
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.updateManualJournal(req.params.manualJournalId, manual_journal_data || {}, session.accessToken, session.tenantId, { idempotencyKey })
+    );
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==================== PAYMENTS (POS) ====================
-
 /**
- * Get all payments
+ * Post a draft manual journal
  */
-app.get('/api/payments', async (req, res) => {
+app.post('/api/manual-journals/:manualJournalId/post', async (req, res) => {
   try {
-    const { session_id = 'default', where } = req.query;
-    const session = getActiveSession(session_id);
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const filters = {};
-    if (where) filters.where = where;
-
-    const result = await xeroFull.getPayments(session.accessToken, session.tenantId, filters);
+    const result = await runIdempotent(req, session, idempotencyKey =>
+      core.entities.updateManualJournal(req.params.manualJournalId, { status: 'POSTED' }, session.accessToken, session.tenantId, { idempotencyKey })
+    );
     res.json(result);
   } catch (error) {
+    console.error('❌ Post manual journal error:', error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// ==================== SYNC ====================
+
+// Per-tenant, per-entity If-Modified-Since cursors (kept until reset)
+const xeroSyncCursors = core.sync.createSyncCursors(createSessionStore({
+  name: 'Xero sync cursor',
+  filePath: process.env.XERO_SYNC_FILE || './data/xero-sync.json',
+  ttlHours: 0
+}));
+
 /**
- * Create payment (POS)
+ * Get what changed since the last sync of an entity and advance its cursor
+ * ?since=ISO overrides the stored cursor; complete=false means call again for the rest
  */
-app.post('/api/payments', async (req, res) => {
+app.get('/api/sync/:entity', async (req, res) => {
   try {
-    const { session_id = 'default', payment_data } = req.body;
-    const session = getActiveSession(session_id);
+    const { since, max_records } = req.query;
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.createPayment(payment_data, session.accessToken, session.tenantId);
+    const result = await core.sync.syncChanges({
+      entity: req.params.entity,
+      accessToken: session.accessToken,
+      tenantId: session.tenantId,
+      cursors: xeroSyncCursors,
+      since,
+      filters: max_records ? { max_records } : {}
+    });
     res.json(result);
   } catch (error) {
+    console.error('❌ Sync error:', error.response?.data || error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Delete payment
+ * Reset the sync cursor of an entity (the next sync returns everything)
  */
-app.delete('/api/payments/:paymentId', async (req, res) => {
+app.delete('/api/sync/:entity', async (req, res) => {
   try {
-    const { session_id = 'default' } = req.query;
-    const session = getActiveSession(session_id);
+    const sessionId = sessionIdFor(req);
+    const session = await getActiveSession(sessionId, req.tenantId);
 
     if (!session) {
       return res.status(401).json({ success: false, error: 'Not connected to Xero' });
     }
 
-    const result = await xeroFull.deletePayment(req.params.paymentId, session.accessToken, session.tenantId);
-    res.json(result);
+    xeroSyncCursors.reset(session.tenantId, req.params.entity);
+    res.json({ success: true, message: `Sync cursor for ${req.params.entity} reset` });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// ==========================================
+// XERO WEBHOOKS
+// Xero pushes invoice/contact changes here; each one becomes an internal
+// event on xeroEvents. Subscribers below keep the local mirror current and
+// tell connected chat sessions when an invoice has been paid.
+// ==========================================
+const xeroEvents = core.webhooks.createEventBus();
+
+// Last known state of Xero records that changed, keyed by category:tenantId:resourceId
+const xeroMirror = createSessionStore({
+  name: 'Xero mirror',
+  filePath: process.env.XERO_MIRROR_FILE || './data/xero-mirror.json',
+  ttlHours: 24 * 90
+});
+
+const MAX_NOTIFICATIONS = 20;
+
+/**
+ * Sessions connected to a Xero organisation
+ *
+ * @returns {Array} - [sessionId, session] pairs
+ */
+function sessionsForTenant(tenantId) {
+  return sessions.entries().filter(([, session]) =>
+    session.connected && session.connectionStatus !== 'needs_reauth' && findTenant(session, tenantId)
+  );
+}
+
+/**
+ * Queue a message for a chat session (picked up via GET /chat/notifications)
+ */
+function notifySession(sessionId, message) {
+  const notifications = getSession(sessionId)?.notifications || [];
+  setSession(sessionId, {
+    notifications: [...notifications, { message, createdAt: new Date().toISOString() }].slice(-MAX_NOTIFICATIONS)
+  });
+}
+
+/**
+ * Receive Xero webhooks
+ *
+ * Answers within Xero's five-second limit (see core/webhooks createWebhookHandler)
+ */
+app.post('/xero/webhooks', core.webhooks.createWebhookHandler({
+  getWebhookKey: () => process.env.XERO_WEBHOOK_KEY,
+  publish: event => xeroEvents.publish(event)
+}));
+
+// Invalidate: anything Xero reports as changed is stale until re-read
+xeroEvents.subscribe('*', (event) => {
+  if (event.action === 'paid') return;
+
+  const key = `${event.category}:${event.tenantId}:${event.resourceId}`;
+  xeroMirror.set(key, {
+    ...xeroMirror.get(key),
+    category: event.category,
+    tenantId: event.tenantId,
+    resourceId: event.resourceId,
+    stale: true,
+    changedAt: event.occurredAt,
+    updatedAt: Date.now()
+  });
+});
+
+// Update the mirror for changed invoices and detect payments
+async function refreshMirroredInvoice(event) {
+  const [connection] = sessionsForTenant(event.tenantId);
+  if (!connection) {
+    console.log('📬 No connected session for tenant', event.tenantId, '- invoice left stale');
+    return;
+  }
+
+  const tokenCheck = await ensureValidToken(connection[0]);
+  if (!tokenCheck.success) return;
+
+  const result = await core.entities.getInvoiceById(event.resourceId, tokenCheck.session.accessToken, event.tenantId);
+  if (!result.success || !result.invoice) {
+    console.error('❌ Could not read invoice from webhook:', result.error);
+    return;
+  }
+
+  const key = `invoice:${event.tenantId}:${event.resourceId}`;
+  const previous = xeroMirror.get(key);
+  const invoice = {
+    invoiceId: result.invoice.InvoiceID,
+    invoiceNumber: result.invoice.InvoiceNumber,
+    contactName: result.invoice.Contact?.Name,
+    status: result.invoice.Status,
+    total: result.invoice.Total,
+    amountDue: result.invoice.AmountDue,
+    currencyCode: result.invoice.CurrencyCode
+  };
+
+  xeroMirror.set(key, {
+    ...previous,
+    ...invoice,
+    stale: false,
+    updatedAt: Date.now()
+  });
+
+  // Only a status change we saw counts; an invoice first mirrored when it is
+  // already PAID could have been paid long ago
+  if (invoice.status === 'PAID' && previous?.status && previous.status !== 'PAID') {
+    xeroEvents.publish({
+      type: 'invoice.paid',
+      category: 'invoice',
+      action: 'paid',
+      tenantId: event.tenantId,
+      resourceId: event.resourceId,
+      occurredAt: event.occurredAt,
+      invoice
+    });
+  }
+}
+
+xeroEvents.subscribe('invoice.created', refreshMirroredInvoice);
+xeroEvents.subscribe('invoice.updated', refreshMirroredInvoice);
+
+// Tell everyone connected to the organisation (disable with XERO_WEBHOOK_NOTIFY_CHAT=false)
+xeroEvents.subscribe('invoice.paid', (event) => {
+  if (process.env.XERO_WEBHOOK_NOTIFY_CHAT === 'false') return;
+
+  const { invoiceNumber, contactName, total, currencyCode } = event.invoice;
+  const amount = [currencyCode, total].filter(part => part !== undefined && part !== null).join(' ');
+  const message = `💰 Invoice ${invoiceNumber || event.resourceId}${contactName ? ` for ${contactName}` : ''} ` +
+    `has been paid${amount ? ` (${amount})` : ''}.`;
+
+  sessionsForTenant(event.tenantId).forEach(([sessionId]) => notifySession(sessionId, message));
+});
+
+// ==========================================
+// TOKEN KEEP-ALIVE
+// Refresh idle connections before Xero's 60-day refresh token expiry
+// ==========================================
+startTokenKeepAlive({
+  listSessions: () => sessions.entries(),
+  refreshSession: (sessionId) => ensureValidToken(sessionId, { force: true })
+});
+
 // ==========================================
 // ERROR HANDLER
 // ==========================================
@@ -1,186 +1,24 @@
-const axios = require('axios');
+const core = require('../../core');
+const permissions = require('../../permissions');
+const { createMemoryStore } = require('../../sessionStore');
+const { readSession, clearSessionCookie, ensureFreshSession } = require('../lib/session');
 
-/**
- * System prompt for GLM-4-Flash
- */
-const SYSTEM_PROMPT = `You are an AI accounting admin assistant with full Xero API integration. You can perform complete CRUD operations:
-
-## Capabilities
-
-### 1. GET (Retrieve Data)
-- "Show me all invoices" / "List invoices" / "Get pending invoices"
-- "Find customer ABC" / "Show contact details"
-- "Display chart of accounts" / "List all accounts"
-- "Show products" / "List items in inventory"
-- "View payments" / "Get payment history"
-
-### 2. POST (Create Data)
-- "Create invoice for [customer]" / "New invoice"
-- "Add contact [name]" / "Create customer"
-- "Create account [code]" / "New account"
-- "Add product [name]" / "New item"
-- "Record payment" / "Add payment"
-
-### 3. PUT (Update Data)
-- "Update invoice [ID]" / "Modify invoice"
-- "Edit contact [name]" / "Update customer"
-- "Change account [details]"
-- "Update product [name]" / "Modify item"
-
-### 4. DELETE (Remove Data)
-- "Delete invoice [ID]" / "Remove invoice"
-- "Delete contact [name]" / "Remove customer"
-- "Delete account [code]"
-- "Delete product [name]" / "Remove item"
-
-### 5. POS Operations
-- "Process sale" / "Record payment for invoice"
-- "Apply payment to invoice"
-- "Handle refund"
-
-## Response Format
-
-For actions requiring API calls, output ONLY a valid JSON object (no markdown, no code blocks):
-
-**POST (Create Invoice):**
-{
-  "action": "create_invoice",
-  "customer_name": "Customer Name",
-  "date": "2026-02-05",
-  "due_date": "2026-02-12",
-  "line_items": [
-    { "description": "Product A", "quantity": 2, "unit_amount": 100, "tax_type": "NONE", "account_code": "200" }
-  ],
-  "reference": "INV-001",
-  "type": "ACCREC",
-  "status": "DRAFT"
-}
-
-**POST (Create Contact):**
-{
-  "action": "create_contact",
-  "name": "ABC Company",
-  "email": "abc@company.com",
-  "phone": "0123456789"
-}
-
-**GET (List Invoices):**
-{
-  "action": "get_invoices",
-  "filters": { "status": "DRAFT" }
-}
-
-**PUT (Update Invoice):**
-{
-  "action": "update_invoice",
-  "invoice_id": "invoice-uuid",
-  "invoice_data": {
-    "status": "AUTHORISED",
-    "reference": "UPDATED-REF"
-  }
-}
-
-**DELETE (Remove Invoice):**
-{
-  "action": "delete_invoice",
-  "invoice_id": "invoice-uuid"
-}
-
-## Guidelines
-- Be concise, professional but friendly
-- Ask for missing required information
-- Format currency as "RM X,XXX.XX"
-- Format dates as "YYYY-MM-DD"
-- Default tax_type: "NONE" (Malaysia)
-- Default account_code: "200" (Sales)
-- Do NOT wrap JSON in code blocks
-- For general questions, respond normally with text
-`;
-
-/**
- * Chat with GLM-4-Flash API
- */
-async function chatWithGLM(userMessage, conversationHistory = []) {
-  try {
-    const apiKey = process.env.GLM_API_KEY;
-
-    if (!apiKey) {
-      throw new Error('GLM_API_KEY not found in environment variables');
-    }
-
-    // Build messages array
-    const messages = [
-      {
-        role: 'system',
-        content: SYSTEM_PROMPT
-      },
-      ...conversationHistory,
-      {
-        role: 'user',
-        content: userMessage
-      }
-    ];
-
-    // Make API request to GLM-4-Flash
-    const response = await axios.post(
-      'https://open.bigmodel.cn/api/paas/v4/chat/completions',
-      {
-        model: 'glm-4-flash',
-        messages: messages,
-        temperature: 0.7,
-        max_tokens: 2000,
-        top_p: 0.9
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        }
-      }
-    );
-
-    // Extract AI response
-    const aiContent = response.data.choices[0].message.content;
-    const usage = response.data.usage || {};
-
-    // Try to parse as JSON
-    let parsedJSON = null;
-    let isJSON = false;
-
-    try {
-      // Clean the content - remove markdown code blocks
-      const cleanedContent = aiContent
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
-
-      parsedJSON = JSON.parse(cleanedContent);
-      isJSON = true;
-    } catch (e) {
-      isJSON = false;
-    }
-
-    return {
-      success: true,
-      content: aiContent,
-      parsedJSON: parsedJSON,
-      isJSON: isJSON,
-      usage: usage
-    };
-
-  } catch (error) {
-    console.error('GLM API Error:', error.response?.data || error.message);
-
-    return {
-      success: false,
-      error: error.response?.data?.error?.message || error.message,
-      content: 'Sorry, I encountered an error processing your request. Please try again.'
-    };
-  }
-}
+// Writes already done while this function instance is warm; Xero's own
+// Idempotency-Key check covers resends that reach a different instance
+const idempotencyRecords = core.idempotency.createIdempotencyRecords(
+  createMemoryStore({ ttlMs: 24 * 60 * 60 * 1000 })
+);
 
 /**
  * Netlify Function: Handle chat requests
+ *
+ * Same behaviour as the Express /chat endpoint (core/chat.js); the
+ * conversation history is kept by the browser and the Xero session
+ * travels in the sealed session cookie.
+ *
+ * There are no app logins here, so everyone using the site gets one role:
+ * NETLIFY_CHAT_ROLE (default viewer, i.e. read-only). Actions are checked
+ * against the same policy as the Express server (permissions.js).
  */
 exports.handler = async (event, context) => {
   // Only allow POST requests
@@ -188,62 +26,86 @@ exports.handler = async (event, context) => {
     return {
       statusCode: 405,
       headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+        'Content-Type': 'application/json'
       },
       body: JSON.stringify({ error: 'Method not allowed' })
     };
   }
 
+  const headers = { 'Content-Type': 'application/json' };
+
   try {
     const { message, conversationHistory = [] } = JSON.parse(event.body);
 
     if (!message) {
       return {
         statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({ error: 'Message is required' })
-      };
-    }
-
-    // Call GLM API
-    const result = await chatWithGLM(message, conversationHistory);
-
-    if (!result.success) {
-      return {
-        statusCode: 500,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
+        headers,
         body: JSON.stringify({
           success: false,
-          error: result.error,
-          message: result.content
+          error: 'Message is required'
         })
       };
     }
 
-    // Return AI response
+    // Ensure we have a valid token before processing (re-sealed into the cookie if refreshed)
+    let xeroSession = readSession(event);
+
+    if (xeroSession) {
+      const fresh = await ensureFreshSession(xeroSession);
+
+      if (!fresh.success) {
+        console.error('❌ Token validation failed:', fresh.error);
+        // A rejected refresh token can never work again
+        if (fresh.reauthRequired) {
+          headers['Set-Cookie'] = clearSessionCookie();
+        }
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'Xero authentication failed. Please reconnect.',
+            details: fresh.error
+          })
+        };
+      }
+
+      xeroSession = fresh.session;
+      if (fresh.cookie) headers['Set-Cookie'] = fresh.cookie;
+    }
+
+    const user = {
+      username: xeroSession?.xeroUser?.email || 'netlify',
+      role: process.env.NETLIFY_CHAT_ROLE
+    };
+
+    const outcome = await core.chat.handleMessage({
+      message,
+      conversationHistory,
+      xeroSession,
+      authorize: (action, data) => permissions.authorizeAction(user, action, data),
+      // Without a Xero user there is nothing to keep users' keys apart, so
+      // those writes only get Xero's per-request key
+      idempotency: xeroSession?.xeroUser?.id
+        ? {
+          scope: xeroSession.xeroUser.id,
+          requestId: event.headers?.['idempotency-key'] || event.headers?.['Idempotency-Key'],
+          records: idempotencyRecords
+        }
+        : undefined
+    });
+
+    if (outcome.status === 403) {
+      console.warn(`🚫 ${user.username} (${permissions.roleOf(user)}) denied ${outcome.body.action}`);
+    }
+
     return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      },
+      statusCode: outcome.status,
+      headers,
       body: JSON.stringify({
-        success: true,
-        message: result.content,
-        isJSON: result.isJSON,
-        parsedJSON: result.parsedJSON,
-        conversationHistory: [
-          ...conversationHistory,
-          { role: 'user', content: message },
-          { role: 'assistant', content: result.content }
-        ]
+        ...outcome.body,
+        conversationHistory: outcome.conversationHistory
       })
     };
 
@@ -251,10 +113,7 @@ exports.handler = async (event, context) => {
     console.error('Chat function error:', error);
     return {
       statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      },
+      headers,
       body: JSON.stringify({
         success: false,
         error: error.message
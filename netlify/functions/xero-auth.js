@@ -1,4 +1,5 @@
-const crypto = require('crypto');
+const core = require('../../core');
+const { createOAuthCookie } = require('../lib/oauthState');
 
 /**
  * Netlify Function: Initiate Xero OAuth flow
@@ -23,20 +24,8 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const clientId = process.env.XERO_CLIENT_ID;
-    const redirectUri = process.env.XERO_REDIRECT_URI;
-    const scope = process.env.XERO_SCOPE || 'openid profile email accounting.transactions accounting.contacts accounting.settings offline_access';
-
-    // Generate state parameter for CSRF protection
-    const state = crypto.randomBytes(16).toString('hex');
-
-    // Build authorization URL
-    const authUrl = new URL('https://login.xero.com/identity/connect/authorize');
-    authUrl.searchParams.append('response_type', 'code');
-    authUrl.searchParams.append('client_id', clientId);
-    authUrl.searchParams.append('redirect_uri', redirectUri);
-    authUrl.searchParams.append('scope', scope);
-    authUrl.searchParams.append('state', state);
+    // PKCE: the verifier stays server-side (sealed in an HttpOnly cookie)
+    const { url, state, codeVerifier } = core.oauth.getAuthorizationUrl();
 
     console.log('Authorization URL generated for session:', session_id);
 
@@ -44,11 +33,12 @@ exports.handler = async (event, context) => {
       statusCode: 200,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+        'Access-Control-Allow-Origin': '*',
+        'Set-Cookie': createOAuthCookie(state, codeVerifier, session_id)
       },
       body: JSON.stringify({
         success: true,
-        authorization_url: authUrl.toString(),
+        authorization_url: url,
         state: state
       })
     };
@@ -1,4 +1,58 @@
-const axios = require('axios');
+const core = require('../../core');
+const { OAUTH_STATE_ERRORS, consumeOAuthCookie, clearOAuthCookie } = require('../lib/oauthState');
+const { createSessionCookie } = require('../lib/session');
+
+/**
+ * HTML error page for a failed connection (always clears the pending authorisation)
+ */
+function errorPage(statusCode, message) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'text/html',
+      'Set-Cookie': clearOAuthCookie()
+    },
+    body: `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Xero Connection Failed</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+    }
+    .container {
+      background: white;
+      border-radius: 20px;
+      padding: 40px;
+      max-width: 500px;
+      text-align: center;
+      box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+    }
+    .error-icon { font-size: 64px; margin-bottom: 20px; }
+    h1 { color: #2D3748; margin-bottom: 20px; }
+    p { color: #718096; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="error-icon">❌</div>
+    <h1>Xero Connection Failed</h1>
+    <p>${message}</p>
+    <p>Please close this window and click "Connect Xero" again.</p>
+  </div>
+</body>
+</html>`
+  };
+}
 
 exports.handler = async (event, context) => {
   if (event.httpMethod !== 'GET') {
@@ -12,51 +66,43 @@ exports.handler = async (event, context) => {
     const { code, state } = event.queryStringParameters || {};
 
     if (!code) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: 'Missing authorization code' })
-      };
+      return errorPage(400, 'Missing authorization code.');
     }
 
-    const clientId = process.env.XERO_CLIENT_ID;
-    const clientSecret = process.env.XERO_CLIENT_SECRET;
-    const redirectUri = process.env.XERO_REDIRECT_URI;
-
-    // Exchange code for tokens
-    const tokenResponse = await axios.post(
-      'https://identity.xero.com/oauth/token',
-      new URLSearchParams({
-        grant_type: 'authorization_code',
-        code: code,
-        redirect_uri: redirectUri,
-        client_id: clientId,
-        client_secret: clientSecret
-      }),
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      }
-    );
+    // Only accept the state this browser was given by xero-auth/xero-connect
+    const pending = consumeOAuthCookie(event, state);
+    if (!pending.valid) {
+      console.error(`Rejected OAuth callback: ${pending.reason} state`);
+      return errorPage(400, OAUTH_STATE_ERRORS[pending.reason]);
+    }
 
-    const tokens = tokenResponse.data;
+    // Exchange code for tokens (PKCE verifier from the OAuth cookie)
+    const tokenResult = await core.oauth.exchangeCodeForToken(code, pending.codeVerifier);
+    if (!tokenResult.success) {
+      return errorPage(500, 'Authentication failed. Please try again.');
+    }
+    const tokens = tokenResult.tokens;
 
     // Get tenants
-    const tenantsResponse = await axios.get(
-      'https://api.xero.com/connections',
-      {
-        headers: {
-          'Authorization': `Bearer ${tokens.access_token}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const tenantsResult = await core.oauth.getTenants(tokens.accessToken);
+    if (!tenantsResult.success || tenantsResult.tenants.length === 0) {
+      return errorPage(400, 'No Xero organisation was connected.');
+    }
 
-    const tenants = tenantsResponse.data;
-    const tenantId = tenants[0].tenantId;
-    const tenantName = tenants[0].tenantName;
+    const { tenantId, tenantName } = core.oauth.selectDefaultTenant(tenantsResult.tenants);
 
-    // Return HTML response with token data
+    // Tokens only travel in the sealed HttpOnly session cookie
+    const sessionCookie = createSessionCookie({
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresAt: tokens.expiresAt,
+      tenantId: tenantId,
+      tenantName: tenantName,
+      xeroUser: tokenResult.user,
+      refreshTokenIssuedAt: Date.now()
+    });
+
+    // Return HTML response (no token data)
     const html = `
 <!DOCTYPE html>
 <html>
@@ -109,7 +155,6 @@ exports.handler = async (event, context) => {
       cursor: pointer;
       margin-top: 20px;
     }
-    #tokenData { display: none; }
   </style>
 </head>
 <body>
@@ -130,26 +175,14 @@ exports.handler = async (event, context) => {
       Your Xero account has been successfully connected.<br>
       You can now create invoices and quotations.
     </p>
-    <button class="btn" onclick="sendTokenToParent()">Complete Connection</button>
-    <div id="tokenData">
-      ${JSON.stringify({
-        accessToken: tokens.access_token,
-        refreshToken: tokens.refresh_token,
-        expiresAt: Date.now() + (tokens.expires_in * 1000),
-        tenantId: tenantId,
-        tenantName: tenantName
-      })}
-    </div>
+    <button class="btn" onclick="notifyParent()">Complete Connection</button>
   </div>
   <script>
-    function sendTokenToParent() {
-      const tokenData = document.getElementById('tokenData').textContent;
+    function notifyParent() {
       if (window.opener) {
-        window.opener.postMessage(JSON.parse(tokenData), '*');
+        window.opener.postMessage({ type: 'xero_connected' }, window.location.origin);
         window.close();
       } else {
-        // Fallback: store in localStorage and redirect
-        localStorage.setItem('xero_tokens', tokenData);
         window.location.href = '/';
       }
     }
@@ -162,14 +195,14 @@ exports.handler = async (event, context) => {
       headers: {
         'Content-Type': 'text/html'
       },
+      multiValueHeaders: {
+        'Set-Cookie': [sessionCookie, clearOAuthCookie()]
+      },
       body: html
     };
 
   } catch (error) {
     console.error('Callback error:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: error.message })
-    };
+    return errorPage(500, 'Authentication failed. Please try again.');
   }
 };
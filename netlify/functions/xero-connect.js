@@ -1,4 +1,5 @@
-const crypto = require('crypto');
+const core = require('../../core');
+const { createOAuthCookie } = require('../lib/oauthState');
 
 exports.handler = async (event, context) => {
   if (event.httpMethod !== 'GET') {
@@ -21,27 +22,17 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const clientId = process.env.XERO_CLIENT_ID;
-    const redirectUri = process.env.XERO_REDIRECT_URI;
-    const scope = process.env.XERO_SCOPE || 'accounting.transactions accounting.contacts offline_access';
-
-    // Generate random state
-    const randomState = crypto.randomBytes(16).toString('hex');
-    const state = session_id + ':' + randomState;
-
-    // Build authorization URL
-    const authUrl = 'https://login.xero.com/identity/connect/authorize?' +
-      'response_type=code&' +
-      'client_id=' + clientId + '&' +
-      'redirect_uri=' + encodeURIComponent(redirectUri) + '&' +
-      'scope=' + encodeURIComponent(scope) + '&' +
-      'state=' + state;
+    // PKCE: the verifier stays server-side (sealed in an HttpOnly cookie)
+    const { url, state, codeVerifier } = core.oauth.getAuthorizationUrl();
 
     return {
       statusCode: 200,
+      headers: {
+        'Set-Cookie': createOAuthCookie(state, codeVerifier, session_id)
+      },
       body: JSON.stringify({
         success: true,
-        authorization_url: authUrl,
+        authorization_url: url,
         state: state,
         message: 'Visit this URL to authorize Xero access'
       })
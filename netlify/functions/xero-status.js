@@ -1,8 +1,8 @@
-const axios = require('axios');
+const { readSession } = require('../lib/session');
 
 /**
  * Netlify Function: Check Xero connection status
- * Returns whether the user has an active Xero session
+ * Reads the sealed session cookie set by xero-callback
  */
 exports.handler = async (event, context) => {
   // Only allow GET requests
@@ -14,28 +14,24 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    const { session_id } = event.queryStringParameters || {};
-
-    if (!session_id) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: 'Missing session_id' })
-      };
-    }
-
-    // For Netlify Functions, we can't maintain in-memory sessions
-    // Check if tokens exist in the user's browser via localStorage
-    // The frontend handles this, so we return a basic response
+    const session = readSession(event);
 
     return {
       statusCode: 200,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+        'Cache-Control': 'no-store'
       },
       body: JSON.stringify({
-        connected: false,
-        message: 'Client-side token check required'
+        connected: Boolean(session),
+        status: session ? 'connected' : 'disconnected',
+        tenantId: session ? session.tenantId : null,
+        tenantName: session ? session.tenantName : null,
+        xeroUser: session ? session.xeroUser || null : null,
+        expiresAt: session ? new Date(session.expiresAt).toISOString() : null,
+        refreshTokenIssuedAt: session && session.refreshTokenIssuedAt
+          ? new Date(session.refreshTokenIssuedAt).toISOString()
+          : null
       })
     };
 
@@ -0,0 +1,72 @@
+/**
+ * Cookie helpers shared by the Netlify functions
+ *
+ * Netlify functions are stateless, so anything that has to survive between
+ * two requests (e.g. the PKCE verifier between xero-auth and xero-callback)
+ * travels in an HttpOnly cookie sealed with tokenCrypto.
+ */
+
+/**
+ * Parse the Cookie header of a Netlify function event
+ *
+ * Cookies with broken %-encoding are left out (treated as absent) instead
+ * of failing the request.
+ *
+ * @param {Object} event - Netlify function event
+ * @returns {Object} - Cookie name/value pairs
+ */
+function parseCookies(event) {
+  const header = event.headers?.cookie || event.headers?.Cookie || '';
+
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.substring(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.substring(index + 1).trim());
+      } catch (error) {
+        console.warn(`⚠️  Ignoring malformed cookie "${name}"`);
+      }
+    }
+    return cookies;
+  }, {});
+}
+
+/**
+ * Build a Set-Cookie header value
+ *
+ * Defaults to HttpOnly, Secure, SameSite=Lax and Path=/.
+ *
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ * @param {Object} options - { maxAge (seconds), path, sameSite }
+ * @returns {string} - Set-Cookie header value
+ */
+function serializeCookie(name, value, options = {}) {
+  const parts = [
+    `${name}=${encodeURIComponent(value)}`,
+    `Path=${options.path || '/'}`,
+    'HttpOnly',
+    'Secure',
+    `SameSite=${options.sameSite || 'Lax'}`
+  ];
+
+  if (options.maxAge !== undefined) {
+    parts.push(`Max-Age=${options.maxAge}`);
+  }
+
+  return parts.join('; ');
+}
+
+/**
+ * Build a Set-Cookie header value that removes a cookie
+ */
+function clearCookie(name, options = {}) {
+  return serializeCookie(name, '', { ...options, maxAge: 0 });
+}
+
+module.exports = {
+  parseCookies,
+  serializeCookie,
+  clearCookie
+};
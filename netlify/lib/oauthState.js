@@ -0,0 +1,84 @@
+/**
+ * Pending OAuth authorisations for the Netlify functions
+ *
+ * xero-auth/xero-connect seal { state, codeVerifier, sessionId, createdAt }
+ * into an HttpOnly cookie; xero-callback validates it against the returned
+ * state and always clears it, so each authorisation can be completed once.
+ */
+
+const tokenCrypto = require('../../tokenCrypto');
+const { parseCookies, serializeCookie, clearCookie } = require('./cookies');
+
+const COOKIE_NAME = 'xero_oauth';
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+const OAUTH_STATE_ERRORS = {
+  missing: 'The response from Xero did not include a state parameter.',
+  unknown: 'This authorisation request was not started from this browser, or it has already been used.',
+  expired: 'This authorisation request has expired.'
+};
+
+/**
+ * Build the Set-Cookie header that records a new authorisation request
+ */
+function createOAuthCookie(state, codeVerifier, sessionId) {
+  return serializeCookie(
+    COOKIE_NAME,
+    tokenCrypto.seal({ state, codeVerifier, sessionId, createdAt: Date.now() }),
+    { maxAge: OAUTH_STATE_TTL_MS / 1000 }
+  );
+}
+
+/**
+ * Validate the OAuth state returned to xero-callback
+ *
+ * @param {Object} event - Netlify function event
+ * @param {string} state - State returned by Xero
+ * @returns {Object} - { valid: true, sessionId, codeVerifier } or { valid: false, reason }
+ */
+function consumeOAuthCookie(event, state) {
+  if (!state) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const sealed = parseCookies(event)[COOKIE_NAME];
+  if (!sealed) {
+    return { valid: false, reason: 'unknown' };
+  }
+
+  let pending;
+  try {
+    pending = tokenCrypto.unseal(sealed);
+  } catch (error) {
+    console.error('Invalid OAuth cookie:', error.message);
+    return { valid: false, reason: 'unknown' };
+  }
+
+  if (pending.state !== state) {
+    return { valid: false, reason: 'unknown' };
+  }
+
+  if (Date.now() - pending.createdAt > OAUTH_STATE_TTL_MS) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return {
+    valid: true,
+    sessionId: pending.sessionId,
+    codeVerifier: pending.codeVerifier
+  };
+}
+
+/**
+ * Build the Set-Cookie header that removes the pending authorisation
+ */
+function clearOAuthCookie() {
+  return clearCookie(COOKIE_NAME);
+}
+
+module.exports = {
+  OAUTH_STATE_ERRORS,
+  createOAuthCookie,
+  consumeOAuthCookie,
+  clearOAuthCookie
+};
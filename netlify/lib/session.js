@@ -0,0 +1,90 @@
+/**
+ * Xero session cookie for the Netlify functions
+ *
+ * Netlify functions keep no state between requests, so the whole Xero
+ * session ({ accessToken, refreshToken, expiresAt, tenantId, tenantName,
+ * xeroUser, refreshTokenIssuedAt }) travels in one HttpOnly cookie, sealed with
+ * tokenCrypto (AES-256-GCM: encrypted and tamper-proof). Page JavaScript
+ * never sees the tokens.
+ *
+ * xero-callback sets the cookie, xero-status reads it and chat uses it for
+ * Xero calls, re-sealing it whenever the access token is refreshed.
+ */
+
+const tokenCrypto = require('../../tokenCrypto');
+const core = require('../../core');
+const { parseCookies, serializeCookie, clearCookie } = require('./cookies');
+
+const COOKIE_NAME = 'xero_session';
+const SESSION_MAX_AGE_SECONDS = 60 * 24 * 60 * 60; // Xero refresh tokens last 60 days
+
+/**
+ * Read the Xero session from a request
+ *
+ * @param {Object} event - Netlify function event
+ * @returns {Object|null} - Session, or null if there is none or it was tampered with
+ */
+function readSession(event) {
+  const sealed = parseCookies(event)[COOKIE_NAME];
+  if (!sealed) return null;
+
+  try {
+    const session = tokenCrypto.unseal(sealed);
+    return session && session.refreshToken ? session : null;
+  } catch (error) {
+    console.error('Invalid session cookie:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Build the Set-Cookie header that stores a Xero session
+ */
+function createSessionCookie(session) {
+  const { accessToken, refreshToken, expiresAt, tenantId, tenantName, xeroUser, refreshTokenIssuedAt } = session;
+
+  return serializeCookie(
+    COOKIE_NAME,
+    tokenCrypto.seal({ accessToken, refreshToken, expiresAt, tenantId, tenantName, xeroUser, refreshTokenIssuedAt }),
+    { maxAge: SESSION_MAX_AGE_SECONDS }
+  );
+}
+
+/**
+ * Build the Set-Cookie header that removes the Xero session
+ */
+function clearSessionCookie() {
+  return clearCookie(COOKIE_NAME);
+}
+
+/**
+ * Refresh the access token if it is about to expire (see core/tokens.js)
+ *
+ * @param {Object} session - Session from readSession()
+ * @returns {Object} - { success, session, cookie } where cookie is a new
+ *   Set-Cookie value if the tokens changed, or { success: false, error, reauthRequired }
+ */
+async function ensureFreshSession(session) {
+  if (!core.tokens.needsRefresh(session.expiresAt)) {
+    return { success: true, session, cookie: null };
+  }
+
+  console.log('🔄 Refreshing Xero access token...');
+  const result = await core.tokens.refreshTokens(session.refreshToken);
+
+  if (!result.success) {
+    return { success: false, error: result.error, reauthRequired: result.reauthRequired };
+  }
+
+  // Xero rotates the refresh token on every use
+  const refreshed = { ...session, ...result.tokens };
+
+  return { success: true, session: refreshed, cookie: createSessionCookie(refreshed) };
+}
+
+module.exports = {
+  readSession,
+  createSessionCookie,
+  clearSessionCookie,
+  ensureFreshSession
+};
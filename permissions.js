@@ -0,0 +1,326 @@
+/**
+ * Role-Based Permissions
+ *
+ * Every Xero action - whether the AI emits it from /chat or a client calls
+ * the matching /api/* route - is checked against one policy table. Creates
+ * and updates that put a document into a status with its own action
+ * (approving, deleting, voiding, posting) also need that action's roles
+ * (STATUS_POLICY).
+ *
+ * Roles:
+ * - viewer:   read-only
+ * - clerk:    day-to-day data entry (draft invoices, credit notes and journals,
+ *             contacts, items, spend/receive money, transfers)
+ * - approver: clerk, plus approving invoices and credit notes, payments,
+ *             posting journals and deletions
+ * - admin:    everything, including the chart of accounts and user roles
+ */
+
+const ROLES = ['viewer', 'clerk', 'approver', 'admin'];
+const DEFAULT_ROLE = 'viewer';
+
+const ANYONE = ['viewer', 'clerk', 'approver', 'admin'];
+const CLERKS = ['clerk', 'approver', 'admin'];
+const APPROVERS = ['approver', 'admin'];
+const ADMINS = ['admin'];
+
+/**
+ * Action name -> roles allowed to run it
+ *
+ * Actions not listed here are denied.
+ */
+const ACTION_POLICY = {
+  get_organization: ANYONE,
+  get_invoices: ANYONE,
+  get_contacts: ANYONE,
+  get_accounts: ANYONE,
+  get_items: ANYONE,
+  get_payments: ANYONE,
+
+  create_invoice: CLERKS,
+  create_contact: CLERKS,
+  create_item: CLERKS,
+  create_payment: APPROVERS,
+  create_account: ADMINS,
+
+  update_invoice: CLERKS,
+  update_contact: CLERKS,
+  update_item: CLERKS,
+  update_account: ADMINS,
+
+  delete_invoice: APPROVERS,
+  // Submitting or authorising an invoice
+  approve_invoice: APPROVERS,
+  delete_contact: APPROVERS,
+  delete_item: APPROVERS,
+  delete_payment: APPROVERS,
+
+  get_quotes: ANYONE,
+  create_quote: CLERKS,
+  update_quote: CLERKS,
+  convert_quote: CLERKS,
+  // Moving a quote to DELETED (there is no separate delete route)
+  delete_quote: APPROVERS,
+
+  get_credit_notes: ANYONE,
+  create_credit_note: CLERKS,
+  update_credit_note: CLERKS,
+  allocate_credit_note: APPROVERS,
+  refund_credit_note: APPROVERS,
+  delete_credit_note: APPROVERS,
+  // Submitting or authorising a credit note
+  approve_credit_note: APPROVERS,
+
+  get_bank_transactions: ANYONE,
+  create_bank_transaction: CLERKS,
+  update_bank_transaction: CLERKS,
+  // Moving a bank transaction to DELETED (there is no separate delete route)
+  delete_bank_transaction: APPROVERS,
+  get_bank_transfers: ANYONE,
+  create_bank_transfer: CLERKS,
+
+  get_manual_journals: ANYONE,
+  create_manual_journal: CLERKS,
+  update_manual_journal: CLERKS,
+  // Posting, voiding or deleting a journal
+  post_manual_journal: APPROVERS,
+
+  reset_sync: CLERKS,
+
+  manage_users: ADMINS
+};
+
+/**
+ * Action name -> requested status -> action whose roles it also needs
+ *
+ * Without this a clerk could "update" an invoice to DELETED and skip
+ * delete_invoice. Statuses not listed only need the action itself.
+ */
+const STATUS_POLICY = {
+  create_invoice: { SUBMITTED: 'approve_invoice', AUTHORISED: 'approve_invoice' },
+  update_invoice: {
+    SUBMITTED: 'approve_invoice',
+    AUTHORISED: 'approve_invoice',
+    DELETED: 'delete_invoice',
+    VOIDED: 'delete_invoice'
+  },
+  update_quote: { DELETED: 'delete_quote' },
+  create_credit_note: { SUBMITTED: 'approve_credit_note', AUTHORISED: 'approve_credit_note' },
+  update_credit_note: {
+    SUBMITTED: 'approve_credit_note',
+    AUTHORISED: 'approve_credit_note',
+    DELETED: 'delete_credit_note',
+    VOIDED: 'delete_credit_note'
+  },
+  update_bank_transaction: { DELETED: 'delete_bank_transaction' },
+
+  create_manual_journal: { POSTED: 'post_manual_journal', VOIDED: 'post_manual_journal', DELETED: 'post_manual_journal' },
+  update_manual_journal: { POSTED: 'post_manual_journal', VOIDED: 'post_manual_journal', DELETED: 'post_manual_journal' }
+};
+
+/**
+ * REST route -> action it performs (checked against ACTION_POLICY)
+ */
+const ROUTE_POLICY = [
+  { method: 'GET', path: '/api/organization', action: 'get_organization' },
+
+  { method: 'GET', path: '/api/invoices', action: 'get_invoices' },
+  { method: 'GET', path: '/api/invoices/:invoiceId', action: 'get_invoices' },
+  { method: 'POST', path: '/api/invoices', action: 'create_invoice' },
+  { method: 'PUT', path: '/api/invoices/:invoiceId', action: 'update_invoice' },
+  { method: 'DELETE', path: '/api/invoices/:invoiceId', action: 'delete_invoice' },
+
+  { method: 'GET', path: '/api/contacts', action: 'get_contacts' },
+  { method: 'GET', path: '/api/contacts/:contactId', action: 'get_contacts' },
+  { method: 'POST', path: '/api/contacts', action: 'create_contact' },
+  { method: 'PUT', path: '/api/contacts/:contactId', action: 'update_contact' },
+  { method: 'DELETE', path: '/api/contacts/:contactId', action: 'delete_contact' },
+
+  { method: 'GET', path: '/api/accounts', action: 'get_accounts' },
+  { method: 'POST', path: '/api/accounts', action: 'create_account' },
+  { method: 'PUT', path: '/api/accounts/:accountId', action: 'update_account' },
+
+  { method: 'GET', path: '/api/items', action: 'get_items' },
+  { method: 'POST', path: '/api/items', action: 'create_item' },
+  { method: 'PUT', path: '/api/items/:itemId', action: 'update_item' },
+  { method: 'DELETE', path: '/api/items/:itemId', action: 'delete_item' },
+
+  { method: 'GET', path: '/api/payments', action: 'get_payments' },
+  { method: 'POST', path: '/api/payments', action: 'create_payment' },
+  { method: 'DELETE', path: '/api/payments/:paymentId', action: 'delete_payment' },
+
+  { method: 'GET', path: '/api/quotes', action: 'get_quotes' },
+  { method: 'GET', path: '/api/quotes/:quoteId', action: 'get_quotes' },
+  { method: 'POST', path: '/api/quotes', action: 'create_quote' },
+  { method: 'PUT', path: '/api/quotes/:quoteId', action: 'update_quote' },
+  { method: 'POST', path: '/api/quotes/:quoteId/convert', action: 'convert_quote' },
+
+  { method: 'GET', path: '/api/credit-notes', action: 'get_credit_notes' },
+  { method: 'GET', path: '/api/credit-notes/:creditNoteId', action: 'get_credit_notes' },
+  { method: 'POST', path: '/api/credit-notes', action: 'create_credit_note' },
+  { method: 'PUT', path: '/api/credit-notes/:creditNoteId', action: 'update_credit_note' },
+  { method: 'DELETE', path: '/api/credit-notes/:creditNoteId', action: 'delete_credit_note' },
+  { method: 'POST', path: '/api/credit-notes/:creditNoteId/allocations', action: 'allocate_credit_note' },
+  { method: 'POST', path: '/api/credit-notes/:creditNoteId/refunds', action: 'refund_credit_note' },
+
+  { method: 'GET', path: '/api/bank-transactions', action: 'get_bank_transactions' },
+  { method: 'GET', path: '/api/bank-transactions/:bankTransactionId', action: 'get_bank_transactions' },
+  { method: 'POST', path: '/api/bank-transactions', action: 'create_bank_transaction' },
+  { method: 'PUT', path: '/api/bank-transactions/:bankTransactionId', action: 'update_bank_transaction' },
+
+  { method: 'GET', path: '/api/bank-transfers', action: 'get_bank_transfers' },
+  { method: 'POST', path: '/api/bank-transfers', action: 'create_bank_transfer' },
+
+  { method: 'GET', path: '/api/manual-journals', action: 'get_manual_journals' },
+  { method: 'GET', path: '/api/manual-journals/:manualJournalId', action: 'get_manual_journals' },
+  { method: 'POST', path: '/api/manual-journals', action: 'create_manual_journal' },
+  { method: 'PUT', path: '/api/manual-journals/:manualJournalId', action: 'update_manual_journal' },
+  { method: 'POST', path: '/api/manual-journals/:manualJournalId/post', action: 'post_manual_journal' },
+
+  { method: 'GET', path: '/api/sync/invoices', action: 'get_invoices' },
+  { method: 'GET', path: '/api/sync/contacts', action: 'get_contacts' },
+  { method: 'GET', path: '/api/sync/accounts', action: 'get_accounts' },
+  { method: 'GET', path: '/api/sync/items', action: 'get_items' },
+  { method: 'GET', path: '/api/sync/payments', action: 'get_payments' },
+  { method: 'GET', path: '/api/sync/quotes', action: 'get_quotes' },
+  { method: 'GET', path: '/api/sync/credit-notes', action: 'get_credit_notes' },
+  { method: 'GET', path: '/api/sync/bank-transactions', action: 'get_bank_transactions' },
+  { method: 'GET', path: '/api/sync/manual-journals', action: 'get_manual_journals' },
+  { method: 'DELETE', path: '/api/sync/:entity', action: 'reset_sync' }
+].map(route => ({
+  ...route,
+  pattern: new RegExp('^' + route.path.replace(/:[^/]+/g, '[^/]+') + '/?$')
+}));
+
+/**
+ * Check if a role name is valid
+ */
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Role of a user (users created before roles existed are viewers)
+ */
+function roleOf(user) {
+  return user && isValidRole(user.role) ? user.role : DEFAULT_ROLE;
+}
+
+/**
+ * Check if a user may run an action
+ *
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} action - Action name, e.g. "create_invoice"
+ * @returns {boolean}
+ */
+function can(user, action) {
+  const allowed = ACTION_POLICY[action];
+  return Boolean(allowed && allowed.includes(roleOf(user)));
+}
+
+/**
+ * Every status an action payload asks for, upper-cased
+ *
+ * Looks at the top level (chat actions) and at every *_data object (REST
+ * bodies and chat updates), so a second status can't ride along unchecked.
+ */
+function requestedStatuses(data) {
+  if (!data || typeof data !== 'object') return [];
+
+  const sources = [data, ...Object.keys(data)
+    .filter(key => key.endsWith('_data') && data[key] && typeof data[key] === 'object')
+    .map(key => data[key])];
+
+  return sources
+    .filter(source => source.status !== undefined && source.status !== null)
+    .map(source => String(source.status).toUpperCase());
+}
+
+/**
+ * Check an action and the statuses it requests
+ *
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} action - Action name, e.g. "update_invoice"
+ * @param {Object} data - Action payload (chat action JSON or REST body)
+ * @returns {Object|null} - forbiddenResponse body, or null if allowed
+ */
+function authorizeAction(user, action, data) {
+  if (!can(user, action)) {
+    return forbiddenResponse(user, action);
+  }
+
+  const statusActions = STATUS_POLICY[action] || {};
+  for (const status of requestedStatuses(data)) {
+    const required = statusActions[status];
+    if (required && !can(user, required)) {
+      return forbiddenResponse(user, required);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the action performed by a REST request
+ *
+ * @returns {string|null} - Action name, or null if the route is not in the table
+ */
+function actionForRoute(method, path) {
+  const route = ROUTE_POLICY.find(r => r.method === method && r.pattern.test(path));
+  return route ? route.action : null;
+}
+
+/**
+ * Body for a denied request
+ */
+function forbiddenResponse(user, action) {
+  const role = roleOf(user);
+  return {
+    success: false,
+    type: 'forbidden',
+    error: `Your role (${role}) is not allowed to run "${action}".`,
+    action,
+    role
+  };
+}
+
+/**
+ * Express middleware enforcing ROUTE_POLICY (mount on /api after authentication)
+ *
+ * Routes missing from the table are denied, so new endpoints must be added
+ * to the policy before anyone can use them.
+ */
+function authorizeRoute() {
+  return (req, res, next) => {
+    const path = req.baseUrl + req.path;
+    const action = actionForRoute(req.method, path);
+
+    if (!action) {
+      console.warn(`⚠️  No permission policy for ${req.method} ${path}`);
+      return res.status(403).json(forbiddenResponse(req.user, `${req.method} ${path}`));
+    }
+
+    const denied = authorizeAction(req.user, action, req.body);
+    if (denied) {
+      return res.status(403).json(denied);
+    }
+
+    req.action = action;
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ACTION_POLICY,
+  STATUS_POLICY,
+  ROUTE_POLICY,
+  isValidRole,
+  roleOf,
+  can,
+  authorizeAction,
+  actionForRoute,
+  forbiddenResponse,
+  authorizeRoute
+};
@@ -0,0 +1,192 @@
+/**
+ * Session Store
+ *
+ * Pluggable storage for chat sessions (Xero tokens, tenant, conversation history):
+ * - Memory store: in-process Map, lost on every restart (default)
+ * - File store: JSON file on disk, survives restarts and redeploys with a persistent disk
+ *
+ * Select with SESSION_STORE=memory|file. Sessions idle for longer than
+ * SESSION_TTL_HOURS are expired on read and by a periodic sweep.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TTL_HOURS = 720; // 30 days
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Check if a stored session has been idle longer than the TTL
+ */
+function isExpired(data, ttlMs) {
+  if (!ttlMs || !data) return false;
+  const lastSeen = data.updatedAt || 0;
+  return Date.now() - lastSeen > ttlMs;
+}
+
+/**
+ * Create an in-memory session store
+ *
+ * @param {Object} options - { ttlMs, onExpire } - onExpire(count) is called
+ *   whenever expired sessions are dropped
+ * @returns {Object} - Session store
+ */
+function createMemoryStore(options = {}) {
+  const { ttlMs, onExpire } = options;
+  const sessions = new Map();
+
+  function get(sessionId) {
+    const data = sessions.get(sessionId);
+    if (data && isExpired(data, ttlMs)) {
+      sessions.delete(sessionId);
+      if (onExpire) onExpire(1);
+      return undefined;
+    }
+    return data;
+  }
+
+  function set(sessionId, data) {
+    sessions.set(sessionId, data);
+  }
+
+  function remove(sessionId) {
+    return sessions.delete(sessionId);
+  }
+
+  function has(sessionId) {
+    return get(sessionId) !== undefined;
+  }
+
+  function entries() {
+    purgeExpired();
+    return Array.from(sessions.entries());
+  }
+
+  function purgeExpired() {
+    let purged = 0;
+    for (const [sessionId, data] of sessions.entries()) {
+      if (isExpired(data, ttlMs)) {
+        sessions.delete(sessionId);
+        purged++;
+      }
+    }
+    if (purged > 0 && onExpire) onExpire(purged);
+    return purged;
+  }
+
+  return {
+    type: 'memory',
+    get,
+    set,
+    delete: remove,
+    has,
+    entries,
+    purgeExpired
+  };
+}
+
+/**
+ * Create a file-backed session store
+ *
+ * Sessions are cached in memory and the whole set is written to a JSON file
+ * on every change (write to a temp file, then rename, so a crash never
+ * leaves a half-written file behind).
+ *
+ * @param {Object} options - { filePath, ttlMs }
+ * @returns {Object} - Session store
+ */
+function createFileStore(options = {}) {
+  const filePath = path.resolve(options.filePath || './data/sessions.json');
+  // Expired sessions are dropped on read and sweep; write that to disk too,
+  // or they would come back on the next load
+  const memory = createMemoryStore({ ttlMs: options.ttlMs, onExpire: () => persist() });
+
+  // Load existing sessions from disk
+  try {
+    if (fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      Object.entries(saved).forEach(([sessionId, data]) => memory.set(sessionId, data));
+      const purged = memory.purgeExpired();
+      console.log(`💾 Loaded ${Object.keys(saved).length - purged} sessions from ${filePath}`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to load session file, starting empty:', error.message);
+  }
+
+  function persist() {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(memory.entries())), { mode: 0o600 });
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      console.error('❌ Failed to write session file:', error.message);
+    }
+  }
+
+  function set(sessionId, data) {
+    memory.set(sessionId, data);
+    persist();
+  }
+
+  function remove(sessionId) {
+    const deleted = memory.delete(sessionId);
+    if (deleted) persist();
+    return deleted;
+  }
+
+  return {
+    type: 'file',
+    filePath,
+    get: memory.get,
+    set,
+    delete: remove,
+    has: memory.has,
+    entries: memory.entries,
+    purgeExpired: memory.purgeExpired
+  };
+}
+
+/**
+ * Create the session store selected by configuration
+ *
+ * The same factory backs other small keyed stores (e.g. pending OAuth
+ * authorisations); pass a name for logging and a separate filePath.
+ *
+ * @param {Object} options - { name } plus overrides for SESSION_STORE, SESSION_FILE and SESSION_TTL_HOURS
+ * @returns {Object} - Session store
+ */
+function createSessionStore(options = {}) {
+  const type = (options.type || process.env.SESSION_STORE || 'memory').toLowerCase();
+  const ttlHours = Number(options.ttlHours ?? process.env.SESSION_TTL_HOURS ?? DEFAULT_TTL_HOURS);
+  const ttlMs = ttlHours > 0 ? ttlHours * 60 * 60 * 1000 : null;
+
+  let store;
+  if (type === 'file') {
+    store = createFileStore({ filePath: options.filePath || process.env.SESSION_FILE, ttlMs });
+  } else {
+    if (type !== 'memory') {
+      console.warn(`⚠️  Unknown SESSION_STORE "${type}", falling back to memory`);
+    }
+    store = createMemoryStore({ ttlMs });
+  }
+
+  // Sweep idle sessions in the background without keeping the process alive
+  if (ttlMs) {
+    const timer = setInterval(() => {
+      const purged = store.purgeExpired();
+      if (purged > 0) console.log(`🧹 Expired ${purged} idle sessions`);
+    }, SWEEP_INTERVAL_MS);
+    timer.unref();
+  }
+
+  console.log(`💾 ${options.name || 'Session'} store: ${store.type}${ttlMs ? ` (idle TTL ${ttlHours}h)` : ''}`);
+
+  return store;
+}
+
+module.exports = {
+  createSessionStore,
+  createMemoryStore,
+  createFileStore
+};
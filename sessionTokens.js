@@ -0,0 +1,157 @@
+/**
+ * Session Tokens
+ *
+ * Hands out decrypted Xero sessions with a valid access token, refreshing
+ * it when it is about to expire. Storage stays with the server, which
+ * passes in how to read and merge a session.
+ *
+ * Xero rotates the refresh token on every refresh, so a session is only
+ * ever refreshed once at a time: concurrent callers share the refresh in
+ * flight (see core/tokens.js setRefreshTransport for faking the endpoint).
+ */
+
+const core = require('./core');
+const tokenCrypto = require('./tokenCrypto');
+
+/**
+ * Create the token helpers for a session store
+ *
+ * @param {Object} options
+ * @param {Function} options.getSession - (sessionId) => stored session
+ * @param {Function} options.setSession - (sessionId, data) merges data into the session
+ * @returns {Object} - { ensureValidToken, decryptSessionTokens }
+ */
+function createSessionTokens({ getSession, setSession }) {
+  /**
+   * Return a copy of the session with decrypted Xero tokens
+   *
+   * Tokens are stored encrypted; the copy is for the current request only
+   * and must never be passed back to setSession. Tokens encrypted with an
+   * old key are re-encrypted with the current key on the way through.
+   */
+  function decryptSessionTokens(sessionId, session) {
+    const accessToken = tokenCrypto.decrypt(session.accessToken);
+    const refreshToken = tokenCrypto.decrypt(session.refreshToken);
+
+    if (tokenCrypto.needsRotation(session.accessToken) || tokenCrypto.needsRotation(session.refreshToken)) {
+      console.log('🔐 Re-encrypting tokens with current key for session:', sessionId);
+      setSession(sessionId, {
+        accessToken: tokenCrypto.encrypt(accessToken),
+        refreshToken: tokenCrypto.encrypt(refreshToken)
+      });
+    }
+
+    return { ...session, accessToken, refreshToken };
+  }
+
+  // In-flight token refreshes by session ID. Xero rotates the refresh token on
+  // every refresh, so concurrent refreshes would invalidate each other.
+  const refreshLocks = new Map();
+
+  /**
+   * Return a valid (decrypted) session, refreshing the access token if needed
+   *
+   * Concurrent callers for the same session share a single refresh and all
+   * receive the same result. Pass { force: true } to refresh even if the
+   * access token is still valid (used by the keep-alive scheduler).
+   */
+  async function ensureValidToken(sessionId, options = {}) {
+    const storedSession = getSession(sessionId);
+    if (!storedSession || !storedSession.connected) {
+      return { success: false, error: 'Not connected to Xero' };
+    }
+
+    if (storedSession.connectionStatus === 'needs_reauth') {
+      return { success: false, error: 'Xero connection expired. Please reconnect.' };
+    }
+
+    if (!storedSession.refreshToken) {
+      return { success: false, error: 'No refresh token available' };
+    }
+
+    let session;
+    try {
+      session = decryptSessionTokens(sessionId, storedSession);
+    } catch (error) {
+      console.error('❌ Token decryption failed:', error.message);
+      return { success: false, error: 'Stored Xero tokens could not be decrypted. Please reconnect.' };
+    }
+
+    // Check if token needs refresh
+    if (!options.force && !core.tokens.needsRefresh(session.expiresAt)) {
+      console.log('✅ Token is still valid, expires at:', new Date(session.expiresAt).toISOString());
+      return { success: true, session };
+    }
+
+    if (refreshLocks.has(sessionId)) {
+      console.log('⏳ Token refresh already in progress, waiting for it...');
+      return refreshLocks.get(sessionId);
+    }
+
+    const refresh = refreshSessionTokens(sessionId, session)
+      .finally(() => refreshLocks.delete(sessionId));
+    refreshLocks.set(sessionId, refresh);
+
+    return refresh;
+  }
+
+  /**
+   * Refresh access token with proper error handling and logging
+   *
+   * Only call through ensureValidToken, which holds the per-session lock.
+   */
+  async function refreshSessionTokens(sessionId, session) {
+    console.log('🔄 Refreshing access token...');
+    console.log('📊 Token expired at:', new Date(session.expiresAt).toISOString());
+    console.log('📊 Current time:', new Date().toISOString());
+
+    try {
+      const refreshResult = await core.tokens.refreshTokens(session.refreshToken);
+
+      if (!refreshResult.success) {
+        console.error('❌ Token refresh failed:', refreshResult.error);
+
+        // Xero rejected the refresh token (expired or revoked) - only a new login can fix this.
+        // Network errors and 5xx are left alone and retried on the next request.
+        if (refreshResult.reauthRequired) {
+          console.error('🔒 Marking session as needing re-authorisation:', sessionId);
+          setSession(sessionId, {
+            connectionStatus: 'needs_reauth',
+            reauthReason: refreshResult.error?.error || 'refresh_rejected'
+          });
+        }
+
+        return { success: false, error: 'Token refresh failed', details: refreshResult.error };
+      }
+
+      console.log('✅ Token refreshed successfully');
+      console.log('📊 New token expires at:', new Date(refreshResult.tokens.expiresAt).toISOString());
+
+      const { accessToken, refreshToken, expiresAt, refreshTokenIssuedAt } = refreshResult.tokens;
+
+      // Update session while preserving ALL existing data (tokens stored encrypted)
+      setSession(sessionId, {
+        accessToken: tokenCrypto.encrypt(accessToken),
+        refreshToken: tokenCrypto.encrypt(refreshToken),
+        expiresAt,
+        refreshTokenIssuedAt,
+        connectionStatus: 'connected',
+        reauthReason: null
+      });
+
+      return { success: true, session: { ...getSession(sessionId), accessToken, refreshToken } };
+    } catch (error) {
+      console.error('❌ Token refresh error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  return {
+    ensureValidToken,
+    decryptSessionTokens
+  };
+}
+
+module.exports = {
+  createSessionTokens
+};
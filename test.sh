@@ -6,7 +6,8 @@
 # This script provides easy testing of the chatbot endpoints
 
 BASE_URL="http://localhost:3000"
-SESSION_ID="test_user_$(date +%s)"
+TEST_USERNAME="${TEST_USERNAME:-admin}"
+TEST_PASSWORD="${TEST_PASSWORD:-change-me-please}"
 
 # Colors for output
 GREEN='\033[0;32m'
@@ -19,10 +20,24 @@ echo "╔═══════════════════════
 echo "║           Xero Chatbot Test Script                    ║"
 echo "╚═══════════════════════════════════════════════════════╝"
 echo ""
-echo "Session ID: ${SESSION_ID}"
+echo "User: ${TEST_USERNAME}"
 echo "Base URL: ${BASE_URL}"
 echo ""
 
+# ==========================================
+# Log in (registers the first user on a fresh server)
+# ==========================================
+CREDENTIALS="{\"username\": \"${TEST_USERNAME}\", \"password\": \"${TEST_PASSWORD}\"}"
+AUTH_TOKEN=$(curl -s -X POST "${BASE_URL}/auth/login" -H "Content-Type: application/json" -d "${CREDENTIALS}" | jq -r '.token // empty')
+if [ -z "${AUTH_TOKEN}" ]; then
+  AUTH_TOKEN=$(curl -s -X POST "${BASE_URL}/auth/register" -H "Content-Type: application/json" -d "${CREDENTIALS}" | jq -r '.token // empty')
+fi
+if [ -z "${AUTH_TOKEN}" ]; then
+  echo -e "${RED}Login failed - set TEST_USERNAME and TEST_PASSWORD${NC}"
+  exit 1
+fi
+AUTH_HEADER="Authorization: Bearer ${AUTH_TOKEN}"
+
 # ==========================================
 # TEST 1: Health Check
 # ==========================================
@@ -37,7 +52,7 @@ echo ""
 # ==========================================
 echo -e "${BLUE}TEST 2: Check Xero Connection Status${NC}"
 echo "Testing: GET /xero/status"
-curl -s "${BASE_URL}/xero/status?session_id=${SESSION_ID}" | jq '.'
+curl -s "${BASE_URL}/xero/status" -H "${AUTH_HEADER}" | jq '.'
 echo ""
 echo ""
 
@@ -49,10 +64,10 @@ echo "Testing: POST /chat"
 echo "Message: \"Hello! What can you help me with?\""
 echo ""
 curl -s -X POST "${BASE_URL}/chat" \
+  -H "${AUTH_HEADER}" \
   -H "Content-Type: application/json" \
   -d "{
-    \"message\": \"Hello! What can you help me with?\",
-    \"session_id\": \"${SESSION_ID}\"
+    \"message\": \"Hello! What can you help me with?\"
   }" | jq '.'
 echo ""
 echo ""
@@ -65,10 +80,10 @@ echo "Testing: POST /chat"
 echo "Message: \"Create an invoice for ABC Company, 2 items: Web Design RM2000, Hosting RM500, date 2026-01-29\""
 echo ""
 curl -s -X POST "${BASE_URL}/chat" \
+  -H "${AUTH_HEADER}" \
   -H "Content-Type: application/json" \
   -d "{
-    \"message\": \"Create an invoice for ABC Company, 2 items: Web Design RM2000, Hosting RM500, date 2026-01-29\",
-    \"session_id\": \"${SESSION_ID}\"
+    \"message\": \"Create an invoice for ABC Company, 2 items: Web Design RM2000, Hosting RM500, date 2026-01-29\"
   }" | jq '.'
 echo ""
 echo ""
@@ -81,10 +96,10 @@ echo "Testing: POST /chat"
 echo "Message: \"Create an invoice\""
 echo ""
 curl -s -X POST "${BASE_URL}/chat" \
+  -H "${AUTH_HEADER}" \
   -H "Content-Type: application/json" \
   -d "{
-    \"message\": \"Create an invoice\",
-    \"session_id\": \"${SESSION_ID}\"
+    \"message\": \"Create an invoice\"
   }" | jq '.'
 echo ""
 echo ""
@@ -97,10 +112,10 @@ echo "Testing: POST /chat"
 echo "Message: \"Calculate total for 10 items at RM50 each with 10% discount\""
 echo ""
 curl -s -X POST "${BASE_URL}/chat" \
+  -H "${AUTH_HEADER}" \
   -H "Content-Type: application/json" \
   -d "{
-    \"message\": \"Calculate total for 10 items at RM50 each with 10% discount\",
-    \"session_id\": \"${SESSION_ID}\"
+    \"message\": \"Calculate total for 10 items at RM50 each with 10% discount\"
   }" | jq '.'
 echo ""
 echo ""
@@ -110,7 +125,7 @@ echo ""
 # ==========================================
 echo -e "${BLUE}TEST 7: Get Chat History${NC}"
 echo "Testing: GET /chat/history"
-curl -s "${BASE_URL}/chat/history?session_id=${SESSION_ID}" | jq '.'
+curl -s "${BASE_URL}/chat/history" -H "${AUTH_HEADER}" | jq '.'
 echo ""
 echo ""
 
@@ -124,7 +139,7 @@ echo ""
 echo "To connect Xero (required for invoice creation):"
 echo ""
 echo "1. Get authorization URL:"
-echo -e "${GREEN}curl \"${BASE_URL}/xero/auth?session_id=${SESSION_ID}\"${NC}"
+echo -e "${GREEN}curl \"${BASE_URL}/xero/auth\" -H \"${AUTH_HEADER}\"${NC}"
 echo ""
 echo "2. Visit the returned URL in your browser"
 echo "3. Authorize the Xero app"
@@ -132,8 +147,9 @@ echo "4. You'll be redirected back with success message"
 echo ""
 echo "5. Test invoice creation again with:"
 echo -e "${GREEN}curl -X POST \"${BASE_URL}/chat\" \\${NC}"
+echo -e "${GREEN}  -H \"${AUTH_HEADER}\" \\${NC}"
 echo -e "${GREEN}  -H \"Content-Type: application/json\" \\${NC}"
-echo -e "${GREEN}  -d '{\"message\": \"Create an invoice for ABC Company, 2 items: Web Design RM2000, Hosting RM500\", \"session_id\": \"${SESSION_ID}\"}'${NC}"
+echo -e "${GREEN}  -d '{\"message\": \"Create an invoice for ABC Company, 2 items: Web Design RM2000, Hosting RM500\"}'${NC}"
 echo ""
 echo ""
 echo -e "${GREEN}All tests completed!${NC}"
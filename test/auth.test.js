@@ -0,0 +1,71 @@
+/**
+ * Cross-site request protection for cookie-authenticated writes
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const auth = require('../auth');
+
+const guard = auth.rejectCrossSiteRequests(['https://app.example.com']);
+
+/**
+ * Run the middleware on a fake request; resolves to 'next' or the refused status
+ */
+function run({ method = 'POST', headers = {} }) {
+  const req = { method, originalUrl: '/api/invoices', headers: { host: 'api.example.com', ...headers } };
+  let outcome = null;
+  const res = {
+    status(code) {
+      outcome = code;
+      return { json: () => {} };
+    }
+  };
+  guard(req, res, () => { outcome = 'next'; });
+  return outcome;
+}
+
+const cookie = { cookie: 'xcb_auth=token' };
+const json = { 'content-type': 'application/json; charset=utf-8' };
+
+test('cookie writes from another site are refused', () => {
+  assert.equal(run({ headers: { ...cookie, ...json, origin: 'https://evil.example' } }), 403);
+});
+
+test('form posts (not JSON) are refused even without an Origin', () => {
+  assert.equal(run({ headers: { ...cookie, 'content-type': 'application/x-www-form-urlencoded' } }), 415);
+  assert.equal(run({ headers: { ...cookie, 'content-type': 'text/plain', origin: 'https://app.example.com' } }), 415);
+});
+
+test('JSON writes from an allowed or the same origin pass', () => {
+  assert.equal(run({ headers: { ...cookie, ...json, origin: 'https://app.example.com' } }), 'next');
+  assert.equal(run({ headers: { ...cookie, ...json, origin: 'https://api.example.com' } }), 'next');
+  assert.equal(run({ headers: { ...cookie, ...json } }), 'next');
+});
+
+test('reads, bearer tokens and API keys are not checked', () => {
+  assert.equal(run({ method: 'GET', headers: { ...cookie, origin: 'https://evil.example' } }), 'next');
+  assert.equal(run({ headers: { ...cookie, authorization: 'Bearer abc', 'content-type': 'text/plain' } }), 'next');
+  assert.equal(run({ headers: { 'x-api-key': 'xcb_abc' } }), 'next');
+  assert.equal(run({ headers: { 'content-type': 'text/plain' } }), 'next');
+});
+
+test('the user registry survives a store reload', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { createFileStore } = require('../sessionStore');
+
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'users-')), 'users.json');
+  const registry = auth.createUserRegistry(createFileStore({ filePath }));
+  assert.equal(registry.createUser({ username: 'Owner', password: 'correct horse battery', role: 'admin' }).success, true);
+
+  const reloaded = auth.createUserRegistry(createFileStore({ filePath }));
+  assert.equal(reloaded.count(), 1);
+  assert.equal(reloaded.authenticate('owner', 'correct horse battery').role, 'admin');
+});
+
+test('the user registry refuses an in-memory store', () => {
+  const { createMemoryStore } = require('../sessionStore');
+  assert.throws(() => auth.createUserRegistry(createMemoryStore()), /persistent store/);
+});
@@ -0,0 +1,82 @@
+/**
+ * Spend/receive money entity functions against a stubbed Xero
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const xeroHttp = require('../core/xeroHttp');
+const xeroFull = require('../xeroClientFull');
+
+afterEach(() => xeroHttp.setTransport(null));
+
+const CHART = [
+  { AccountID: 'a-maybank', Code: '090', Name: 'Maybank Current', Type: 'BANK', Status: 'ACTIVE' },
+  { AccountID: 'a-cimb', Code: '091', Name: 'CIMB Savings', Type: 'BANK', Status: 'ACTIVE' },
+  { AccountID: 'a-fuel', Code: '449', Name: 'Motor Vehicle Expenses', Type: 'EXPENSE', Status: 'ACTIVE' },
+  { AccountID: 'a-old', Code: '450', Name: 'Old Expenses', Type: 'EXPENSE', Status: 'ARCHIVED' }
+];
+
+/**
+ * Fake Xero with CHART; records every write
+ */
+function fakeXero() {
+  const writes = [];
+  xeroHttp.setTransport(async (config) => {
+    if (config.method === 'GET') {
+      return { status: 200, headers: {}, data: { Accounts: CHART } };
+    }
+    writes.push(config);
+    const [transaction] = config.data.BankTransactions;
+    return { status: 200, headers: {}, data: { BankTransactions: [{ BankTransactionID: 'bt1', Total: 80, ...transaction }] } };
+  });
+  return writes;
+}
+
+const petrol = {
+  type: 'SPEND',
+  contact_name: 'Shell',
+  bank_account: 'maybank',
+  line_items: [{ description: 'Petrol', unit_amount: 80, account_code: '449' }]
+};
+
+test('spend money is sent from the named bank account', async () => {
+  const writes = fakeXero();
+
+  const result = await xeroFull.createBankTransaction(petrol, 't', 'tenant');
+
+  assert.equal(result.success, true);
+  assert.equal(result.bankAccount.Name, 'Maybank Current');
+  const [sent] = writes[0].data.BankTransactions;
+  assert.equal(sent.Type, 'SPEND');
+  assert.deepEqual(sent.BankAccount, { AccountID: 'a-maybank' });
+  assert.deepEqual(sent.Contact, { Name: 'Shell' });
+});
+
+test('bad input is refused before anything is written', async () => {
+  const writes = fakeXero();
+  const attempt = data => xeroFull.createBankTransaction({ ...petrol, ...data }, 't', 'tenant');
+
+  assert.equal((await attempt({ type: 'WITHDRAW' })).code, 'INVALID_TYPE');
+  assert.equal((await attempt({ contact_name: undefined })).fields[0].field, 'contact');
+  assert.equal((await attempt({ line_items: [] })).code, 'MISSING_LINE_ITEMS');
+  assert.equal((await attempt({ bank_account: '449' })).code, 'NOT_A_BANK_ACCOUNT');
+  assert.equal((await attempt({ bank_account: undefined })).code, 'REQUIRED');
+
+  const bankLine = await attempt({ line_items: [{ unit_amount: 80, account_code: '091' }] });
+  assert.equal(bankLine.fields[0].field, 'line_items[0].account_code');
+  assert.match(bankLine.error, /bank transfer/);
+
+  assert.match((await attempt({ line_items: [{ unit_amount: 80, account_code: '450' }] })).error, /archived/);
+  assert.deepEqual(writes, []);
+});
+
+test('an update passes a DELETED status through upper-cased', async () => {
+  const writes = fakeXero();
+
+  const result = await xeroFull.updateBankTransaction('bt1', { status: 'deleted' }, 't', 'tenant');
+
+  assert.equal(result.success, true);
+  assert.equal(writes[0].url.endsWith('/BankTransactions/bt1'), true);
+  assert.equal(writes[0].data.BankTransactions[0].Status, 'DELETED');
+});
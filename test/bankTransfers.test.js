@@ -0,0 +1,87 @@
+/**
+ * Bank transfers against a stubbed Xero
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const xeroHttp = require('../core/xeroHttp');
+const xeroFull = require('../xeroClientFull');
+
+afterEach(() => xeroHttp.setTransport(null));
+
+const CHART = [
+  // Base-currency bank accounts carry no CurrencyCode
+  { AccountID: 'a-maybank', Code: '090', Name: 'Maybank Current', Type: 'BANK', Status: 'ACTIVE' },
+  { AccountID: 'a-cimb', Code: '091', Name: 'CIMB Savings', Type: 'BANK', Status: 'ACTIVE' },
+  { AccountID: 'a-usd', Code: '092', Name: 'HSBC USD', Type: 'BANK', Status: 'ACTIVE', CurrencyCode: 'USD' },
+  { AccountID: 'a-myr', Code: '093', Name: 'Public Bank MYR', Type: 'BANK', Status: 'ACTIVE', CurrencyCode: 'MYR' },
+  { AccountID: 'a-sales', Code: '200', Name: 'Sales', Type: 'REVENUE', Status: 'ACTIVE' }
+];
+
+/**
+ * Fake Xero (base currency MYR); records the transfers it receives
+ */
+function fakeXero() {
+  const transfers = [];
+  xeroHttp.setTransport(async (config) => {
+    if (config.url.endsWith('/Organisation')) {
+      return { status: 200, headers: {}, data: { Organisations: [{ Name: 'Demo Sdn Bhd', BaseCurrency: 'MYR' }] } };
+    }
+    if (config.method === 'GET') {
+      return { status: 200, headers: {}, data: { Accounts: CHART } };
+    }
+    transfers.push(config.data.BankTransfers[0]);
+    return { status: 200, headers: {}, data: { BankTransfers: [{ BankTransferID: 'tr1', ...config.data.BankTransfers[0] }] } };
+  });
+  return transfers;
+}
+
+const transfer = data => xeroFull.createBankTransfer({ amount: 500, ...data }, 't', 'tenant');
+
+test('a transfer between base-currency accounts needs no rate', async () => {
+  const transfers = fakeXero();
+
+  const result = await transfer({ from_bank_account: 'maybank', to_bank_account: 'cimb' });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(transfers[0].FromBankAccount, { AccountID: 'a-maybank' });
+  assert.deepEqual(transfers[0].ToBankAccount, { AccountID: 'a-cimb' });
+  assert.equal(transfers[0].Amount, 500);
+});
+
+test('a foreign to base-currency transfer without a rate is refused', async () => {
+  const transfers = fakeXero();
+
+  const toBase = await transfer({ from_bank_account: 'HSBC USD', to_bank_account: 'maybank' });
+  assert.equal(toBase.code, 'CURRENCY_RATE_REQUIRED');
+  assert.match(toBase.error, /USD .* MYR/);
+
+  const fromBase = await transfer({ from_bank_account: 'maybank', to_bank_account: 'HSBC USD' });
+  assert.equal(fromBase.code, 'CURRENCY_RATE_REQUIRED');
+
+  assert.deepEqual(transfers, []);
+
+  const withRate = await transfer({ from_bank_account: 'HSBC USD', to_bank_account: 'maybank', currency_rate: 4.7 });
+  assert.equal(withRate.success, true);
+  assert.equal(transfers[0].CurrencyRate, 4.7);
+});
+
+test('a coded account in the base currency matches an uncoded one', async () => {
+  fakeXero();
+  const result = await transfer({ from_bank_account: 'Public Bank MYR', to_bank_account: 'maybank' });
+  assert.equal(result.success, true);
+});
+
+test('transfers to the same account or a non-bank account are refused', async () => {
+  const transfers = fakeXero();
+
+  assert.equal((await transfer({ from_bank_account: 'maybank', to_bank_account: '090' })).code, 'SAME_BANK_ACCOUNT');
+
+  const notBank = await transfer({ from_bank_account: 'maybank', to_bank_account: '200' });
+  assert.equal(notBank.code, 'NOT_A_BANK_ACCOUNT');
+  assert.equal(notBank.fields[0].field, 'to_bank_account');
+
+  assert.equal((await transfer({ amount: 0, from_bank_account: 'maybank', to_bank_account: 'cimb' })).code, 'INVALID_AMOUNT');
+  assert.deepEqual(transfers, []);
+});
@@ -0,0 +1,84 @@
+/**
+ * Credit note entity functions against a stubbed Xero
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const xeroHttp = require('../core/xeroHttp');
+const xeroFull = require('../xeroClientFull');
+
+afterEach(() => xeroHttp.setTransport(null));
+
+/**
+ * Fake Xero holding one credit note; records every call
+ */
+function fakeXero(creditNote) {
+  const calls = [];
+  xeroHttp.setTransport(async (config) => {
+    calls.push(config);
+    if (config.url.endsWith('/Allocations')) {
+      return { status: 200, headers: {}, data: { Allocations: config.data.Allocations } };
+    }
+    if (config.method === 'POST') {
+      return { status: 200, headers: {}, data: { CreditNotes: [{ ...creditNote, ...config.data.CreditNotes[0] }] } };
+    }
+    return { status: 200, headers: {}, data: { CreditNotes: [creditNote] } };
+  });
+  return calls;
+}
+
+const writes = calls => calls.filter(call => call.method !== 'GET');
+
+test('deleting a draft credit note sets it to DELETED', async () => {
+  const calls = fakeXero({ CreditNoteID: 'cn1', Status: 'DRAFT' });
+
+  const result = await xeroFull.deleteCreditNote('cn1', 't', 'tenant');
+
+  assert.equal(result.success, true);
+  assert.equal(result.status, 'DELETED');
+  assert.deepEqual(writes(calls)[0].data, { CreditNotes: [{ CreditNoteID: 'cn1', Status: 'DELETED' }] });
+});
+
+test('deleting an authorised credit note voids it', async () => {
+  const calls = fakeXero({ CreditNoteID: 'cn1', Status: 'AUTHORISED' });
+
+  const result = await xeroFull.deleteCreditNote('cn1', 't', 'tenant');
+
+  assert.equal(result.status, 'VOIDED');
+  assert.equal(writes(calls)[0].data.CreditNotes[0].Status, 'VOIDED');
+});
+
+test('an update passes the requested status on upper-cased', async () => {
+  const calls = fakeXero({ CreditNoteID: 'cn1', Status: 'DRAFT' });
+
+  const result = await xeroFull.updateCreditNote('cn1', { status: 'voided', reference: 'RMA-7' }, 't', 'tenant');
+
+  assert.equal(result.success, true);
+  assert.equal(writes(calls)[0].data.CreditNotes[0].Status, 'VOIDED');
+  assert.equal(writes(calls)[0].data.CreditNotes[0].Reference, 'RMA-7');
+});
+
+test('allocations are checked against the remaining credit before Xero is called', async () => {
+  const calls = fakeXero({ CreditNoteID: 'cn1', Status: 'AUTHORISED', RemainingCredit: 100 });
+
+  const tooMuch = await xeroFull.allocateCreditNote('cn1', [{ invoice_id: 'i1', amount: 60 }, { invoice_id: 'i2', amount: 40.01 }], 't', 'tenant');
+  assert.equal(tooMuch.success, false);
+  assert.deepEqual(writes(calls), []);
+
+  const noInvoice = await xeroFull.allocateCreditNote('cn1', [{ amount: 10 }], 't', 'tenant');
+  assert.equal(noInvoice.fields[0].field, 'allocations[0].invoice_id');
+
+  const ok = await xeroFull.allocateCreditNote('cn1', [{ invoice_id: 'i1', amount: 60 }, { invoice_id: 'i2', amount: 40 }], 't', 'tenant');
+  assert.equal(ok.success, true);
+  assert.equal(ok.allocated, 100);
+  assert.equal(ok.remainingCredit, 0);
+});
+
+test('a draft credit note cannot be allocated', async () => {
+  fakeXero({ CreditNoteID: 'cn1', Status: 'DRAFT', RemainingCredit: 100 });
+
+  const result = await xeroFull.allocateCreditNote('cn1', [{ invoice_id: 'i1', amount: 10 }], 't', 'tenant');
+
+  assert.equal(result.code, 'CREDIT_NOTE_NOT_AUTHORISED');
+});
@@ -0,0 +1,130 @@
+/**
+ * Idempotency records and chat request keys
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createIdempotencyRecords } = require('../core/idempotency');
+const { createMemoryStore } = require('../sessionStore');
+const glmClient = require('../glmClient');
+const xeroHttp = require('../core/xeroHttp');
+const chat = require('../core/chat');
+
+const originalChat = glmClient.chatWithGLM;
+
+afterEach(() => {
+  glmClient.chatWithGLM = originalChat;
+  xeroHttp.setTransport(null);
+});
+
+test('a key that succeeded is replayed without running again', async () => {
+  const records = createIdempotencyRecords(createMemoryStore());
+  let runs = 0;
+  const operation = async (key) => ({ success: true, id: ++runs, key });
+
+  const first = await records.run('k1', operation);
+  const second = await records.run('k1', operation);
+
+  assert.equal(runs, 1);
+  assert.equal(first.replayed, undefined);
+  assert.deepEqual(second, { success: true, id: 1, key: 'k1', replayed: true });
+  assert.equal((await records.run('k2', operation)).id, 2);
+});
+
+test('concurrent calls with one key share the first run', async () => {
+  const records = createIdempotencyRecords(createMemoryStore());
+  let runs = 0;
+  let finish;
+  const operation = () => { runs++; return new Promise(resolve => { finish = resolve; }); };
+
+  const calls = [records.run('k', operation), records.run('k', operation), records.run('k', operation)];
+  finish({ success: true, id: 'x' });
+  const results = await Promise.all(calls);
+
+  assert.equal(runs, 1);
+  assert.deepEqual(results.map(result => result.replayed), [undefined, true, true]);
+  assert.ok(results.every(result => result.id === 'x'));
+});
+
+test('failures are not stored, so a corrected retry runs', async () => {
+  const records = createIdempotencyRecords(createMemoryStore());
+  let runs = 0;
+
+  const failed = await records.run('k', async () => { runs++; return { success: false, error: 'Invalid account code' }; });
+  const retried = await records.run('k', async () => { runs++; return { success: true }; });
+
+  assert.equal(failed.success, false);
+  assert.deepEqual(retried, { success: true });
+  assert.equal(runs, 2);
+
+  await assert.rejects(records.run('t', async () => { throw new Error('boom'); }), /boom/);
+  assert.deepEqual(await records.run('t', async () => ({ success: true })), { success: true });
+});
+
+/**
+ * One chat turn where the AI asks to create a contact; resolves to how many PUTs reached Xero
+ */
+function chatCreatingContact() {
+  const puts = [];
+  glmClient.chatWithGLM = async () => {
+    const action = { action: 'create_contact', name: 'Shell Station' };
+    return { success: true, content: JSON.stringify(action), isJSON: true, parsedJSON: action };
+  };
+  xeroHttp.setTransport(async (config) => {
+    puts.push(config.headers['Idempotency-Key']);
+    return { status: 200, headers: {}, data: { Contacts: [{ ContactID: `c${puts.length}`, Name: 'Shell Station' }] } };
+  });
+  return puts;
+}
+
+const xeroSession = { accessToken: 't', tenantId: 'tenant-1' };
+
+test('the same message sent twice as new requests runs twice', async () => {
+  const puts = chatCreatingContact();
+  const records = createIdempotencyRecords(createMemoryStore());
+  const send = requestId => chat.handleMessage({
+    message: 'add contact Shell Station',
+    xeroSession,
+    idempotency: { scope: 'session-1', requestId, records }
+  });
+
+  await send('request-1');
+  await send('request-2');
+  await send(undefined);
+  await send(undefined);
+
+  assert.equal(puts.length, 4);
+  assert.equal(new Set(puts).size, 4);
+});
+
+test('a resend with the same request id is replayed', async () => {
+  const puts = chatCreatingContact();
+  const records = createIdempotencyRecords(createMemoryStore());
+  const send = () => chat.handleMessage({
+    message: 'add contact Shell Station',
+    xeroSession,
+    idempotency: { scope: 'session-1', requestId: 'request-1', records }
+  });
+
+  await send();
+  const resent = await send();
+
+  assert.equal(puts.length, 1);
+  assert.equal(resent.status, 200);
+});
+
+test('without a scope there is no shared key space', async () => {
+  const puts = chatCreatingContact();
+  const records = createIdempotencyRecords(createMemoryStore());
+  const send = () => chat.handleMessage({
+    message: 'add contact Shell Station',
+    xeroSession,
+    idempotency: { scope: null, requestId: 'same-id', records }
+  });
+
+  await send();
+  await send();
+
+  assert.equal(puts.length, 2);
+});
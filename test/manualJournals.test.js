@@ -0,0 +1,123 @@
+/**
+ * Manual journals against a stubbed Xero: the balance check, the sign ->
+ * debit/credit mapping and the chat preview
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const xeroHttp = require('../core/xeroHttp');
+const xeroFull = require('../xeroClientFull');
+const actions = require('../core/actions');
+
+beforeEach(() => mock.method(console, 'log', () => {}));
+afterEach(() => {
+  xeroHttp.setTransport(null);
+  mock.restoreAll();
+});
+
+const session = { accessToken: 't', tenantId: 'tenant', tenantName: 'Demo Sdn Bhd' };
+
+/**
+ * Fake Xero with the given base currency; records the journals it receives
+ */
+function fakeXero(baseCurrency = 'MYR') {
+  const journals = [];
+  xeroHttp.setTransport(async (config) => {
+    if (config.url.endsWith('/Organisation')) {
+      return { status: 200, headers: {}, data: { Organisations: [{ Name: 'Demo', BaseCurrency: baseCurrency }] } };
+    }
+    journals.push(config.data.ManualJournals[0]);
+    return {
+      status: 200,
+      headers: {},
+      data: { ManualJournals: [{ ManualJournalID: 'mj1', ...config.data.ManualJournals[0] }] }
+    };
+  });
+  return journals;
+}
+
+// "reclass RM500 from 400 to 420"
+const RECLASS = {
+  narration: 'Reclass advertising to printing',
+  journal_lines: [
+    { account_code: '420', debit: 500 },
+    { account_code: '400', credit: 500 }
+  ]
+};
+
+test('the reclass example becomes a balanced draft: debit 420, credit 400', async () => {
+  const journals = fakeXero();
+
+  const result = await xeroFull.createManualJournal(RECLASS, 't', 'tenant');
+  assert.equal(result.success, true);
+  assert.equal(journals[0].Status, 'DRAFT');
+  assert.deepEqual(
+    journals[0].JournalLines.map(({ AccountCode, LineAmount }) => ({ AccountCode, LineAmount })),
+    [{ AccountCode: '420', LineAmount: 500 }, { AccountCode: '400', LineAmount: -500 }]
+  );
+});
+
+test('signed line amounts are taken as they are', async () => {
+  const journals = fakeXero();
+
+  await xeroFull.createManualJournal({
+    narration: 'Accrual',
+    journal_lines: [{ account_code: '429', line_amount: 120.1 }, { account_code: '800', line_amount: -120.1 }]
+  }, 't', 'tenant');
+  assert.deepEqual(journals[0].JournalLines.map(line => line.LineAmount), [120.1, -120.1]);
+});
+
+test('an unbalanced journal is refused before reaching Xero', async () => {
+  const journals = fakeXero();
+
+  const result = await xeroFull.createManualJournal({
+    narration: 'Typo',
+    journal_lines: [{ account_code: '420', debit: 500 }, { account_code: '400', credit: 50 }]
+  }, 't', 'tenant');
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'JOURNAL_NOT_BALANCED');
+  assert.equal(journals.length, 0);
+});
+
+test('a zero line is refused', async () => {
+  const journals = fakeXero();
+
+  const result = await xeroFull.createManualJournal({
+    narration: 'Zero',
+    journal_lines: [
+      { account_code: '420', debit: 500 },
+      { account_code: '400', credit: 500 },
+      { account_code: '404', debit: 0 }
+    ]
+  }, 't', 'tenant');
+  assert.equal(result.code, 'INVALID_AMOUNT');
+  assert.equal(result.fields[0].field, 'journal_lines[2].line_amount');
+  assert.equal(journals.length, 0);
+});
+
+test('the chat preview shows the organisation currency and always drafts', async () => {
+  const journals = fakeXero('SGD');
+
+  const response = await actions.executeAction({ action: 'create_manual_journal', ...RECLASS, status: 'POSTED' }, session, '');
+  assert.equal(response.success, true);
+  assert.equal(response.type, 'manual_journal_draft');
+  assert.equal(journals[0].Status, 'DRAFT');
+  assert.match(response.message, /Dr 420: SGD 500\.00/);
+  assert.match(response.message, /Cr 400: SGD 500\.00/);
+  assert.doesNotMatch(response.message, /RM/);
+  assert.match(response.model_note, /post_manual_journal/);
+});
+
+test('chat cannot post a journal through an update', async () => {
+  const journals = fakeXero();
+
+  const response = await actions.executeAction(
+    { action: 'update_manual_journal', manual_journal_id: 'mj1', manual_journal_data: { status: 'POSTED' } },
+    session,
+    ''
+  );
+  assert.equal(response.success, false);
+  assert.equal(response.error_code, 'USE_POST_ACTION');
+  assert.equal(journals.length, 0);
+});
@@ -0,0 +1,23 @@
+/**
+ * Netlify cookie parsing with malformed values
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY || 'test-token-encryption-key';
+
+const { parseCookies } = require('../netlify/lib/cookies');
+const { readSession } = require('../netlify/lib/session');
+const { consumeOAuthCookie } = require('../netlify/lib/oauthState');
+
+const malformed = { headers: { cookie: 'theme=dark; xero_session=%E0%A4%A; xero_oauth=%zz' } };
+
+test('a cookie with broken %-encoding is left out, the rest still parse', () => {
+  assert.deepEqual(parseCookies(malformed), { theme: 'dark' });
+});
+
+test('a malformed session or OAuth cookie means no session, not an error', () => {
+  assert.equal(readSession(malformed), null);
+  assert.deepEqual(consumeOAuthCookie(malformed, 'some-state'), { valid: false, reason: 'unknown' });
+});
@@ -0,0 +1,91 @@
+/**
+ * id_token validation against an injected JWKS
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const oidc = require('../core/oidc');
+
+const CLIENT_ID = 'test-client';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+let fetches = 0;
+const jwks = oidc.createJwksClient({
+  fetchKeys: async () => {
+    fetches++;
+    return [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' }];
+  }
+});
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign a token; claims and header override the defaults of a good one
+ */
+function signToken({ claims = {}, header = {}, key = privateKey } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const encodedHeader = encode({ alg: 'RS256', typ: 'JWT', kid: 'key-1', ...header });
+  const encodedPayload = encode({
+    iss: oidc.XERO_ISSUER,
+    aud: CLIENT_ID,
+    sub: 'sub-1',
+    xero_userid: 'user-1',
+    email: 'owner@example.com',
+    iat: now,
+    exp: now + 300,
+    ...claims
+  });
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${encodedHeader}.${encodedPayload}`), key);
+  return `${encodedHeader}.${encodedPayload}.${signature.toString('base64url')}`;
+}
+
+const verify = token => oidc.verifyIdToken(token, { audience: CLIENT_ID, jwks });
+
+test('a good token is accepted and mapped to the Xero user', async () => {
+  const result = await verify(signToken());
+
+  assert.equal(result.success, true);
+  assert.deepEqual(oidc.userFromClaims(result.claims), { id: 'user-1', name: 'owner@example.com', email: 'owner@example.com' });
+});
+
+test('a token signed with another key is rejected', async () => {
+  const result = await verify(signToken({ key: otherKey }));
+  assert.equal(result.success, false);
+  assert.match(result.error, /signature/);
+});
+
+test('a tampered payload is rejected', async () => {
+  const [header, , signature] = signToken().split('.');
+  const result = await verify(`${header}.${encode({ iss: oidc.XERO_ISSUER, aud: CLIENT_ID, exp: 9999999999 })}.${signature}`);
+  assert.match(result.error, /signature/);
+});
+
+test('a wrong issuer is rejected', async () => {
+  const result = await verify(signToken({ claims: { iss: 'https://evil.example' } }));
+  assert.match(result.error, /issuer/);
+});
+
+test('a token for another client is rejected', async () => {
+  const result = await verify(signToken({ claims: { aud: 'someone-else' } }));
+  assert.match(result.error, /not issued for this client/);
+});
+
+test('an expired token is rejected', async () => {
+  const result = await verify(signToken({ claims: { exp: Math.floor(Date.now() / 1000) - 3600 } }));
+  assert.match(result.error, /expired/);
+});
+
+test('an unknown kid is rejected without refetching the JWKS every time', async () => {
+  await verify(signToken());
+  const before = fetches;
+
+  const result = await verify(signToken({ header: { kid: 'rotated-away' } }));
+  assert.equal(result.success, false);
+  assert.match(result.error, /Unknown id_token signing key/);
+  assert.equal(fetches, before);
+});
@@ -0,0 +1,63 @@
+/**
+ * Auto-paginated lists stop at max_records
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const xeroHttp = require('../core/xeroHttp');
+const xeroFull = require('../xeroClientFull');
+
+afterEach(() => xeroHttp.setTransport(null));
+
+/**
+ * Fake Xero with `total` invoices, paged like the real API
+ */
+function pagedInvoices(total) {
+  const pagesRequested = [];
+  xeroHttp.setTransport(async (config) => {
+    const { page, pageSize } = config.params;
+    pagesRequested.push(page);
+    const start = (page - 1) * pageSize;
+    const invoices = Array.from({ length: Math.max(0, Math.min(pageSize, total - start)) }, (_, i) => ({
+      InvoiceID: `inv-${start + i + 1}`
+    }));
+    return {
+      status: 200,
+      headers: {},
+      data: { Invoices: invoices, pagination: { page, pageSize, pageCount: Math.ceil(total / pageSize), itemCount: total } }
+    };
+  });
+  return pagesRequested;
+}
+
+test('the last page is fetched and cut to max_records', async () => {
+  const pagesRequested = pagedInvoices(100);
+
+  const result = await xeroFull.getInvoices('t', 'tenant', { page_size: 10, max_records: 25 });
+
+  assert.equal(result.count, 25);
+  assert.equal(result.invoices[24].InvoiceID, 'inv-25');
+  assert.deepEqual(pagesRequested, [1, 2, 3]);
+  assert.equal(result.pagination.hasMore, true);
+  assert.equal(result.pagination.nextPage, 3);
+});
+
+test('a collection smaller than max_records is read whole', async () => {
+  pagedInvoices(23);
+
+  const result = await xeroFull.getInvoices('t', 'tenant', { page_size: 10, max_records: 50 });
+
+  assert.equal(result.count, 23);
+  assert.equal(result.pagination.hasMore, false);
+  assert.equal(result.pagination.nextPage, null);
+});
+
+test('exactly max_records ends on a page boundary', async () => {
+  pagedInvoices(100);
+
+  const result = await xeroFull.getInvoices('t', 'tenant', { page_size: 10, max_records: 30 });
+
+  assert.equal(result.count, 30);
+  assert.equal(result.pagination.nextPage, 4);
+});
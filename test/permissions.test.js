@@ -0,0 +1,133 @@
+/**
+ * Status-aware permission checks (creates and updates that approve, delete, void or post)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const permissions = require('../permissions');
+
+const clerk = { username: 'clerk', role: 'clerk' };
+const approver = { username: 'approver', role: 'approver' };
+
+test('a clerk can edit an invoice but not delete or void it through an update', () => {
+  assert.equal(permissions.authorizeAction(clerk, 'update_invoice', { invoice_data: { reference: 'PO-1' } }), null);
+  assert.equal(permissions.authorizeAction(clerk, 'update_invoice', { invoice_data: { status: 'DRAFT' } }), null);
+
+  const denied = permissions.authorizeAction(clerk, 'update_invoice', { invoice_id: 'x', invoice_data: { status: 'deleted' } });
+  assert.equal(denied.type, 'forbidden');
+  assert.equal(denied.action, 'delete_invoice');
+
+  assert.equal(permissions.authorizeAction(clerk, 'update_invoice', { invoice_data: { status: 'VOIDED' } }).action, 'delete_invoice');
+});
+
+test('every requested status is checked, not just the first', () => {
+  const denied = permissions.authorizeAction(clerk, 'update_invoice', { status: 'DRAFT', invoice_data: { status: 'DELETED' } });
+  assert.equal(denied.action, 'delete_invoice');
+});
+
+test('approvers may delete or post through an update', () => {
+  assert.equal(permissions.authorizeAction(approver, 'update_invoice', { invoice_data: { status: 'DELETED' } }), null);
+  assert.equal(permissions.authorizeAction(approver, 'update_manual_journal', { manual_journal_data: { status: 'POSTED' } }), null);
+});
+
+test('a clerk can only draft journals', () => {
+  assert.equal(permissions.authorizeAction(clerk, 'create_manual_journal', { manual_journal_data: { status: 'DRAFT' } }), null);
+  assert.equal(permissions.authorizeAction(clerk, 'create_manual_journal', { manual_journal_data: { status: 'POSTED' } }).action, 'post_manual_journal');
+});
+
+test('the route middleware applies the status policy to the body', () => {
+  const middleware = permissions.authorizeRoute();
+  const req = {
+    method: 'PUT',
+    baseUrl: '/api',
+    path: '/invoices/abc',
+    user: clerk,
+    body: { invoice_data: { status: 'DELETED' } }
+  };
+  let status = null;
+  const res = { status(code) { status = code; return { json: () => {} }; } };
+
+  middleware(req, res, () => { status = 'next'; });
+  assert.equal(status, 403);
+
+  req.body = { invoice_data: { reference: 'PO-2' } };
+  middleware(req, res, () => { status = 'next'; });
+  assert.equal(status, 'next');
+  assert.equal(req.action, 'update_invoice');
+});
+
+test('a clerk can move a quote along but not delete it', () => {
+  assert.equal(permissions.authorizeAction(clerk, 'update_quote', { quote_data: { status: 'SENT' } }), null);
+  assert.equal(permissions.authorizeAction(clerk, 'update_quote', { quote_data: { status: 'DELETED' } }).action, 'delete_quote');
+  assert.equal(permissions.authorizeAction(approver, 'update_quote', { quote_data: { status: 'DELETED' } }), null);
+});
+
+test('a clerk cannot delete or void a credit note through an update', () => {
+  assert.equal(permissions.authorizeAction(clerk, 'update_credit_note', { credit_note_data: { reference: 'RMA-7' } }), null);
+  assert.equal(permissions.authorizeAction(clerk, 'update_credit_note', { credit_note_data: { status: 'VOIDED' } }).action, 'delete_credit_note');
+  assert.equal(permissions.authorizeAction(clerk, 'update_credit_note', { credit_note_data: { status: 'DELETED' } }).action, 'delete_credit_note');
+});
+
+test('a clerk cannot delete a bank transaction through an update', () => {
+  assert.equal(permissions.authorizeAction(clerk, 'update_bank_transaction', { bank_transaction_data: { reference: 'Fuel' } }), null);
+  assert.equal(
+    permissions.authorizeAction(clerk, 'update_bank_transaction', { bank_transaction_id: 'b1', bank_transaction_data: { status: 'DELETED' } }).action,
+    'delete_bank_transaction'
+  );
+  assert.equal(permissions.authorizeAction(approver, 'update_bank_transaction', { bank_transaction_data: { status: 'DELETED' } }), null);
+});
+
+test('a clerk can only draft invoices and credit notes; approving needs an approver', () => {
+  assert.equal(permissions.authorizeAction(clerk, 'create_invoice', { status: 'DRAFT' }), null);
+  assert.equal(permissions.authorizeAction(clerk, 'create_invoice', {}), null);
+
+  for (const status of ['SUBMITTED', 'AUTHORISED']) {
+    assert.equal(permissions.authorizeAction(clerk, 'create_invoice', { status }).action, 'approve_invoice');
+    assert.equal(permissions.authorizeAction(clerk, 'create_invoice', { invoice_data: { status } }).action, 'approve_invoice');
+    assert.equal(permissions.authorizeAction(clerk, 'update_invoice', { invoice_data: { status } }).action, 'approve_invoice');
+    assert.equal(permissions.authorizeAction(clerk, 'create_credit_note', { status }).action, 'approve_credit_note');
+    assert.equal(permissions.authorizeAction(clerk, 'update_credit_note', { credit_note_data: { status } }).action, 'approve_credit_note');
+
+    assert.equal(permissions.authorizeAction(approver, 'create_invoice', { status }), null);
+    assert.equal(permissions.authorizeAction(approver, 'update_invoice', { invoice_data: { status } }), null);
+    assert.equal(permissions.authorizeAction(approver, 'create_credit_note', { credit_note_data: { status } }), null);
+    assert.equal(permissions.authorizeAction(approver, 'update_credit_note', { credit_note_data: { status } }), null);
+  }
+});
+
+test('the credit note route refuses a clerk voiding or deleting through PUT', () => {
+  const middleware = permissions.authorizeRoute();
+  const outcome = (user, body) => {
+    let status = null;
+    const req = { method: 'PUT', baseUrl: '/api', path: '/credit-notes/cn1', user, body };
+    middleware(req, { status(code) { status = code; return { json: () => {} }; } }, () => { status = 'next'; });
+    return status;
+  };
+
+  assert.equal(outcome(clerk, { credit_note_data: { status: 'VOIDED' } }), 403);
+  assert.equal(outcome(clerk, { credit_note_data: { status: 'deleted' } }), 403);
+  assert.equal(outcome(clerk, { credit_note_data: { reference: 'RMA-8' } }), 'next');
+  assert.equal(outcome(approver, { credit_note_data: { status: 'VOIDED' } }), 'next');
+});
+
+test('the bank transaction route refuses a clerk deleting through PUT', () => {
+  const middleware = permissions.authorizeRoute();
+  const outcome = (user, body) => {
+    let status = null;
+    const req = { method: 'PUT', baseUrl: '/api', path: '/bank-transactions/bt1', user, body };
+    middleware(req, { status(code) { status = code; return { json: () => {} }; } }, () => { status = 'next'; });
+    return status;
+  };
+
+  assert.equal(outcome(clerk, { bank_transaction_data: { status: 'DELETED' } }), 403);
+  assert.equal(outcome(clerk, { bank_transaction_data: { reference: 'Fuel' } }), 'next');
+  assert.equal(outcome(approver, { bank_transaction_data: { status: 'DELETED' } }), 'next');
+});
+
+test('posting a journal still needs post_manual_journal', () => {
+  assert.equal(permissions.authorizeAction(clerk, 'post_manual_journal', { manual_journal_id: 'mj1' }).action, 'post_manual_journal');
+  assert.equal(permissions.authorizeAction(clerk, 'update_manual_journal', { manual_journal_data: { status: 'POSTED' } }).action, 'post_manual_journal');
+  assert.equal(permissions.authorizeAction(clerk, 'create_manual_journal', { status: 'POSTED' }).action, 'post_manual_journal');
+  assert.equal(permissions.authorizeAction(approver, 'post_manual_journal', { manual_journal_id: 'mj1' }), null);
+});
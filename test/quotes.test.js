@@ -0,0 +1,55 @@
+/**
+ * Converting quotes to invoices
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const xeroHttp = require('../core/xeroHttp');
+const xeroFull = require('../xeroClientFull');
+
+afterEach(() => xeroHttp.setTransport(null));
+
+/**
+ * Fake Xero holding one quote; records every call
+ */
+function fakeXero(quoteStatus) {
+  const calls = [];
+  const quote = { QuoteID: 'q1', QuoteNumber: 'QU-1', Status: quoteStatus, Contact: { ContactID: 'c1' }, LineItems: [] };
+
+  xeroHttp.setTransport(async (config) => {
+    calls.push(config);
+    if (config.method === 'PUT') {
+      return { status: 200, headers: {}, data: { Invoices: [{ InvoiceID: 'i1', InvoiceNumber: 'INV-1' }] } };
+    }
+    if (config.method === 'POST') {
+      quote.Status = 'INVOICED';
+    }
+    return { status: 200, headers: {}, data: { Quotes: [quote] } };
+  });
+  return calls;
+}
+
+test('an INVOICED quote is not converted again', async () => {
+  const calls = fakeXero('INVOICED');
+
+  const result = await xeroFull.convertQuoteToInvoice('q1', 't', 'tenant');
+
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'QUOTE_ALREADY_INVOICED');
+  assert.equal(calls.some(call => call.method === 'PUT'), false);
+});
+
+test('the invoice key comes from the quote, whatever the caller passes', async () => {
+  const calls = fakeXero('ACCEPTED');
+  await xeroFull.convertQuoteToInvoice('q1', 't', 'tenant', { idempotencyKey: 'caller-1' });
+  const first = calls.find(call => call.method === 'PUT').headers['Idempotency-Key'];
+
+  const again = fakeXero('ACCEPTED');
+  await xeroFull.convertQuoteToInvoice('q1', 't', 'tenant', { idempotencyKey: 'caller-2' });
+  const second = again.find(call => call.method === 'PUT').headers['Idempotency-Key'];
+
+  assert.ok(first);
+  assert.equal(first, second);
+  assert.notEqual(first, 'caller-1');
+});
@@ -0,0 +1,79 @@
+/**
+ * File-backed session store: round-trip, merged updates, idle expiry
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFileStore } = require('../sessionStore');
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+  return path.join(dir, 'sessions.json');
+}
+
+function savedKeys(filePath) {
+  return Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+test('sessions survive a reload, deletes too', () => {
+  const filePath = tempFile();
+  const store = createFileStore({ filePath });
+  store.set('a', { tenantId: 't1', updatedAt: Date.now() });
+  store.set('b', { tenantId: 't2', updatedAt: Date.now() });
+  store.delete('b');
+
+  const reloaded = createFileStore({ filePath });
+  assert.equal(reloaded.get('a').tenantId, 't1');
+  assert.equal(reloaded.get('b'), undefined);
+});
+
+test('merged updates are written through', () => {
+  const filePath = tempFile();
+  const store = createFileStore({ filePath });
+  // Same merge as setSession in index.js
+  const setSession = (id, data) => store.set(id, { ...(store.get(id) || {}), ...data, updatedAt: Date.now() });
+
+  setSession('a', { tenantId: 't1', conversationHistory: [] });
+  setSession('a', { conversationHistory: [{ role: 'user', content: 'hi' }] });
+
+  const reloaded = createFileStore({ filePath });
+  assert.equal(reloaded.get('a').tenantId, 't1');
+  assert.equal(reloaded.get('a').conversationHistory.length, 1);
+});
+
+test('a session expired on read is removed from the file', () => {
+  const filePath = tempFile();
+  const store = createFileStore({ filePath, ttlMs: 1000 });
+  const old = { updatedAt: Date.now() };
+  store.set('old', old);
+  store.set('new', { updatedAt: Date.now() });
+  assert.deepEqual(savedKeys(filePath).sort(), ['new', 'old']);
+
+  // Goes idle without any other write
+  old.updatedAt = Date.now() - 5000;
+
+  assert.equal(store.get('old'), undefined);
+  assert.deepEqual(savedKeys(filePath), ['new']);
+  assert.equal(createFileStore({ filePath, ttlMs: 1000 }).get('old'), undefined);
+});
+
+test('expired sessions are dropped from the file on load and on sweep', () => {
+  const filePath = tempFile();
+  fs.writeFileSync(filePath, JSON.stringify({
+    stale: { updatedAt: Date.now() - 5000 },
+    fresh: { updatedAt: Date.now() }
+  }));
+
+  const store = createFileStore({ filePath, ttlMs: 1000 });
+  assert.deepEqual(savedKeys(filePath), ['fresh']);
+
+  store.set('soon', { updatedAt: Date.now() - 800 });
+  return new Promise(resolve => setTimeout(resolve, 300)).then(() => {
+    assert.equal(store.purgeExpired(), 1);
+    assert.deepEqual(savedKeys(filePath), ['fresh']);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Single-flight token refresh: concurrent ensureValidToken calls against a
+ * fake Xero token endpoint
+ */
+
+process.env.TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY || 'test-token-encryption-key';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const core = require('../core');
+const tokenCrypto = require('../tokenCrypto');
+const { createSessionTokens } = require('../sessionTokens');
+
+const PARALLEL_CALLS = 5;
+
+/**
+ * Session storage like index.js (merge on set) plus one expired session
+ */
+function setup() {
+  const sessions = new Map();
+  const getSession = (sessionId) => sessions.get(sessionId);
+  const setSession = (sessionId, data) => sessions.set(sessionId, { ...sessions.get(sessionId), ...data });
+
+  setSession('s1', {
+    connected: true,
+    accessToken: tokenCrypto.encrypt('old-access'),
+    refreshToken: tokenCrypto.encrypt('old-refresh'),
+    expiresAt: Date.now() - 1000
+  });
+
+  return { getSession, ...createSessionTokens({ getSession, setSession }) };
+}
+
+/**
+ * Fake token endpoint: counts calls and answers after a short delay, so
+ * that all parallel callers arrive while the first refresh is in flight
+ */
+function fakeTokenEndpoint(answer) {
+  const calls = [];
+  core.tokens.setRefreshTransport(async (refreshToken) => {
+    calls.push(refreshToken);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return answer(calls.length);
+  });
+  return calls;
+}
+
+afterEach(() => core.tokens.setRefreshTransport());
+
+test('parallel calls share one refresh and get the same tokens', async () => {
+  const { getSession, ensureValidToken } = setup();
+  const calls = fakeTokenEndpoint(count => ({
+    success: true,
+    tokens: { accessToken: `new-access-${count}`, refreshToken: `new-refresh-${count}`, expiresAt: Date.now() + 30 * 60 * 1000 }
+  }));
+
+  const results = await Promise.all(
+    Array.from({ length: PARALLEL_CALLS }, () => ensureValidToken('s1'))
+  );
+
+  assert.deepEqual(calls, ['old-refresh']);
+  for (const result of results) {
+    assert.equal(result.success, true);
+    assert.equal(result.session.accessToken, 'new-access-1');
+    assert.equal(result.session.refreshToken, 'new-refresh-1');
+  }
+  assert.equal(tokenCrypto.decrypt(getSession('s1').refreshToken), 'new-refresh-1');
+
+  // The new token is valid, so nothing is refreshed again
+  const later = await ensureValidToken('s1');
+  assert.equal(later.session.accessToken, 'new-access-1');
+  assert.equal(calls.length, 1);
+});
+
+test('a failed refresh is shared too and releases the lock', async () => {
+  const { getSession, ensureValidToken } = setup();
+  const calls = fakeTokenEndpoint(count => (count === 1
+    ? { success: false, status: 503, error: 'Service Unavailable' }
+    : { success: true, tokens: { accessToken: 'retried-access', refreshToken: 'retried-refresh', expiresAt: Date.now() + 30 * 60 * 1000 } }
+  ));
+
+  const results = await Promise.all(
+    Array.from({ length: PARALLEL_CALLS }, () => ensureValidToken('s1'))
+  );
+
+  assert.equal(calls.length, 1);
+  for (const result of results) {
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Token refresh failed');
+  }
+  // A 5xx doesn't need a new login
+  assert.notEqual(getSession('s1').connectionStatus, 'needs_reauth');
+
+  const retried = await ensureValidToken('s1');
+  assert.equal(calls.length, 2);
+  assert.equal(retried.success, true);
+  assert.equal(retried.session.accessToken, 'retried-access');
+});
+
+test('a refresh that throws releases the lock', async () => {
+  const { ensureValidToken } = setup();
+  let calls = 0;
+  core.tokens.setRefreshTransport(async () => {
+    calls++;
+    throw new Error('socket hang up');
+  });
+
+  const results = await Promise.all([ensureValidToken('s1'), ensureValidToken('s1')]);
+  assert.equal(calls, 1);
+  assert.deepEqual(results.map(result => result.success), [false, false]);
+
+  await ensureValidToken('s1');
+  assert.equal(calls, 2);
+});
+
+test('a rejected refresh token marks the session for re-authorisation', async () => {
+  const { getSession, ensureValidToken } = setup();
+  fakeTokenEndpoint(() => ({ success: false, status: 400, error: { error: 'invalid_grant' } }));
+
+  const result = await ensureValidToken('s1');
+
+  assert.equal(result.success, false);
+  assert.equal(getSession('s1').connectionStatus, 'needs_reauth');
+  assert.equal((await ensureValidToken('s1')).error, 'Xero connection expired. Please reconnect.');
+});
@@ -0,0 +1,76 @@
+/**
+ * Incremental sync cursors
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const xeroHttp = require('../core/xeroHttp');
+const sync = require('../core/sync');
+const { createMemoryStore } = require('../sessionStore');
+
+afterEach(() => xeroHttp.setTransport(null));
+
+/**
+ * Fake Xero returning one invoice; records the If-Modified-Since of each call
+ */
+function recordModifiedSince() {
+  const seen = [];
+  xeroHttp.setTransport(async (config) => {
+    seen.push(config.headers['If-Modified-Since'] || null);
+    return {
+      status: 200,
+      headers: {},
+      data: {
+        Invoices: [{ InvoiceID: 'inv-1', UpdatedDateUTC: '/Date(1573755038314+0000)/' }],
+        pagination: { page: 1, pageSize: 100, pageCount: 1, itemCount: 1 }
+      }
+    };
+  });
+  return seen;
+}
+
+test('after a reset the next sync is a full fetch', async () => {
+  const seen = recordModifiedSince();
+  const cursors = sync.createSyncCursors(createMemoryStore());
+  const options = { entity: 'invoices', accessToken: 't', tenantId: 'tenant-1', cursors };
+
+  const first = await sync.syncChanges(options);
+  assert.equal(first.success, true);
+  assert.equal(first.since, null);
+  assert.ok(cursors.get('tenant-1', 'invoices'));
+
+  await sync.syncChanges(options);
+  assert.ok(seen[1], 'second sync sends If-Modified-Since');
+
+  assert.equal(cursors.reset('tenant-1', 'invoices'), true);
+  assert.equal(cursors.get('tenant-1', 'invoices'), null);
+
+  const afterReset = await sync.syncChanges(options);
+  assert.equal(afterReset.since, null);
+  assert.equal(seen[2], null);
+});
+
+test('credit notes, bank transactions and manual journals sync under their own result keys', async () => {
+  const collections = {
+    '/CreditNotes': 'CreditNotes',
+    '/BankTransactions': 'BankTransactions',
+    '/ManualJournals': 'ManualJournals'
+  };
+  xeroHttp.setTransport(async (config) => {
+    const collection = collections[new URL(config.url).pathname.replace('/api.xro/2.0', '')];
+    return {
+      status: 200,
+      headers: {},
+      data: { [collection]: [{ UpdatedDateUTC: '/Date(1573755038314+0000)/' }], pagination: { page: 1, pageSize: 100, pageCount: 1 } }
+    };
+  });
+  const cursors = sync.createSyncCursors(createMemoryStore());
+
+  for (const entity of ['credit-notes', 'bank-transactions', 'manual-journals']) {
+    assert.ok(sync.SYNC_ENTITIES.includes(entity));
+    const result = await sync.syncChanges({ entity, accessToken: 't', tenantId: 'tenant-2', cursors });
+    assert.equal(result.success, true, entity);
+    assert.equal(result.count, 1, entity);
+  }
+});
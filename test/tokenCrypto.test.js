@@ -0,0 +1,47 @@
+/**
+ * Token encryption key configuration
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MODULE = require.resolve('../tokenCrypto');
+
+/**
+ * Load a fresh copy of tokenCrypto with the given environment
+ */
+function loadWith(env) {
+  const saved = {};
+  for (const name of Object.keys(env)) {
+    saved[name] = process.env[name];
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = env[name];
+  }
+  delete require.cache[MODULE];
+  try {
+    return require(MODULE);
+  } finally {
+    for (const name of Object.keys(saved)) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+    delete require.cache[MODULE];
+  }
+}
+
+const noDeploy = { NODE_ENV: undefined, RENDER: undefined, NETLIFY: undefined, AWS_LAMBDA_FUNCTION_NAME: undefined };
+
+test('a missing key fails at startup in production', () => {
+  assert.throws(() => loadWith({ ...noDeploy, TOKEN_ENCRYPTION_KEY: undefined, NODE_ENV: 'production' }), /TOKEN_ENCRYPTION_KEY/);
+  assert.throws(() => loadWith({ ...noDeploy, TOKEN_ENCRYPTION_KEY: undefined, NETLIFY: 'true' }), /TOKEN_ENCRYPTION_KEY/);
+});
+
+test('a configured key loads in production', () => {
+  const tokenCrypto = loadWith({ ...noDeploy, TOKEN_ENCRYPTION_KEY: 'prod-key', NODE_ENV: 'production' });
+  assert.ok(tokenCrypto.isEncrypted(tokenCrypto.encrypt('secret')));
+});
+
+test('development falls back to a temporary key', () => {
+  const tokenCrypto = loadWith({ ...noDeploy, TOKEN_ENCRYPTION_KEY: undefined });
+  assert.equal(tokenCrypto.decrypt(tokenCrypto.encrypt('secret')), 'secret');
+});
@@ -0,0 +1,94 @@
+/**
+ * Xero webhooks: signature handshake and internal events
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const webhooks = require('../core/webhooks');
+
+// Logs written after a test has reported can garble node:test's output stream
+for (const method of ['log', 'warn', 'error']) {
+  mock.method(console, method, () => {});
+}
+
+const KEY = 'webhook-key';
+
+function sign(body, key = KEY) {
+  return crypto.createHmac('sha256', key).update(body).digest('base64');
+}
+
+/**
+ * Deliver a body to the handler; resolves to { status, published } once events are out
+ */
+function deliver(body, signature) {
+  const published = [];
+  const handler = webhooks.createWebhookHandler({
+    getWebhookKey: () => KEY,
+    publish: event => published.push(event)
+  });
+
+  let status = null;
+  const res = { status(code) { status = code; return { end: () => {} }; } };
+  handler({ rawBody: Buffer.from(body), body: JSON.parse(body), headers: { 'x-xero-signature': signature } }, res);
+
+  return new Promise(resolve => setImmediate(() => resolve({ status, published })));
+}
+
+// Xero's intent-to-receive check: an empty event list, signed and mis-signed
+const handshake = JSON.stringify({ events: [], firstEventSequence: 0, lastEventSequence: 0, entropy: 'ABC' });
+
+test('intent to receive: a valid signature gets 200', async () => {
+  const { status, published } = await deliver(handshake, sign(handshake));
+  assert.equal(status, 200);
+  assert.deepEqual(published, []);
+});
+
+test('intent to receive: an invalid or missing signature gets 401', async () => {
+  assert.equal((await deliver(handshake, sign(handshake, 'wrong-key'))).status, 401);
+  assert.equal((await deliver(handshake, undefined)).status, 401);
+  // Signed body, different body delivered
+  assert.equal((await deliver(handshake.replace('ABC', 'ABD'), sign(handshake))).status, 401);
+});
+
+test('each event becomes an internal event, published after the response', async () => {
+  const body = JSON.stringify({
+    events: [
+      { eventCategory: 'INVOICE', eventType: 'CREATE', tenantId: 't1', resourceId: 'i1', resourceUrl: 'https://api.xero.com/api.xro/2.0/Invoices/i1', eventDateUtc: '2026-02-05T10:00:00' },
+      { eventCategory: 'INVOICE', eventType: 'UPDATE', tenantId: 't1', resourceId: 'i2', eventDateUtc: '2026-02-05T10:01:00' },
+      { eventCategory: 'CONTACT', eventType: 'UPDATE', tenantId: 't1', resourceId: 'c1' },
+      { eventCategory: 'CONTACT', eventType: 'ARCHIVE', tenantId: 't1', resourceId: 'c2' },
+      { eventCategory: 'INVOICE', eventType: 'UPDATE', tenantId: 't1' }
+    ]
+  });
+
+  const { status, published } = await deliver(body, sign(body));
+
+  assert.equal(status, 200);
+  assert.deepEqual(published.map(event => event.type), ['invoice.created', 'invoice.updated', 'contact.updated', 'contact.archive']);
+  assert.deepEqual(published[0], {
+    type: 'invoice.created',
+    category: 'invoice',
+    action: 'created',
+    tenantId: 't1',
+    resourceId: 'i1',
+    resourceUrl: 'https://api.xero.com/api.xro/2.0/Invoices/i1',
+    occurredAt: '2026-02-05T10:00:00'
+  });
+});
+
+test('the event bus delivers by type, category and wildcard, and survives a failing subscriber', async () => {
+  const bus = webhooks.createEventBus();
+  const seen = [];
+  bus.subscribe('invoice.updated', () => { throw new Error('boom'); });
+  bus.subscribe('invoice.updated', () => seen.push('type'));
+  bus.subscribe('invoice.*', () => seen.push('category'));
+  bus.subscribe('contact.*', () => seen.push('other category'));
+  bus.subscribe('*', () => seen.push('all'));
+
+  bus.publish({ type: 'invoice.updated', category: 'invoice' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(seen, ['type', 'category', 'all']);
+});
@@ -0,0 +1,103 @@
+/**
+ * Normalising Xero failures into stable codes and field paths
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normaliseXeroError, xeroFailure, explainForModel } = require('../core/xeroErrors');
+
+/**
+ * axios-style error for a Xero response
+ */
+function xeroError(status, data) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data };
+  return error;
+}
+
+function validationException(elements) {
+  return xeroError(400, {
+    ErrorNumber: 10,
+    Type: 'ValidationException',
+    Message: 'A validation exception occurred',
+    Elements: elements
+  });
+}
+
+test('a single document: errors on line items get their index and field', () => {
+  const result = normaliseXeroError(validationException([{
+    Type: 'ACCREC',
+    ValidationErrors: [{ Message: 'Invoice not of valid status for creation' }],
+    LineItems: [
+      { Description: 'ok', ValidationErrors: [] },
+      { Description: 'bad', ValidationErrors: [{ Message: 'Account code \'999\' is not a valid code for this document.' }] }
+    ]
+  }]));
+
+  assert.equal(result.status, 400);
+  assert.equal(result.code, 'XERO_VALIDATION_FAILED');
+  assert.deepEqual(result.fields, [
+    { field: 'status', code: 'INVALID_STATUS', message: 'Invoice not of valid status for creation' },
+    { field: 'line_items[1].account_code', code: 'INVALID_ACCOUNT_CODE', message: 'Account code \'999\' is not a valid code for this document.' }
+  ]);
+  assert.match(result.message, /^status: Invoice not of valid status/);
+});
+
+test('a batch: each document is prefixed with its [i]', () => {
+  const result = normaliseXeroError(validationException([
+    { ValidationErrors: [] },
+    { ValidationErrors: [{ Message: 'Email address must be valid.' }] }
+  ]));
+
+  assert.deepEqual(result.fields, [{ field: '[1].email', code: 'INVALID_EMAIL', message: 'Email address must be valid.' }]);
+});
+
+test('a nested Contact is not repeated in the path', () => {
+  const result = normaliseXeroError(validationException([{
+    Contact: { ValidationErrors: [{ Message: 'The contact name must be unique across all active contacts.' }] },
+    LineItems: [{ TaxType: 'X', ValidationErrors: [{ Message: 'The TaxType code \'X\' does not exist or cannot be used.' }] }]
+  }]));
+
+  assert.deepEqual(result.fields, [
+    { field: 'contact', code: 'DUPLICATE', message: 'The contact name must be unique across all active contacts.' },
+    { field: 'line_items[0].tax_type', code: 'INVALID_TAX_TYPE', message: 'The TaxType code \'X\' does not exist or cannot be used.' }
+  ]);
+});
+
+test('an RFC 7807 Problem keeps its status code and detail', () => {
+  const result = xeroFailure(xeroError(403, {
+    Type: null,
+    Title: 'Forbidden',
+    Status: 403,
+    Detail: 'AuthenticationUnsuccessful'
+  }));
+
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'XERO_FORBIDDEN');
+  assert.equal(result.error, 'AuthenticationUnsuccessful');
+  assert.deepEqual(result.fields, []);
+});
+
+test('5xx, rate limits and network errors get their own codes', () => {
+  assert.equal(normaliseXeroError(xeroError(503, 'Service Unavailable')).code, 'XERO_UNAVAILABLE');
+  assert.equal(normaliseXeroError(xeroError(429, { Title: 'Too Many Requests' })).code, 'XERO_RATE_LIMITED');
+
+  const network = new Error('getaddrinfo ENOTFOUND api.xero.com');
+  network.code = 'ENOTFOUND';
+  network.request = {};
+  const result = normaliseXeroError(network);
+  assert.equal(result.code, 'XERO_UNREACHABLE');
+  assert.equal(result.status, null);
+  assert.equal(result.message, 'getaddrinfo ENOTFOUND api.xero.com');
+});
+
+test('the model is told the field paths to fix', () => {
+  const failure = xeroFailure(validationException([{
+    LineItems: [{ ValidationErrors: [{ Message: 'Account code \'999\' is not valid.' }] }]
+  }]));
+
+  const instruction = explainForModel(failure, { action: 'create_invoice' });
+  assert.match(instruction, /- line_items\[0\]\.account_code \[INVALID_ACCOUNT_CODE\]/);
+  assert.equal(explainForModel(xeroFailure(xeroError(503, '')), { action: 'create_invoice' }), null);
+});
@@ -0,0 +1,69 @@
+/**
+ * Xero request layer: which failures are retried, rate limit reads
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const xeroHttp = require('../core/xeroHttp');
+
+afterEach(() => xeroHttp.setTransport(null));
+
+/**
+ * Transport that fails with 503 once, then succeeds; counts calls
+ */
+function flakyTransport() {
+  const calls = [];
+  const fn = async (config) => {
+    calls.push(config.method);
+    if (calls.length === 1) {
+      const error = new Error('Service Unavailable');
+      error.response = { status: 503, headers: {}, data: {} };
+      throw error;
+    }
+    return { status: 200, headers: {}, data: { ok: true } };
+  };
+  return { fn, calls };
+}
+
+test('a DELETE without an Idempotency-Key is not retried after a 5xx', async () => {
+  const { fn, calls } = flakyTransport();
+  xeroHttp.setTransport(fn);
+
+  await assert.rejects(
+    xeroHttp.xeroRequest({ method: 'DELETE', path: '/Payments/p1', accessToken: 't', tenantId: 'tenant-delete' }),
+    error => error.response.status === 503
+  );
+  assert.equal(calls.length, 1);
+});
+
+test('a GET, or a write with an Idempotency-Key, is retried after a 5xx', async () => {
+  const get = flakyTransport();
+  xeroHttp.setTransport(get.fn);
+  const response = await xeroHttp.xeroRequest({ path: '/Invoices', accessToken: 't', tenantId: 'tenant-get' });
+  assert.equal(response.data.ok, true);
+  assert.equal(get.calls.length, 2);
+
+  const write = flakyTransport();
+  xeroHttp.setTransport(write.fn);
+  await xeroHttp.xeroRequest({
+    method: 'DELETE',
+    path: '/Payments/p1',
+    accessToken: 't',
+    tenantId: 'tenant-write',
+    headers: { 'Idempotency-Key': 'k1' }
+  });
+  assert.equal(write.calls.length, 2);
+});
+
+test('rate limits of an unknown tenant read as empty', () => {
+  assert.deepEqual(xeroHttp.getRateLimits('never-called'), {
+    minuteRemaining: null,
+    dayRemaining: null,
+    appMinuteRemaining: null,
+    updatedAt: null,
+    queued: 0,
+    active: 0,
+    pausedUntil: null
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Token Encryption
+ *
+ * Authenticated encryption (AES-256-GCM) for Xero access and refresh tokens
+ * so they are never persisted or handed to the browser in plain text.
+ *
+ * Keys come from the environment:
+ * - TOKEN_ENCRYPTION_KEY: current key, used for all new ciphertext
+ * - TOKEN_ENCRYPTION_OLD_KEYS: comma-separated previous keys, only used to decrypt
+ *
+ * Each ciphertext records the ID of the key that produced it, so rotating keys is:
+ * move the current key into TOKEN_ENCRYPTION_OLD_KEYS, set a new TOKEN_ENCRYPTION_KEY,
+ * and stored tokens are re-encrypted with the new key the next time they are used.
+ *
+ * Without TOKEN_ENCRYPTION_KEY a temporary key is used in development, but in
+ * production (NODE_ENV=production, Render, Netlify) loading this module throws,
+ * so a misconfigured deploy fails at startup instead of losing every session.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+const IV_LENGTH = 12;
+
+let keyring = null;
+
+/**
+ * Check if we're running as a deployed service
+ */
+function isProduction() {
+  return process.env.NODE_ENV === 'production' ||
+    Boolean(process.env.RENDER) ||
+    Boolean(process.env.NETLIFY) ||
+    Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME);
+}
+
+/**
+ * Turn a configured secret into a 32-byte key
+ *
+ * Accepts a 64-character hex string as raw key material, anything else
+ * is hashed with SHA-256.
+ */
+function deriveKey(secret) {
+  if (/^[0-9a-f]{64}$/i.test(secret)) {
+    return Buffer.from(secret, 'hex');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Short, non-secret identifier for a key
+ */
+function keyIdFor(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+}
+
+/**
+ * Load current and previous keys from the environment (once)
+ */
+function getKeyring() {
+  if (keyring) return keyring;
+
+  let currentSecret = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!currentSecret) {
+    if (isProduction()) {
+      throw new Error('TOKEN_ENCRYPTION_KEY must be set in production (see .env.example)');
+    }
+    console.warn('⚠️  TOKEN_ENCRYPTION_KEY is not set - using a temporary key.');
+    console.warn('⚠️  Stored Xero tokens will be unreadable after a restart.');
+    currentSecret = crypto.randomBytes(32).toString('hex');
+  }
+
+  const currentKey = deriveKey(currentSecret);
+  const keys = new Map([[keyIdFor(currentKey), currentKey]]);
+
+  (process.env.TOKEN_ENCRYPTION_OLD_KEYS || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean)
+    .forEach(secret => {
+      const key = deriveKey(secret);
+      keys.set(keyIdFor(key), key);
+    });
+
+  keyring = { currentId: keyIdFor(currentKey), keys };
+  return keyring;
+}
+
+/**
+ * Encrypt a string
+ *
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} - Ciphertext in the form v1.<keyId>.<iv>.<tag>.<data>
+ */
+function encrypt(plaintext) {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const { currentId, keys } = getKeyring();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentId), iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [
+    VERSION,
+    currentId,
+    iv.toString('base64url'),
+    tag.toString('base64url'),
+    data.toString('base64url')
+  ].join('.');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ *
+ * @param {string} ciphertext - Encrypted value
+ * @returns {string} - Plaintext
+ * @throws {Error} - If the value is malformed, the key is unknown or it was tampered with
+ */
+function decrypt(ciphertext) {
+  if (ciphertext === null || ciphertext === undefined) return ciphertext;
+
+  const parts = String(ciphertext).split('.');
+  if (parts.length !== 5 || parts[0] !== VERSION) {
+    throw new Error('Invalid encrypted token format');
+  }
+
+  const [, keyId, iv, tag, data] = parts;
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Unknown token encryption key: ${keyId}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Check whether a value is ciphertext from this module
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${VERSION}.`) && value.split('.').length === 5;
+}
+
+/**
+ * Check whether ciphertext was produced with an old key and should be re-encrypted
+ */
+function needsRotation(ciphertext) {
+  if (!isEncrypted(ciphertext)) return false;
+  return ciphertext.split('.')[1] !== getKeyring().currentId;
+}
+
+/**
+ * Encrypt a JSON-serialisable object into a single opaque string
+ */
+function seal(payload) {
+  return encrypt(JSON.stringify(payload));
+}
+
+/**
+ * Decrypt a string produced by seal()
+ */
+function unseal(sealed) {
+  return JSON.parse(decrypt(sealed));
+}
+
+// Fail at startup, not on the first login
+if (isProduction()) {
+  getKeyring();
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  needsRotation,
+  seal,
+  unseal
+};
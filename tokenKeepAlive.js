@@ -0,0 +1,103 @@
+/**
+ * Token Keep-Alive Scheduler
+ *
+ * Xero refresh tokens expire after 60 days without use, and tokens are
+ * otherwise only refreshed when a request comes in. This scheduler walks the
+ * stored sessions periodically and refreshes any connection whose refresh
+ * token is getting old, so idle connections stay alive.
+ *
+ * Configured with TOKEN_KEEPALIVE_INTERVAL_HOURS (0 disables) and
+ * TOKEN_KEEPALIVE_MAX_AGE_DAYS.
+ */
+
+const DEFAULT_INTERVAL_HOURS = 6;
+const DEFAULT_MAX_AGE_DAYS = 20;
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+
+/**
+ * Check if a session's refresh token should be refreshed now
+ */
+function isDue(data, maxAgeMs) {
+  if (!data || !data.connected || !data.refreshToken) return false;
+  if (data.connectionStatus === 'needs_reauth') return false;
+
+  const issuedAt = data.refreshTokenIssuedAt || 0;
+  return Date.now() - issuedAt > maxAgeMs;
+}
+
+/**
+ * Start the keep-alive scheduler
+ *
+ * @param {Object} options
+ * @param {Function} options.listSessions - Returns [sessionId, data] pairs
+ * @param {Function} options.refreshSession - Refreshes one session, resolves to { success, error }
+ * @param {number} options.intervalHours - Hours between runs
+ * @param {number} options.maxAgeDays - Refresh tokens older than this are refreshed
+ * @returns {Object} - { runOnce, stop }
+ */
+function startTokenKeepAlive(options) {
+  const { listSessions, refreshSession } = options;
+  const intervalHours = Number(options.intervalHours ?? process.env.TOKEN_KEEPALIVE_INTERVAL_HOURS ?? DEFAULT_INTERVAL_HOURS);
+  const maxAgeDays = Number(options.maxAgeDays ?? process.env.TOKEN_KEEPALIVE_MAX_AGE_DAYS ?? DEFAULT_MAX_AGE_DAYS);
+  const maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000;
+
+  let running = false;
+
+  async function runOnce() {
+    // Never overlap runs; a slow run just delays the next one
+    if (running) return { skipped: true };
+    running = true;
+
+    const summary = { checked: 0, refreshed: 0, failed: 0 };
+
+    try {
+      for (const [sessionId, data] of listSessions()) {
+        summary.checked++;
+        if (!isDue(data, maxAgeMs)) continue;
+
+        // One at a time to stay well inside Xero's rate limits
+        const result = await refreshSession(sessionId);
+        if (result.success) {
+          summary.refreshed++;
+        } else {
+          summary.failed++;
+          console.error(`❌ Keep-alive refresh failed for session ${sessionId}:`, result.error);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Keep-alive run error:', error.message);
+    } finally {
+      running = false;
+    }
+
+    if (summary.refreshed > 0 || summary.failed > 0) {
+      console.log(`🔁 Token keep-alive: ${summary.refreshed} refreshed, ${summary.failed} failed (${summary.checked} sessions)`);
+    }
+
+    return summary;
+  }
+
+  if (!(intervalHours > 0)) {
+    console.log('🔁 Token keep-alive disabled');
+    return { runOnce, stop: () => {} };
+  }
+
+  const firstRun = setTimeout(runOnce, FIRST_RUN_DELAY_MS);
+  const timer = setInterval(runOnce, intervalHours * 60 * 60 * 1000);
+  firstRun.unref();
+  timer.unref();
+
+  console.log(`🔁 Token keep-alive every ${intervalHours}h (refresh tokens older than ${maxAgeDays} days)`);
+
+  return {
+    runOnce,
+    stop() {
+      clearTimeout(firstRun);
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = {
+  startTokenKeepAlive
+};
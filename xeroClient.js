@@ -9,16 +9,37 @@
 
 const axios = require('axios');
 const crypto = require('crypto');
+const oidc = require('./core/oidc');
+const { xeroRequest } = require('./core/xeroHttp');
+const { xeroFailure } = require('./core/xeroErrors');
+const { idempotencyHeaders } = require('./core/idempotency');
+
+// Scopes requested when XERO_SCOPE is not set (every server uses this one default)
+const DEFAULT_SCOPE = 'openid profile email accounting.transactions accounting.contacts accounting.settings offline_access';
 
 /**
- * Generate Xero OAuth2 authorization URL
+ * Generate a PKCE code verifier and its S256 code challenge
+ *
+ * @returns {Object} - { codeVerifier, codeChallenge }
+ */
+function generatePkcePair() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Generate Xero OAuth2 authorization URL (with PKCE)
+ *
+ * The returned codeVerifier must be kept server-side against the state
+ * and passed to exchangeCodeForToken when the callback arrives.
  *
- * @returns {string} - Authorization URL for user to visit
+ * @returns {Object} - { url, state, codeVerifier }
  */
 function getAuthorizationUrl() {
   const clientId = process.env.XERO_CLIENT_ID;
   const redirectUri = process.env.XERO_REDIRECT_URI;
-  const scope = process.env.XERO_SCOPE || 'accounting.transactions accounting.contacts accounting.settings offline_access';
+  const scope = process.env.XERO_SCOPE || DEFAULT_SCOPE;
 
   console.log('🔑 Authorization URL Parameters:');
   console.log('📊 Client ID:', clientId);
@@ -28,26 +49,37 @@ function getAuthorizationUrl() {
 
   // Generate state parameter for security
   const state = crypto.randomBytes(16).toString('hex');
+  const { codeVerifier, codeChallenge } = generatePkcePair();
 
   const authUrl = `https://login.xero.com/identity/connect/authorize?` +
     `response_type=code&` +
     `client_id=${clientId}&` +
     `redirect_uri=${encodeURIComponent(redirectUri)}&` +
     `scope=${encodeURIComponent(scope)}&` +
-    `state=${state}`;
+    `state=${state}&` +
+    `code_challenge=${codeChallenge}&` +
+    `code_challenge_method=S256`;
 
   console.log('📊 Full Authorization URL:', authUrl);
 
-  return { url: authUrl, state: state };
+  return { url: authUrl, state: state, codeVerifier: codeVerifier };
 }
 
 /**
  * Exchange authorization code for access token
  *
+ * With a PKCE code verifier the client secret is optional, so public
+ * clients can leave XERO_CLIENT_SECRET unset.
+ *
+ * If Xero returns an id_token (openid scope) it must pass validation
+ * against Xero's JWKS; the Xero user it identifies is returned as `user`.
+ *
  * @param {string} code - Authorization code from callback
- * @returns {Promise<Object>} - Token response with access_token, refresh_token, etc.
+ * @param {string} codeVerifier - PKCE code verifier generated with the authorization URL
+ * @param {Object} options - { jwks } to override the JWKS client (see core/oidc.js)
+ * @returns {Promise<Object>} - { success, tokens, user } - user is null without an id_token
  */
-async function exchangeCodeForToken(code) {
+async function exchangeCodeForToken(code, codeVerifier, options = {}) {
   try {
     console.log('🔑 Exchanging code for token...');
     console.log('📊 Token URL: https://identity.xero.com/oauth/token');
@@ -60,16 +92,22 @@ async function exchangeCodeForToken(code) {
       grant_type: 'authorization_code',
       code: code,
       redirect_uri: process.env.XERO_REDIRECT_URI,
-      client_id: process.env.XERO_CLIENT_ID,
-      client_secret: process.env.XERO_CLIENT_SECRET
+      client_id: process.env.XERO_CLIENT_ID
     };
+    if (codeVerifier) {
+      requestData.code_verifier = codeVerifier;
+    }
+    if (process.env.XERO_CLIENT_SECRET) {
+      requestData.client_secret = process.env.XERO_CLIENT_SECRET;
+    }
 
     console.log('📊 Request parameters:', {
       grant_type: requestData.grant_type,
       code: requestData.code.substring(0, 20) + '...',
       redirect_uri: requestData.redirect_uri,
       client_id: requestData.client_id.substring(0, 10) + '...',
-      client_secret: requestData.client_secret ? '***SET***' : '***MISSING***'
+      client_secret: requestData.client_secret ? '***SET***' : '***NOT SET***',
+      code_verifier: requestData.code_verifier ? '***PKCE***' : '***MISSING***'
     });
 
     const response = await axios.post(
@@ -142,9 +180,26 @@ async function exchangeCodeForToken(code) {
       expiresAt: expiresAt
     };
 
+    // OpenID Connect: never trust an id_token that fails validation
+    let user = null;
+    if (response.data.id_token) {
+      const identity = await oidc.verifyIdToken(response.data.id_token, { jwks: options.jwks });
+      if (!identity.success) {
+        console.error('❌ id_token rejected:', identity.error);
+        return {
+          success: false,
+          error: `Invalid id_token: ${identity.error}`
+        };
+      }
+
+      user = oidc.userFromClaims(identity.claims);
+      console.log('✅ id_token valid for Xero user:', user.email || user.id);
+    }
+
     return {
       success: true,
-      tokens: tokenData
+      tokens: tokenData,
+      user: user
     };
 
   } catch (error) {
@@ -180,7 +235,7 @@ async function exchangeCodeForToken(code) {
     // Detailed troubleshooting steps
     console.error('\n🔧 TROUBLESHOOTING STEPS:');
     console.error('1. Verify Client ID:', process.env.XERO_CLIENT_ID?.substring(0, 10) + '...');
-    console.error('2. Verify Client Secret is set:', !!process.env.XERO_CLIENT_SECRET);
+    console.error('2. Verify Client Secret is set (or PKCE verifier sent):', !!process.env.XERO_CLIENT_SECRET, !!codeVerifier);
     console.error('3. Verify Redirect URI:', process.env.XERO_REDIRECT_URI);
     console.error('4. Check Xero app at https://developer.xero.com/app/...');
     console.error('   - Redirect URI must match EXACTLY (including https:// and trailing slash)');
@@ -211,14 +266,19 @@ async function refreshAccessToken(refreshToken) {
   try {
     console.log('🔄 Calling Xero token refresh endpoint...');
 
+    const requestData = {
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      client_id: process.env.XERO_CLIENT_ID
+    };
+    // PKCE clients refresh without a secret
+    if (process.env.XERO_CLIENT_SECRET) {
+      requestData.client_secret = process.env.XERO_CLIENT_SECRET;
+    }
+
     const response = await axios.post(
       'https://identity.xero.com/oauth/token',
-      new URLSearchParams({
-        grant_type: 'refresh_token',
-        refresh_token: refreshToken,
-        client_id: process.env.XERO_CLIENT_ID,
-        client_secret: process.env.XERO_CLIENT_SECRET
-      }),
+      new URLSearchParams(requestData),
       {
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
@@ -252,7 +312,8 @@ async function refreshAccessToken(refreshToken) {
     console.error('❌ Token refresh error:', error.response?.data || error.message);
     return {
       success: false,
-      error: error.response?.data || error.message
+      error: error.response?.data || error.message,
+      status: error.response?.status
     };
   }
 }
@@ -310,9 +371,81 @@ async function getTenants(accessToken) {
 }
 
 /**
- * Create an invoice or quotation in Xero
+ * Revoke a refresh token (and with it every connection it authorised)
+ *
+ * @param {string} refreshToken - Refresh token to revoke
+ * @returns {Promise<Object>} - Revocation result
+ */
+async function revokeToken(refreshToken) {
+  try {
+    console.log('🔒 Revoking Xero refresh token...');
+
+    const requestData = { token: refreshToken };
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    // Confidential clients authenticate with Basic auth, PKCE clients send client_id
+    if (process.env.XERO_CLIENT_SECRET) {
+      const credentials = Buffer.from(`${process.env.XERO_CLIENT_ID}:${process.env.XERO_CLIENT_SECRET}`).toString('base64');
+      headers['Authorization'] = `Basic ${credentials}`;
+    } else {
+      requestData.client_id = process.env.XERO_CLIENT_ID;
+    }
+
+    await axios.post(
+      'https://identity.xero.com/connect/revocation',
+      new URLSearchParams(requestData),
+      { headers }
+    );
+
+    console.log('✅ Refresh token revoked');
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Token revocation error:', error.response?.data || error.message);
+    return {
+      success: false,
+      error: error.response?.data || error.message,
+      status: error.response?.status
+    };
+  }
+}
+
+/**
+ * Remove a tenant connection via the Connections API
  *
- * @param {Object} invoiceData - Invoice/quotation data
+ * @param {string} accessToken - Valid access token
+ * @param {string} connectionId - Connection ID (the "id" field of a connection, not the tenant ID)
+ * @returns {Promise<Object>} - Deletion result
+ */
+async function deleteConnection(accessToken, connectionId) {
+  try {
+    console.log('🔌 Deleting Xero connection:', connectionId);
+
+    await axios.delete(
+      `https://api.xero.com/Connections/${connectionId}`,
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      }
+    );
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Delete connection error:', error.response?.data || error.message);
+    return {
+      success: false,
+      error: error.response?.data || error.message,
+      status: error.response?.status
+    };
+  }
+}
+
+/**
+ * Create an invoice in Xero (quotes: xeroClientFull.createQuote)
+ *
+ * @param {Object} invoiceData - Invoice data
  * @param {string} accessToken - Valid access token
  * @param {string} tenantId - Xero tenant ID
  * @returns {Promise<Object>} - Created invoice response
@@ -346,44 +479,24 @@ async function createInvoice(invoiceData, accessToken, tenantId) {
     }
 
     // Make API request to create invoice
-    const response = await axios.put(
-      `https://api.xero.com/api.xro/2.0/Invoices`,
-      { Invoices: [xeroInvoice] },
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        }
-      }
-    );
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: '/Invoices',
+      data: { Invoices: [xeroInvoice] },
+      headers: idempotencyHeaders(),
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
       invoice: response.data.Invoices[0],
-      message: 'Invoice/Quotation created successfully in Xero'
+      message: 'Invoice created successfully in Xero'
     };
 
   } catch (error) {
     console.error('Create invoice error:', error.response?.data || error.message);
-
-    // Extract Xero error messages
-    let errorMessage = 'Failed to create invoice in Xero';
-    if (error.response?.data?.Problem) {
-      const problems = error.response.data.Problem;
-      if (Array.isArray(problems)) {
-        errorMessage = problems.map(p => p.Message).join(', ');
-      } else {
-        errorMessage = problems.Message || errorMessage;
-      }
-    }
-
-    return {
-      success: false,
-      error: errorMessage,
-      details: error.response?.data
-    };
+    return xeroFailure(error);
   }
 }
 
@@ -398,16 +511,12 @@ async function createInvoice(invoiceData, accessToken, tenantId) {
 async function getOrCreateContact(contactName, accessToken, tenantId) {
   try {
     // First, try to find existing contact
-    const searchResponse = await axios.get(
-      `https://api.xero.com/api.xro/2.0/Contacts?where=Name=="${encodeURIComponent(contactName)}"`,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Accept': 'application/json'
-        }
-      }
-    );
+    const searchResponse = await xeroRequest({
+      path: '/Contacts',
+      params: { where: `Name=="${contactName}"` },
+      accessToken,
+      tenantId
+    });
 
     if (searchResponse.data.Contacts && searchResponse.data.Contacts.length > 0) {
       return {
@@ -418,22 +527,18 @@ async function getOrCreateContact(contactName, accessToken, tenantId) {
     }
 
     // If not found, create new contact
-    const createResponse = await axios.put(
-      `https://api.xero.com/api.xro/2.0/Contacts`,
-      {
+    const createResponse = await xeroRequest({
+      method: 'PUT',
+      path: '/Contacts',
+      data: {
         Contacts: [{
           Name: contactName
         }]
       },
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        }
-      }
-    );
+      headers: idempotencyHeaders(),
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
@@ -443,10 +548,7 @@ async function getOrCreateContact(contactName, accessToken, tenantId) {
 
   } catch (error) {
     console.error('Contact operation error:', error.response?.data || error.message);
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
@@ -460,23 +562,17 @@ async function getOrCreateContact(contactName, accessToken, tenantId) {
  */
 async function getInvoices(accessToken, tenantId, filters = {}) {
   try {
-    let url = 'https://api.xero.com/api.xro/2.0/Invoices';
-
     // Add query parameters if provided
-    const params = [];
+    const params = {};
     if (filters.status) {
-      params.push(`Status=${filters.status}`);
-    }
-    if (params.length > 0) {
-      url += '?' + params.join('&');
+      params.Status = filters.status;
     }
 
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Xero-tenant-id': tenantId,
-        'Accept': 'application/json'
-      }
+    const response = await xeroRequest({
+      path: '/Invoices',
+      params,
+      accessToken,
+      tenantId
     });
 
     return {
@@ -486,18 +582,19 @@ async function getInvoices(accessToken, tenantId, filters = {}) {
 
   } catch (error) {
     console.error('Get invoices error:', error.response?.data || error.message);
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
 module.exports = {
+  DEFAULT_SCOPE,
+  generatePkcePair,
   getAuthorizationUrl,
   exchangeCodeForToken,
   refreshAccessToken,
   getTenants,
+  revokeToken,
+  deleteConnection,
   createInvoice,
   getOrCreateContact,
   getInvoices
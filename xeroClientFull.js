@@ -7,44 +7,227 @@
  * - PUT (Update): Update invoices, contacts, accounts, items
  * - DELETE (Remove): Delete invoices, contacts, accounts, items
  * - POS: Point of sale operations
+ * - Quotes: get, create, update (status changes) and convert to invoice
+ *
+ * Every call goes through core/xeroHttp, which queues it per tenant and
+ * handles Xero's rate limits and transient failures. Failures come back as
+ * { success: false, error, code, fields, details } (see core/xeroErrors).
+ * Creates and updates take { idempotencyKey } as their last argument and
+ * always send an Idempotency-Key (see core/idempotency).
  */
 
-const axios = require('axios');
+const { xeroRequest } = require('./core/xeroHttp');
+const { xeroFailure } = require('./core/xeroErrors');
+const { idempotencyHeaders, deriveKey } = require('./core/idempotency');
 
 // ==========================================
-// GET OPERATIONS - Retrieve Data
+// FILTERS
 // ==========================================
 
 /**
- * Get all invoices with filtering
+ * Query parameters shared by the list functions (filters.where, filters.order)
  */
-async function getInvoices(accessToken, tenantId, filters = {}) {
-  try {
-    let url = 'https://api.xero.com/api.xro/2.0/Invoices';
-    const params = [];
+function listParams(filters, params = {}) {
+  if (filters.where) params.where = filters.where;
+  if (filters.order) params.order = filters.order;
+  return params;
+}
+
+/**
+ * If-Modified-Since header for filters.since (Date, timestamp or ISO string)
+ *
+ * Xero only honours it as a header, in UTC without a zone suffix.
+ */
+function modifiedSinceHeaders(since) {
+  if (!since) return undefined;
 
-    if (filters.status) params.push(`Status=${filters.status}`);
-    if (filters.contact_id) params.push(`ContactID=${filters.contact_id}`);
-    if (filters.date) params.push(`Date=${filters.date}`);
-    if (filters.since) params.push(`If-Modified-Since=${filters.since}`);
+  const date = new Date(since);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid "since" date: ${since}`);
+  }
 
-    if (params.length > 0) url += '?' + params.join('&');
+  return { 'If-Modified-Since': date.toISOString().slice(0, 19) };
+}
 
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Xero-tenant-id': tenantId,
-        'Accept': 'application/json'
-      }
+// ==========================================
+// PAGINATION
+// ==========================================
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+// Cap for auto-paginated lists (no page requested)
+const DEFAULT_MAX_RECORDS = parseInt(process.env.XERO_MAX_RECORDS) || 500;
+
+function positiveInt(value, fallback, max = Infinity) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? Math.min(number, max) : fallback;
+}
+
+/**
+ * Fetch one page of a paged Xero collection (Invoices, Contacts, Payments)
+ *
+ * @returns {Promise<Object>} - { records, pagination: { page, pageSize, pageCount, itemCount, hasMore } }
+ */
+async function fetchPage({ path, collection, params, headers, page, pageSize, accessToken, tenantId }) {
+  const response = await xeroRequest({
+    path,
+    params: { ...params, page, pageSize },
+    headers,
+    accessToken,
+    tenantId
+  });
+
+  const records = response.data[collection] || [];
+  const meta = response.data.pagination || {};
+  const pageCount = meta.pageCount ?? null;
+
+  return {
+    records,
+    pagination: {
+      page,
+      pageSize,
+      pageCount,
+      itemCount: meta.itemCount ?? null,
+      // Older responses have no pagination block: a full page means there may be more
+      hasMore: pageCount !== null ? page < pageCount : records.length === pageSize
+    }
+  };
+}
+
+/**
+ * Iterate over the pages of a paged Xero collection
+ *
+ * @example
+ * for await (const { records } of iteratePages({ path: '/Invoices', collection: 'Invoices', accessToken, tenantId })) { ... }
+ *
+ * @param {Object} options - { path, collection, params, headers, pageSize, startPage, accessToken, tenantId }
+ * @yields {Object} - { records, pagination } per page
+ */
+async function* iteratePages({ startPage = 1, pageSize = DEFAULT_PAGE_SIZE, ...options }) {
+  for (let page = startPage; ; page++) {
+    const result = await fetchPage({ ...options, page, pageSize });
+    yield result;
+
+    if (!result.pagination.hasMore) return;
+  }
+}
+
+/**
+ * Read a paged collection: one page when filters.page is set, otherwise
+ * pages from the first one until filters.max_records (default
+ * XERO_MAX_RECORDS) are read; the last page is cut to fit, in which case
+ * nextPage is that same page (its first records were already returned)
+ *
+ * @returns {Promise<Object>} - { records, pagination: { page, pagesFetched, pageSize,
+ *   pageCount, itemCount, hasMore, nextPage } }
+ */
+async function listRecords({ filters, ...options }) {
+  const startPage = positiveInt(filters.page, 1);
+  const maxRecords = filters.page
+    ? Infinity
+    : positiveInt(filters.max_records, DEFAULT_MAX_RECORDS);
+  const pageSize = Math.min(positiveInt(filters.page_size, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE), maxRecords);
+
+  const records = [];
+  let last = null;
+  let pagesFetched = 0;
+
+  for await (const result of iteratePages({ ...options, startPage, pageSize })) {
+    records.push(...result.records);
+    last = result.pagination;
+    pagesFetched++;
+
+    if (filters.page || records.length >= maxRecords) break;
+  }
+
+  const truncated = records.length > maxRecords;
+  const hasMore = truncated || last.hasMore;
+
+  return {
+    records: truncated ? records.slice(0, maxRecords) : records,
+    pagination: {
+      page: startPage,
+      pagesFetched,
+      pageSize,
+      pageCount: last.pageCount,
+      itemCount: last.itemCount,
+      hasMore,
+      nextPage: truncated ? last.page : (hasMore ? last.page + 1 : null)
+    }
+  };
+}
+
+// ==========================================
+// DOCUMENT HELPERS
+// ==========================================
+
+/**
+ * Line items from chat/REST input (snake_case) in Xero's format;
+ * items already in Xero's format are passed through
+ */
+function toXeroLineItems(lineItems = []) {
+  return lineItems.map(item => (item.Description !== undefined || item.LineAmount !== undefined ? item : {
+    Description: item.description,
+    Quantity: item.quantity ?? 1,
+    UnitAmount: item.unit_amount ?? 0,
+    AccountCode: item.account_code,
+    ItemCode: item.item_code,
+    TaxType: item.tax_type,
+    DiscountRate: item.discount_rate
+  }));
+}
+
+/**
+ * Failure for a request rejected before it reaches Xero (same shape as xeroFailure)
+ */
+function localFailure(code, message, field) {
+  return {
+    success: false,
+    error: message,
+    status: null,
+    code,
+    fields: field ? [{ field, code, message }] : [],
+    details: null
+  };
+}
+
+// ==========================================
+// GET OPERATIONS - Retrieve Data
+// ==========================================
+
+/**
+ * Get invoices with filtering
+ *
+ * Pages with filters.page / filters.page_size; without a page, reads every
+ * page up to filters.max_records. Like every list function, filters.since
+ * returns only records modified after that time.
+ */
+async function getInvoices(accessToken, tenantId, filters = {}) {
+  try {
+    const params = listParams(filters);
+
+    if (filters.status) params.Status = filters.status;
+    if (filters.contact_id) params.ContactID = filters.contact_id;
+    if (filters.date) params.Date = filters.date;
+
+    const { records, pagination } = await listRecords({
+      path: '/Invoices',
+      collection: 'Invoices',
+      params,
+      headers: modifiedSinceHeaders(filters.since),
+      filters,
+      accessToken,
+      tenantId
     });
 
     return {
       success: true,
-      invoices: response.data.Invoices || [],
-      count: response.data.Invoices?.length || 0
+      invoices: records,
+      count: records.length,
+      pagination
     };
   } catch (error) {
-    return { success: false, error: error.response?.data || error.message };
+    return xeroFailure(error);
   }
 }
 
@@ -53,52 +236,44 @@ async function getInvoices(accessToken, tenantId, filters = {}) {
  */
 async function getInvoiceById(invoiceId, accessToken, tenantId) {
   try {
-    const response = await axios.get(
-      `https://api.xero.com/api.xro/2.0/Invoices/${invoiceId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Accept': 'application/json'
-        }
-      }
-    );
+    const response = await xeroRequest({
+      path: `/Invoices/${invoiceId}`,
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
       invoice: response.data.Invoices[0]
     };
   } catch (error) {
-    return { success: false, error: error.response?.data || error.message };
+    return xeroFailure(error);
   }
 }
 
 /**
- * Get all contacts
+ * Get contacts (paged like getInvoices)
  */
 async function getContacts(accessToken, tenantId, filters = {}) {
   try {
-    let url = 'https://api.xero.com/api.xro/2.0/Contacts';
-
-    if (filters.where) {
-      url += `?where=${encodeURIComponent(filters.where)}`;
-    }
-
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Xero-tenant-id': tenantId,
-        'Accept': 'application/json'
-      }
+    const { records, pagination } = await listRecords({
+      path: '/Contacts',
+      collection: 'Contacts',
+      params: listParams(filters),
+      headers: modifiedSinceHeaders(filters.since),
+      filters,
+      accessToken,
+      tenantId
     });
 
     return {
       success: true,
-      contacts: response.data.Contacts || [],
-      count: response.data.Contacts?.length || 0
+      contacts: records,
+      count: records.length,
+      pagination
     };
   } catch (error) {
-    return { success: false, error: error.response?.data || error.message };
+    return xeroFailure(error);
   }
 }
 
@@ -107,43 +282,52 @@ async function getContacts(accessToken, tenantId, filters = {}) {
  */
 async function getContactById(contactId, accessToken, tenantId) {
   try {
-    const response = await axios.get(
-      `https://api.xero.com/api.xro/2.0/Contacts/${contactId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Accept': 'application/json'
-        }
-      }
-    );
+    const response = await xeroRequest({
+      path: `/Contacts/${contactId}`,
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
       contact: response.data.Contacts[0]
     };
   } catch (error) {
-    return { success: false, error: error.response?.data || error.message };
+    return xeroFailure(error);
   }
 }
 
 /**
- * Get all accounts (chart of accounts)
+ * Get the organisation (name, base currency...)
  */
-async function getAccounts(accessToken, tenantId, filters = {}) {
+async function getOrganization(accessToken, tenantId) {
   try {
-    let url = 'https://api.xero.com/api.xro/2.0/Accounts';
+    const response = await xeroRequest({
+      path: '/Organisation',
+      accessToken,
+      tenantId
+    });
 
-    if (filters.where) {
-      url += `?where=${encodeURIComponent(filters.where)}`;
-    }
+    return {
+      success: true,
+      organization: response.data.Organisations[0]
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
 
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Xero-tenant-id': tenantId,
-        'Accept': 'application/json'
-      }
+/**
+ * Get all accounts (chart of accounts)
+ */
+async function getAccounts(accessToken, tenantId, filters = {}) {
+  try {
+    const response = await xeroRequest({
+      path: '/Accounts',
+      params: listParams(filters),
+      headers: modifiedSinceHeaders(filters.since),
+      accessToken,
+      tenantId
     });
 
     return {
@@ -152,7 +336,7 @@ async function getAccounts(accessToken, tenantId, filters = {}) {
       count: response.data.Accounts?.length || 0
     };
   } catch (error) {
-    return { success: false, error: error.response?.data || error.message };
+    return xeroFailure(error);
   }
 }
 
@@ -161,18 +345,12 @@ async function getAccounts(accessToken, tenantId, filters = {}) {
  */
 async function getItems(accessToken, tenantId, filters = {}) {
   try {
-    let url = 'https://api.xero.com/api.xro/2.0/Items';
-
-    if (filters.where) {
-      url += `?where=${encodeURIComponent(filters.where)}`;
-    }
-
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Xero-tenant-id': tenantId,
-        'Accept': 'application/json'
-      }
+    const response = await xeroRequest({
+      path: '/Items',
+      params: listParams(filters),
+      headers: modifiedSinceHeaders(filters.since),
+      accessToken,
+      tenantId
     });
 
     return {
@@ -181,36 +359,33 @@ async function getItems(accessToken, tenantId, filters = {}) {
       count: response.data.Items?.length || 0
     };
   } catch (error) {
-    return { success: false, error: error.response?.data || error.message };
+    return xeroFailure(error);
   }
 }
 
 /**
- * Get payments
+ * Get payments (paged like getInvoices)
  */
 async function getPayments(accessToken, tenantId, filters = {}) {
   try {
-    let url = 'https://api.xero.com/api.xro/2.0/Payments';
-
-    if (filters.where) {
-      url += `?where=${encodeURIComponent(filters.where)}`;
-    }
-
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Xero-tenant-id': tenantId,
-        'Accept': 'application/json'
-      }
+    const { records, pagination } = await listRecords({
+      path: '/Payments',
+      collection: 'Payments',
+      params: listParams(filters),
+      headers: modifiedSinceHeaders(filters.since),
+      filters,
+      accessToken,
+      tenantId
     });
 
     return {
       success: true,
-      payments: response.data.Payments || [],
-      count: response.data.Payments?.length || 0
+      payments: records,
+      count: records.length,
+      pagination
     };
   } catch (error) {
-    return { success: false, error: error.response?.data || error.message };
+    return xeroFailure(error);
   }
 }
 
@@ -221,7 +396,7 @@ async function getPayments(accessToken, tenantId, filters = {}) {
 /**
  * Create invoice
  */
-async function createInvoice(invoiceData, accessToken, tenantId) {
+async function createInvoice(invoiceData, accessToken, tenantId, options = {}) {
   try {
     const xeroInvoice = {
       Type: invoiceData.type || 'ACCREC',
@@ -241,17 +416,14 @@ async function createInvoice(invoiceData, accessToken, tenantId) {
       xeroInvoice.Contact.Name = invoiceData.contact_name;
     }
 
-    const response = await axios.put(
-      'https://api.xero.com/api.xro/2.0/Invoices',
-      { Invoices: [xeroInvoice] },
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: '/Invoices',
+      data: { Invoices: [xeroInvoice] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
@@ -259,17 +431,14 @@ async function createInvoice(invoiceData, accessToken, tenantId) {
       message: 'Invoice created successfully'
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
 /**
  * Create contact
  */
-async function createContact(contactData, accessToken, tenantId) {
+async function createContact(contactData, accessToken, tenantId, options = {}) {
   try {
     const xeroContact = {
       Name: contactData.name,
@@ -278,17 +447,14 @@ async function createContact(contactData, accessToken, tenantId) {
       Addresses: contactData.addresses || []
     };
 
-    const response = await axios.put(
-      'https://api.xero.com/api.xro/2.0/Contacts',
-      { Contacts: [xeroContact] },
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: '/Contacts',
+      data: { Contacts: [xeroContact] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
@@ -296,17 +462,14 @@ async function createContact(contactData, accessToken, tenantId) {
       message: 'Contact created successfully'
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
 /**
  * Create account
  */
-async function createAccount(accountData, accessToken, tenantId) {
+async function createAccount(accountData, accessToken, tenantId, options = {}) {
   try {
     const xeroAccount = {
       Code: accountData.code,
@@ -315,17 +478,14 @@ async function createAccount(accountData, accessToken, tenantId) {
       TaxType: accountData.tax_type || 'NONE'
     };
 
-    const response = await axios.put(
-      'https://api.xero.com/api.xro/2.0/Accounts',
-      { Accounts: [xeroAccount] },
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: '/Accounts',
+      data: { Accounts: [xeroAccount] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
@@ -333,17 +493,14 @@ async function createAccount(accountData, accessToken, tenantId) {
       message: 'Account created successfully'
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
 /**
  * Create item/product
  */
-async function createItem(itemData, accessToken, tenantId) {
+async function createItem(itemData, accessToken, tenantId, options = {}) {
   try {
     const xeroItem = {
       Code: itemData.code,
@@ -357,17 +514,14 @@ async function createItem(itemData, accessToken, tenantId) {
       IsPurchased: itemData.is_purchased !== false
     };
 
-    const response = await axios.put(
-      'https://api.xero.com/api.xro/2.0/Items',
-      { Items: [xeroItem] },
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: '/Items',
+      data: { Items: [xeroItem] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
@@ -375,17 +529,14 @@ async function createItem(itemData, accessToken, tenantId) {
       message: 'Item created successfully'
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
 /**
  * Create payment (POS)
  */
-async function createPayment(paymentData, accessToken, tenantId) {
+async function createPayment(paymentData, accessToken, tenantId, options = {}) {
   try {
     const xeroPayment = {
       Invoice: {
@@ -400,17 +551,14 @@ async function createPayment(paymentData, accessToken, tenantId) {
       CurrencyRate: paymentData.currency_rate || 1.0
     };
 
-    const response = await axios.put(
-      'https://api.xero.com/api.xro/2.0/Payments',
-      { Payments: [xeroPayment] },
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: '/Payments',
+      data: { Payments: [xeroPayment] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
@@ -418,10 +566,7 @@ async function createPayment(paymentData, accessToken, tenantId) {
       message: 'Payment created successfully'
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
@@ -432,7 +577,7 @@ async function createPayment(paymentData, accessToken, tenantId) {
 /**
  * Update invoice
  */
-async function updateInvoice(invoiceId, invoiceData, accessToken, tenantId) {
+async function updateInvoice(invoiceId, invoiceData, accessToken, tenantId, options = {}) {
   try {
     const xeroInvoice = {
       InvoiceID: invoiceId,
@@ -446,17 +591,14 @@ async function updateInvoice(invoiceId, invoiceData, accessToken, tenantId) {
       CurrencyCode: invoiceData.currency_code || 'MYR'
     };
 
-    const response = await axios.post(
-      `https://api.xero.com/api.xro/2.0/Invoices/${invoiceId}`,
-      { Invoices: [xeroInvoice] },
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const response = await xeroRequest({
+      method: 'POST',
+      path: `/Invoices/${invoiceId}`,
+      data: { Invoices: [xeroInvoice] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
@@ -464,17 +606,14 @@ async function updateInvoice(invoiceId, invoiceData, accessToken, tenantId) {
       message: 'Invoice updated successfully'
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
 /**
  * Update contact
  */
-async function updateContact(contactId, contactData, accessToken, tenantId) {
+async function updateContact(contactId, contactData, accessToken, tenantId, options = {}) {
   try {
     const xeroContact = {
       ContactID: contactId,
@@ -484,17 +623,14 @@ async function updateContact(contactId, contactData, accessToken, tenantId) {
       Addresses: contactData.addresses || []
     };
 
-    const response = await axios.post(
-      `https://api.xero.com/api.xro/2.0/Contacts/${contactId}`,
-      { Contacts: [xeroContact] },
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const response = await xeroRequest({
+      method: 'POST',
+      path: `/Contacts/${contactId}`,
+      data: { Contacts: [xeroContact] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
@@ -502,17 +638,14 @@ async function updateContact(contactId, contactData, accessToken, tenantId) {
       message: 'Contact updated successfully'
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
 /**
  * Update account
  */
-async function updateAccount(accountId, accountData, accessToken, tenantId) {
+async function updateAccount(accountId, accountData, accessToken, tenantId, options = {}) {
   try {
     const xeroAccount = {
       AccountID: accountId,
@@ -522,17 +655,14 @@ async function updateAccount(accountId, accountData, accessToken, tenantId) {
       TaxType: accountData.tax_type || 'NONE'
     };
 
-    const response = await axios.post(
-      `https://api.xero.com/api.xro/2.0/Accounts/${accountId}`,
-      { Accounts: [xeroAccount] },
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const response = await xeroRequest({
+      method: 'POST',
+      path: `/Accounts/${accountId}`,
+      data: { Accounts: [xeroAccount] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
@@ -540,17 +670,14 @@ async function updateAccount(accountId, accountData, accessToken, tenantId) {
       message: 'Account updated successfully'
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
 /**
  * Update item
  */
-async function updateItem(itemId, itemData, accessToken, tenantId) {
+async function updateItem(itemId, itemData, accessToken, tenantId, options = {}) {
   try {
     const xeroItem = {
       ItemID: itemId,
@@ -565,17 +692,14 @@ async function updateItem(itemId, itemData, accessToken, tenantId) {
       IsPurchased: itemData.is_purchased !== false
     };
 
-    const response = await axios.post(
-      `https://api.xero.com/api.xro/2.0/Items/${itemId}`,
-      { Items: [xeroItem] },
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const response = await xeroRequest({
+      method: 'POST',
+      path: `/Items/${itemId}`,
+      data: { Items: [xeroItem] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
@@ -583,10 +707,7 @@ async function updateItem(itemId, itemData, accessToken, tenantId) {
       message: 'Item updated successfully'
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
@@ -599,25 +720,19 @@ async function updateItem(itemId, itemData, accessToken, tenantId) {
  */
 async function deleteInvoice(invoiceId, accessToken, tenantId) {
   try {
-    const response = await axios.delete(
-      `https://api.xero.com/api.xro/2.0/Invoices/${invoiceId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId
-        }
-      }
-    );
+    await xeroRequest({
+      method: 'DELETE',
+      path: `/Invoices/${invoiceId}`,
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
       message: 'Invoice deleted successfully'
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
@@ -626,25 +741,19 @@ async function deleteInvoice(invoiceId, accessToken, tenantId) {
  */
 async function deleteContact(contactId, accessToken, tenantId) {
   try {
-    const response = await axios.delete(
-      `https://api.xero.com/api.xro/2.0/Contacts/${contactId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId
-        }
-      }
-    );
+    await xeroRequest({
+      method: 'DELETE',
+      path: `/Contacts/${contactId}`,
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
       message: 'Contact deleted successfully'
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
@@ -653,25 +762,19 @@ async function deleteContact(contactId, accessToken, tenantId) {
  */
 async function deleteItem(itemId, accessToken, tenantId) {
   try {
-    const response = await axios.delete(
-      `https://api.xero.com/api.xro/2.0/Items/${itemId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId
-        }
-      }
-    );
+    await xeroRequest({
+      method: 'DELETE',
+      path: `/Items/${itemId}`,
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
       message: 'Item deleted successfully'
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
@@ -680,92 +783,1270 @@ async function deleteItem(itemId, accessToken, tenantId) {
  */
 async function deletePayment(paymentId, accessToken, tenantId) {
   try {
-    const response = await axios.delete(
-      `https://api.xero.com/api.xro/2.0/Payments/${paymentId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Xero-tenant-id': tenantId
-        }
-      }
-    );
+    await xeroRequest({
+      method: 'DELETE',
+      path: `/Payments/${paymentId}`,
+      accessToken,
+      tenantId
+    });
 
     return {
       success: true,
       message: 'Payment deleted successfully'
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
+    return xeroFailure(error);
   }
 }
 
 // ==========================================
-// UTILITY FUNCTIONS
+// QUOTES
 // ==========================================
 
+// Status changes Xero accepts for a quote (INVOICED is set by convertQuoteToInvoice)
+const QUOTE_TRANSITIONS = {
+  DRAFT: ['SENT', 'DELETED'],
+  SENT: ['DRAFT', 'ACCEPTED', 'DECLINED', 'DELETED'],
+  DECLINED: ['DRAFT', 'SENT', 'DELETED'],
+  ACCEPTED: ['SENT', 'INVOICED'],
+  INVOICED: [],
+  DELETED: []
+};
+
 /**
- * Get or create contact
+ * Get quotes (paged like getInvoices)
  */
-async function getOrCreateContact(contactName, accessToken, tenantId) {
+async function getQuotes(accessToken, tenantId, filters = {}) {
   try {
-    const search = await getContacts(accessToken, tenantId, {
-      where: `Name=="${contactName}"`
+    const params = listParams(filters);
+
+    if (filters.status) params.Status = filters.status;
+    if (filters.contact_id) params.ContactID = filters.contact_id;
+    if (filters.quote_number) params.QuoteNumber = filters.quote_number;
+    if (filters.date_from) params.DateFrom = filters.date_from;
+    if (filters.date_to) params.DateTo = filters.date_to;
+
+    const { records, pagination } = await listRecords({
+      path: '/Quotes',
+      collection: 'Quotes',
+      params,
+      headers: modifiedSinceHeaders(filters.since),
+      filters,
+      accessToken,
+      tenantId
     });
 
-    if (search.success && search.contacts.length > 0) {
-      return {
-        success: true,
-        contact: search.contacts[0],
-        created: false
-      };
-    }
+    return {
+      success: true,
+      quotes: records,
+      count: records.length,
+      pagination
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Get quote by ID
+ */
+async function getQuoteById(quoteId, accessToken, tenantId) {
+  try {
+    const response = await xeroRequest({
+      path: `/Quotes/${quoteId}`,
+      accessToken,
+      tenantId
+    });
 
-    const create = await createContact({ name: contactName }, accessToken, tenantId);
     return {
-      success: create.success,
-      contact: create.contact,
-      created: true
+      success: true,
+      quote: response.data.Quotes[0]
     };
   } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Create quote
+ */
+async function createQuote(quoteData, accessToken, tenantId, options = {}) {
+  try {
+    const xeroQuote = {
+      Contact: {
+        ContactID: quoteData.contact_id || null
+      },
+      Date: quoteData.date || new Date().toISOString().split('T')[0],
+      ExpiryDate: quoteData.expiry_date || undefined,
+      LineItems: toXeroLineItems(quoteData.line_items),
+      Status: quoteData.status || 'DRAFT',
+      Reference: quoteData.reference || '',
+      Title: quoteData.title || undefined,
+      Summary: quoteData.summary || undefined,
+      Terms: quoteData.terms || undefined,
+      CurrencyCode: quoteData.currency_code || 'MYR'
+    };
+
+    // Add contact name if no ID
+    if (!xeroQuote.Contact.ContactID && (quoteData.contact_name || quoteData.customer_name)) {
+      xeroQuote.Contact.Name = quoteData.contact_name || quoteData.customer_name;
+    }
+
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: '/Quotes',
+      data: { Quotes: [xeroQuote] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
+
     return {
-      success: false,
-      error: error.message
+      success: true,
+      quote: response.data.Quotes[0],
+      message: 'Quote created successfully'
     };
+  } catch (error) {
+    return xeroFailure(error);
   }
 }
 
-module.exports = {
-  // GET
-  getInvoices,
-  getInvoiceById,
-  getContacts,
-  getContactById,
-  getAccounts,
-  getItems,
-  getPayments,
+/**
+ * Update quote, including status changes (DRAFT -> SENT -> ACCEPTED/DECLINED)
+ *
+ * Xero needs the contact and date on every quote update, so they are
+ * taken from the current quote when not given.
+ */
+async function updateQuote(quoteId, quoteData, accessToken, tenantId, options = {}) {
+  try {
+    const current = await getQuoteById(quoteId, accessToken, tenantId);
+    if (!current.success) return current;
+
+    const status = quoteData.status ? String(quoteData.status).toUpperCase() : null;
+    if (status && status !== current.quote.Status &&
+        !(QUOTE_TRANSITIONS[current.quote.Status] || []).includes(status)) {
+      return localFailure(
+        'INVALID_STATUS_TRANSITION',
+        `A ${current.quote.Status} quote cannot be changed to ${status}`,
+        'status'
+      );
+    }
 
-  // POST (Create)
-  createInvoice,
-  createContact,
-  createAccount,
-  createItem,
-  createPayment,
+    const xeroQuote = {
+      QuoteID: quoteId,
+      Contact: quoteData.contact_id ? { ContactID: quoteData.contact_id } : { ContactID: current.quote.Contact.ContactID },
+      Date: quoteData.date || current.quote.DateString?.split('T')[0] || current.quote.Date,
+      ExpiryDate: quoteData.expiry_date,
+      LineItems: quoteData.line_items ? toXeroLineItems(quoteData.line_items) : undefined,
+      Status: status || undefined,
+      Reference: quoteData.reference,
+      Title: quoteData.title,
+      Summary: quoteData.summary,
+      Terms: quoteData.terms
+    };
 
-  // PUT (Update)
-  updateInvoice,
-  updateContact,
-  updateAccount,
-  updateItem,
+    const response = await xeroRequest({
+      method: 'POST',
+      path: `/Quotes/${quoteId}`,
+      data: { Quotes: [xeroQuote] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
 
-  // DELETE
-  deleteInvoice,
-  deleteContact,
-  deleteItem,
-  deletePayment,
+    return {
+      success: true,
+      quote: response.data.Quotes[0],
+      message: 'Quote updated successfully'
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Convert an accepted quote into a draft sales invoice and mark it INVOICED
+ *
+ * Quotes already INVOICED are refused, and the invoice's idempotency key is
+ * always derived from the quote, so a quote can only ever be turned into
+ * one invoice.
+ */
+async function convertQuoteToInvoice(quoteId, accessToken, tenantId) {
+  try {
+    const current = await getQuoteById(quoteId, accessToken, tenantId);
+    if (!current.success) return current;
+
+    const quote = current.quote;
+    if (quote.Status === 'INVOICED') {
+      return localFailure(
+        'QUOTE_ALREADY_INVOICED',
+        `Quote ${quote.QuoteNumber || quoteId} has already been converted to an invoice`,
+        'status'
+      );
+    }
+    if (quote.Status !== 'ACCEPTED') {
+      return localFailure(
+        'QUOTE_NOT_ACCEPTED',
+        `Only accepted quotes can be converted to an invoice (this one is ${quote.Status})`,
+        'status'
+      );
+    }
+
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: '/Invoices',
+      data: {
+        Invoices: [{
+          Type: 'ACCREC',
+          Contact: { ContactID: quote.Contact.ContactID },
+          Date: new Date().toISOString().split('T')[0],
+          LineItems: (quote.LineItems || []).map(({ LineItemID, ...item }) => item),
+          LineAmountTypes: quote.LineAmountTypes,
+          Reference: quote.QuoteNumber || quote.Reference || '',
+          CurrencyCode: quote.CurrencyCode,
+          Status: 'DRAFT'
+        }]
+      },
+      headers: idempotencyHeaders(deriveKey('convert_quote', tenantId, quoteId)),
+      accessToken,
+      tenantId
+    });
+    const invoice = response.data.Invoices[0];
+
+    const marked = await updateQuote(quoteId, { status: 'INVOICED' }, accessToken, tenantId);
+    if (!marked.success) {
+      console.error(`⚠️  Invoice ${invoice.InvoiceNumber} created but quote ${quoteId} not marked INVOICED:`, marked.error);
+    }
+
+    return {
+      success: true,
+      invoice,
+      quote: marked.success ? marked.quote : quote,
+      message: `Quote ${quote.QuoteNumber || quoteId} converted to invoice ${invoice.InvoiceNumber || invoice.InvoiceID}`
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+// ==========================================
+// CREDIT NOTES
+// ==========================================
+
+/**
+ * Credit note amounts in cents, so sums of allocations compare exactly
+ */
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * Get credit notes (paged like getInvoices)
+ */
+async function getCreditNotes(accessToken, tenantId, filters = {}) {
+  try {
+    // The CreditNotes endpoint only filters through a where clause
+    const where = [filters.where];
+    if (filters.status) where.push(`Status=="${filters.status}"`);
+    if (filters.type) where.push(`Type=="${filters.type}"`);
+    if (filters.contact_id) where.push(`Contact.ContactID==guid("${filters.contact_id}")`);
+
+    const params = listParams({ ...filters, where: where.filter(Boolean).join(' AND ') });
+
+    const { records, pagination } = await listRecords({
+      path: '/CreditNotes',
+      collection: 'CreditNotes',
+      params,
+      headers: modifiedSinceHeaders(filters.since),
+      filters,
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      creditNotes: records,
+      count: records.length,
+      pagination
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Get credit note by ID (includes its allocations and payments)
+ */
+async function getCreditNoteById(creditNoteId, accessToken, tenantId) {
+  try {
+    const response = await xeroRequest({
+      path: `/CreditNotes/${creditNoteId}`,
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      creditNote: response.data.CreditNotes[0]
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Create credit note (ACCRECCREDIT for customers, ACCPAYCREDIT for suppliers)
+ */
+async function createCreditNote(creditNoteData, accessToken, tenantId, options = {}) {
+  try {
+    const xeroCreditNote = {
+      Type: creditNoteData.type || 'ACCRECCREDIT',
+      Contact: {
+        ContactID: creditNoteData.contact_id || null
+      },
+      Date: creditNoteData.date || new Date().toISOString().split('T')[0],
+      LineItems: toXeroLineItems(creditNoteData.line_items),
+      LineAmountTypes: creditNoteData.line_amount_types || undefined,
+      Status: creditNoteData.status || 'DRAFT',
+      Reference: creditNoteData.reference || '',
+      CurrencyCode: creditNoteData.currency_code || 'MYR'
+    };
+
+    // Add contact name if no ID
+    if (!xeroCreditNote.Contact.ContactID && (creditNoteData.contact_name || creditNoteData.customer_name)) {
+      xeroCreditNote.Contact.Name = creditNoteData.contact_name || creditNoteData.customer_name;
+    }
+
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: '/CreditNotes',
+      data: { CreditNotes: [xeroCreditNote] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      creditNote: response.data.CreditNotes[0],
+      message: 'Credit note created successfully'
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Update credit note (only DRAFT and SUBMITTED ones can be edited in Xero;
+ * status AUTHORISED approves it)
+ */
+async function updateCreditNote(creditNoteId, creditNoteData, accessToken, tenantId, options = {}) {
+  try {
+    const xeroCreditNote = {
+      CreditNoteID: creditNoteId,
+      Contact: creditNoteData.contact_id ? { ContactID: creditNoteData.contact_id } : undefined,
+      Date: creditNoteData.date,
+      LineItems: creditNoteData.line_items ? toXeroLineItems(creditNoteData.line_items) : undefined,
+      Status: creditNoteData.status ? String(creditNoteData.status).toUpperCase() : undefined,
+      Reference: creditNoteData.reference
+    };
+
+    const response = await xeroRequest({
+      method: 'POST',
+      path: `/CreditNotes/${creditNoteId}`,
+      data: { CreditNotes: [xeroCreditNote] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      creditNote: response.data.CreditNotes[0],
+      message: 'Credit note updated successfully'
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Delete credit note
+ *
+ * Xero has no DELETE for credit notes: drafts are set to DELETED and
+ * authorised ones to VOIDED (Xero refuses while credit is allocated or refunded).
+ */
+async function deleteCreditNote(creditNoteId, accessToken, tenantId) {
+  try {
+    const current = await getCreditNoteById(creditNoteId, accessToken, tenantId);
+    if (!current.success) return current;
+
+    const status = current.creditNote.Status === 'AUTHORISED' ? 'VOIDED' : 'DELETED';
+
+    await xeroRequest({
+      method: 'POST',
+      path: `/CreditNotes/${creditNoteId}`,
+      data: { CreditNotes: [{ CreditNoteID: creditNoteId, Status: status }] },
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      status,
+      message: status === 'VOIDED' ? 'Credit note voided successfully' : 'Credit note deleted successfully'
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Check a credit note can give out `cents` more credit
+ *
+ * @returns {Object|null} - Failure, or null when it can
+ */
+function checkRemainingCredit(creditNote, cents, field) {
+  if (creditNote.Status !== 'AUTHORISED') {
+    return localFailure(
+      'CREDIT_NOTE_NOT_AUTHORISED',
+      `Only authorised credit notes can be allocated or refunded (this one is ${creditNote.Status})`,
+      'status'
+    );
+  }
+
+  if (cents > toCents(creditNote.RemainingCredit)) {
+    return localFailure(
+      'EXCEEDS_REMAINING_CREDIT',
+      `${(cents / 100).toFixed(2)} is more than the credit note's remaining credit of ${Number(creditNote.RemainingCredit).toFixed(2)}`,
+      field
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Allocate a credit note against one or more outstanding invoices
+ *
+ * @param {string} creditNoteId - Xero credit note ID
+ * @param {Array} allocations - [{ invoice_id, amount, date }]
+ * @returns {Promise<Object>} - { success, allocations, remainingCredit }
+ */
+async function allocateCreditNote(creditNoteId, allocations, accessToken, tenantId, options = {}) {
+  try {
+    if (!Array.isArray(allocations) || allocations.length === 0) {
+      return localFailure('REQUIRED', 'At least one allocation ({ invoice_id, amount }) is required', 'allocations');
+    }
+
+    for (const [index, allocation] of allocations.entries()) {
+      if (!allocation.invoice_id) {
+        return localFailure('REQUIRED', 'Invoice is required', `allocations[${index}].invoice_id`);
+      }
+      if (!(toCents(allocation.amount) > 0)) {
+        return localFailure('INVALID_AMOUNT', 'Amount must be greater than 0', `allocations[${index}].amount`);
+      }
+    }
+
+    const current = await getCreditNoteById(creditNoteId, accessToken, tenantId);
+    if (!current.success) return current;
+
+    const total = allocations.reduce((sum, allocation) => sum + toCents(allocation.amount), 0);
+    const rejected = checkRemainingCredit(current.creditNote, total, 'allocations');
+    if (rejected) return rejected;
+
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: `/CreditNotes/${creditNoteId}/Allocations`,
+      data: {
+        Allocations: allocations.map(allocation => ({
+          Invoice: { InvoiceID: allocation.invoice_id },
+          Amount: toCents(allocation.amount) / 100,
+          Date: allocation.date || new Date().toISOString().split('T')[0]
+        }))
+      },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      creditNote: current.creditNote,
+      allocations: response.data.Allocations,
+      allocated: total / 100,
+      remainingCredit: (toCents(current.creditNote.RemainingCredit) - total) / 100,
+      message: 'Credit note allocated successfully'
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Refund (part of) a credit note's remaining credit as cash
+ *
+ * @param {string} creditNoteId - Xero credit note ID
+ * @param {Object} refundData - { account_code (bank account), amount, date, reference }
+ */
+async function refundCreditNote(creditNoteId, refundData, accessToken, tenantId, options = {}) {
+  try {
+    if (!refundData.account_code) {
+      return localFailure('REQUIRED', 'The bank account code to refund from is required', 'account_code');
+    }
+
+    const current = await getCreditNoteById(creditNoteId, accessToken, tenantId);
+    if (!current.success) return current;
+
+    // Without an amount the whole remaining credit is refunded
+    const amount = refundData.amount ?? current.creditNote.RemainingCredit;
+    if (!(toCents(amount) > 0)) {
+      return localFailure('INVALID_AMOUNT', 'Amount must be greater than 0', 'amount');
+    }
+
+    const rejected = checkRemainingCredit(current.creditNote, toCents(amount), 'amount');
+    if (rejected) return rejected;
+
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: '/Payments',
+      data: {
+        Payments: [{
+          CreditNote: { CreditNoteID: creditNoteId },
+          Account: { Code: refundData.account_code },
+          Date: refundData.date || new Date().toISOString().split('T')[0],
+          Amount: toCents(amount) / 100,
+          Reference: refundData.reference || ''
+        }]
+      },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      creditNote: current.creditNote,
+      payment: response.data.Payments[0],
+      message: 'Credit note refunded successfully'
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+// ==========================================
+// BANK TRANSACTIONS (Spend / Receive Money)
+// ==========================================
+
+const BANK_TRANSACTION_TYPES = [
+  'SPEND', 'RECEIVE',
+  'SPEND-PREPAYMENT', 'RECEIVE-PREPAYMENT',
+  'SPEND-OVERPAYMENT', 'RECEIVE-OVERPAYMENT'
+];
+
+/**
+ * Pick a bank account from the chart of accounts by ID, code, account
+ * number or (part of) its name, e.g. "Maybank"
+ *
+ * With no reference, the organisation's only bank account is used.
+ *
+ * @param {string} reference - What the user called the account
+ * @param {Array} accounts - From getAccounts()
+ * @param {string} field - Field to report failures on
+ * @returns {Object} - { account } or { failure }
+ */
+function findBankAccount(reference, accounts, field = 'bank_account') {
+  const banks = accounts.filter(account => account.Type === 'BANK' && account.Status !== 'ARCHIVED');
+  const names = banks.map(account => account.Name).join(', ') || 'none';
+
+  const wanted = reference ? String(reference).trim().toLowerCase() : null;
+  const isExactly = account => [account.AccountID, account.Code, account.BankAccountNumber, account.Name]
+    .some(value => value && String(value).toLowerCase() === wanted);
+
+  let matches = banks;
+  if (wanted) {
+    const exact = banks.filter(isExactly);
+    matches = exact.length > 0 ? exact : banks.filter(account => account.Name.toLowerCase().includes(wanted));
+  }
+
+  if (matches.length === 1) return { account: matches[0] };
+
+  if (!reference) {
+    return { failure: localFailure('REQUIRED', `Which bank account? Available: ${names}`, field) };
+  }
+
+  const other = matches.length === 0 && accounts.find(isExactly);
+  if (other) {
+    return {
+      failure: other.Type === 'BANK'
+        ? localFailure('BANK_ACCOUNT_ARCHIVED', `Bank account ${other.Name} is archived`, field)
+        : localFailure('NOT_A_BANK_ACCOUNT', `${other.Name} is not a bank account (its type is ${other.Type})`, field)
+    };
+  }
+  if (matches.length === 0) {
+    return { failure: localFailure('BANK_ACCOUNT_NOT_FOUND', `No bank account matches "${reference}". Available: ${names}`, field) };
+  }
+  return {
+    failure: localFailure(
+      'AMBIGUOUS_BANK_ACCOUNT',
+      `"${reference}" matches several bank accounts: ${matches.map(account => account.Name).join(', ')}`,
+      field
+    )
+  };
+}
+
+/**
+ * Check every line item's account code against the chart of accounts
+ *
+ * @param {Array} lineItems - Chat/REST (snake_case) or Xero line items
+ * @param {Array} accounts - From getAccounts()
+ * @param {boolean} required - Whether every line needs an account code
+ * @returns {Object|null} - Failure for the first bad line, or null
+ */
+function checkLineAccounts(lineItems, accounts, required = true) {
+  for (const [index, item] of lineItems.entries()) {
+    const field = `line_items[${index}].account_code`;
+    const code = item.account_code ?? item.AccountCode;
+
+    if (!code) {
+      if (!required) continue;
+      return localFailure('REQUIRED', 'Account code is required', field);
+    }
+
+    const account = accounts.find(candidate => candidate.Code === String(code));
+    if (!account) {
+      return localFailure('INVALID_ACCOUNT_CODE', `Account code ${code} is not in the chart of accounts`, field);
+    }
+    if (account.Status === 'ARCHIVED') {
+      return localFailure('INVALID_ACCOUNT_CODE', `Account ${code} (${account.Name}) is archived`, field);
+    }
+    if (account.Type === 'BANK') {
+      return localFailure(
+        'INVALID_ACCOUNT_CODE',
+        `Account ${code} (${account.Name}) is a bank account; use a bank transfer to move money between bank accounts`,
+        field
+      );
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get bank transactions (paged like getInvoices)
+ */
+async function getBankTransactions(accessToken, tenantId, filters = {}) {
+  try {
+    // The BankTransactions endpoint only filters through a where clause
+    const where = [filters.where];
+    if (filters.type) where.push(`Type=="${filters.type}"`);
+    if (filters.status) where.push(`Status=="${filters.status}"`);
+    if (filters.bank_account_id) where.push(`BankAccount.AccountID==guid("${filters.bank_account_id}")`);
+    if (filters.contact_id) where.push(`Contact.ContactID==guid("${filters.contact_id}")`);
+    if (filters.date_from) where.push(`Date>=DateTime(${filters.date_from.split('-').join(',')})`);
+    if (filters.date_to) where.push(`Date<=DateTime(${filters.date_to.split('-').join(',')})`);
+
+    const params = listParams({ ...filters, where: where.filter(Boolean).join(' AND ') });
+
+    const { records, pagination } = await listRecords({
+      path: '/BankTransactions',
+      collection: 'BankTransactions',
+      params,
+      headers: modifiedSinceHeaders(filters.since),
+      filters,
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      bankTransactions: records,
+      count: records.length,
+      pagination
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Get bank transaction by ID
+ */
+async function getBankTransactionById(bankTransactionId, accessToken, tenantId) {
+  try {
+    const response = await xeroRequest({
+      path: `/BankTransactions/${bankTransactionId}`,
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      bankTransaction: response.data.BankTransactions[0]
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Create bank transaction (spend or receive money)
+ *
+ * The bank account is picked from the chart of accounts (bank_account_id,
+ * bank_account_code or bank_account name) and every line's account code
+ * must exist there. Overpayment lines go to accounts receivable/payable,
+ * so they need no account code.
+ */
+async function createBankTransaction(transactionData, accessToken, tenantId, options = {}) {
+  try {
+    const type = String(transactionData.type || 'SPEND').toUpperCase();
+    if (!BANK_TRANSACTION_TYPES.includes(type)) {
+      return localFailure('INVALID_TYPE', `Type must be one of ${BANK_TRANSACTION_TYPES.join(', ')}`, 'type');
+    }
+
+    const contactName = transactionData.contact_name || transactionData.customer_name;
+    if (!transactionData.contact_id && !contactName) {
+      return localFailure('REQUIRED', 'Who was paid or who paid (contact) is required', 'contact');
+    }
+
+    const lineItems = transactionData.line_items || [];
+    if (lineItems.length === 0) {
+      return localFailure('MISSING_LINE_ITEMS', 'At least one line item is required', 'line_items');
+    }
+
+    const chart = await getAccounts(accessToken, tenantId);
+    if (!chart.success) return chart;
+
+    const bank = findBankAccount(
+      transactionData.bank_account_id || transactionData.bank_account_code || transactionData.bank_account,
+      chart.accounts
+    );
+    if (bank.failure) return bank.failure;
+
+    const lineFailure = checkLineAccounts(lineItems, chart.accounts, !type.endsWith('-OVERPAYMENT'));
+    if (lineFailure) return lineFailure;
+
+    const xeroTransaction = {
+      Type: type,
+      Contact: transactionData.contact_id ? { ContactID: transactionData.contact_id } : { Name: contactName },
+      BankAccount: { AccountID: bank.account.AccountID },
+      Date: transactionData.date || new Date().toISOString().split('T')[0],
+      LineItems: toXeroLineItems(lineItems),
+      LineAmountTypes: transactionData.line_amount_types || undefined,
+      Reference: transactionData.reference || '',
+      CurrencyCode: transactionData.currency_code || undefined,
+      CurrencyRate: transactionData.currency_rate || undefined
+    };
+
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: '/BankTransactions',
+      data: { BankTransactions: [xeroTransaction] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      bankTransaction: response.data.BankTransactions[0],
+      bankAccount: bank.account,
+      message: 'Bank transaction created successfully'
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Update bank transaction (Xero refuses reconciled ones; status DELETED removes it)
+ */
+async function updateBankTransaction(bankTransactionId, transactionData, accessToken, tenantId, options = {}) {
+  try {
+    const bankReference = transactionData.bank_account_id || transactionData.bank_account_code || transactionData.bank_account;
+    let bankAccount;
+
+    if (bankReference || transactionData.line_items) {
+      const chart = await getAccounts(accessToken, tenantId);
+      if (!chart.success) return chart;
+
+      if (bankReference) {
+        const bank = findBankAccount(bankReference, chart.accounts);
+        if (bank.failure) return bank.failure;
+        bankAccount = bank.account;
+      }
+
+      // The type isn't known here, so only the codes given are checked
+      if (transactionData.line_items) {
+        const lineFailure = checkLineAccounts(transactionData.line_items, chart.accounts, false);
+        if (lineFailure) return lineFailure;
+      }
+    }
+
+    const xeroTransaction = {
+      BankTransactionID: bankTransactionId,
+      Contact: transactionData.contact_id ? { ContactID: transactionData.contact_id } : undefined,
+      BankAccount: bankAccount ? { AccountID: bankAccount.AccountID } : undefined,
+      Date: transactionData.date,
+      LineItems: transactionData.line_items ? toXeroLineItems(transactionData.line_items) : undefined,
+      Reference: transactionData.reference,
+      Status: transactionData.status ? String(transactionData.status).toUpperCase() : undefined
+    };
+
+    const response = await xeroRequest({
+      method: 'POST',
+      path: `/BankTransactions/${bankTransactionId}`,
+      data: { BankTransactions: [xeroTransaction] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      bankTransaction: response.data.BankTransactions[0],
+      message: 'Bank transaction updated successfully'
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+// ==========================================
+// BANK TRANSFERS
+// ==========================================
+
+/**
+ * Get bank transfers (Xero doesn't page them)
+ * filters: from_bank_account_id, to_bank_account_id, date_from, date_to, where, order, since
+ */
+async function getBankTransfers(accessToken, tenantId, filters = {}) {
+  try {
+    const where = [filters.where];
+    if (filters.from_bank_account_id) where.push(`FromBankAccount.AccountID==guid("${filters.from_bank_account_id}")`);
+    if (filters.to_bank_account_id) where.push(`ToBankAccount.AccountID==guid("${filters.to_bank_account_id}")`);
+    if (filters.date_from) where.push(`Date>=DateTime(${filters.date_from.split('-').join(',')})`);
+    if (filters.date_to) where.push(`Date<=DateTime(${filters.date_to.split('-').join(',')})`);
+
+    const response = await xeroRequest({
+      path: '/BankTransfers',
+      params: listParams({ ...filters, where: where.filter(Boolean).join(' AND ') }),
+      headers: modifiedSinceHeaders(filters.since),
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      bankTransfers: response.data.BankTransfers || [],
+      count: response.data.BankTransfers?.length || 0
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Transfer money between two bank accounts
+ *
+ * Both accounts are picked from the chart of accounts like
+ * createBankTransaction's. Accounts in different currencies need a
+ * currency_rate (units of the "to" currency per unit of the "from" one).
+ *
+ * @param {Object} transferData - { from_bank_account, to_bank_account, amount, date, reference, currency_rate }
+ */
+async function createBankTransfer(transferData, accessToken, tenantId, options = {}) {
+  try {
+    if (!(toCents(transferData.amount) > 0)) {
+      return localFailure('INVALID_AMOUNT', 'Amount must be greater than 0', 'amount');
+    }
+
+    const chart = await getAccounts(accessToken, tenantId);
+    if (!chart.success) return chart;
+
+    const from = findBankAccount(
+      transferData.from_bank_account_id || transferData.from_bank_account,
+      chart.accounts,
+      'from_bank_account'
+    );
+    if (from.failure) return from.failure;
+
+    const to = findBankAccount(
+      transferData.to_bank_account_id || transferData.to_bank_account,
+      chart.accounts,
+      'to_bank_account'
+    );
+    if (to.failure) return to.failure;
+
+    if (from.account.AccountID === to.account.AccountID) {
+      return localFailure('SAME_BANK_ACCOUNT', `Cannot transfer from ${from.account.Name} to itself`, 'to_bank_account');
+    }
+
+    // Bank accounts without a currency are in the organisation's base currency,
+    // which only needs looking up when the other account has one
+    let baseCurrency = null;
+    if (Boolean(from.account.CurrencyCode) !== Boolean(to.account.CurrencyCode)) {
+      const organisation = await getOrganization(accessToken, tenantId);
+      if (!organisation.success) return organisation;
+      baseCurrency = organisation.organization.BaseCurrency;
+    }
+
+    const fromCurrency = from.account.CurrencyCode || baseCurrency;
+    const toCurrency = to.account.CurrencyCode || baseCurrency;
+    if (fromCurrency !== toCurrency && !transferData.currency_rate) {
+      return localFailure(
+        'CURRENCY_RATE_REQUIRED',
+        `${from.account.Name} is in ${fromCurrency} and ${to.account.Name} in ${toCurrency}; give the exchange rate as currency_rate`,
+        'currency_rate'
+      );
+    }
+
+    const xeroTransfer = {
+      FromBankAccount: { AccountID: from.account.AccountID },
+      ToBankAccount: { AccountID: to.account.AccountID },
+      Amount: toCents(transferData.amount) / 100,
+      Date: transferData.date || new Date().toISOString().split('T')[0],
+      Reference: transferData.reference || undefined,
+      CurrencyRate: transferData.currency_rate || undefined
+    };
+
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: '/BankTransfers',
+      data: { BankTransfers: [xeroTransfer] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      bankTransfer: response.data.BankTransfers[0],
+      fromBankAccount: from.account,
+      toBankAccount: to.account,
+      message: 'Bank transfer created successfully'
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+// ==========================================
+// MANUAL JOURNALS
+// ==========================================
+
+// Status changes Xero accepts for a manual journal
+const MANUAL_JOURNAL_TRANSITIONS = {
+  DRAFT: ['POSTED', 'DELETED'],
+  POSTED: ['VOIDED'],
+  VOIDED: [],
+  DELETED: []
+};
+
+/**
+ * Journal lines from chat/REST input in Xero's format: a positive
+ * line_amount (or debit) is a debit, a negative one (or credit) a credit;
+ * lines already in Xero's format are passed through
+ */
+function toXeroJournalLines(lines = []) {
+  return lines.map(line => (line.LineAmount !== undefined ? line : {
+    AccountCode: line.account_code,
+    LineAmount: toCents(line.line_amount ?? ((line.debit || 0) - (line.credit || 0))) / 100,
+    Description: line.description,
+    TaxType: line.tax_type
+  }));
+}
+
+/**
+ * Check journal lines (Xero's format) before they are sent: every line
+ * needs an account and an amount, and debits must equal credits
+ *
+ * @returns {Object|null} - Failure, or null when the journal balances
+ */
+function checkJournalBalance(lines) {
+  if (lines.length < 2) {
+    return localFailure('REQUIRED', 'A journal needs at least one debit and one credit line', 'journal_lines');
+  }
+
+  for (const [index, line] of lines.entries()) {
+    if (!line.AccountCode) {
+      return localFailure('REQUIRED', 'Account code is required', `journal_lines[${index}].account_code`);
+    }
+    if (!toCents(line.LineAmount)) {
+      return localFailure('INVALID_AMOUNT', 'Amount must be a non-zero debit or credit', `journal_lines[${index}].line_amount`);
+    }
+  }
+
+  const debits = lines.reduce((sum, line) => sum + Math.max(toCents(line.LineAmount), 0), 0);
+  const credits = lines.reduce((sum, line) => sum - Math.min(toCents(line.LineAmount), 0), 0);
+  if (debits !== credits) {
+    return localFailure(
+      'JOURNAL_NOT_BALANCED',
+      `Debits (${(debits / 100).toFixed(2)}) and credits (${(credits / 100).toFixed(2)}) must be equal`,
+      'journal_lines'
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Get manual journals (paged like getInvoices)
+ */
+async function getManualJournals(accessToken, tenantId, filters = {}) {
+  try {
+    const where = [filters.where];
+    if (filters.status) where.push(`Status=="${filters.status}"`);
+    if (filters.date_from) where.push(`Date>=DateTime(${filters.date_from.split('-').join(',')})`);
+    if (filters.date_to) where.push(`Date<=DateTime(${filters.date_to.split('-').join(',')})`);
+
+    const params = listParams({ ...filters, where: where.filter(Boolean).join(' AND ') });
+
+    const { records, pagination } = await listRecords({
+      path: '/ManualJournals',
+      collection: 'ManualJournals',
+      params,
+      headers: modifiedSinceHeaders(filters.since),
+      filters,
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      manualJournals: records,
+      count: records.length,
+      pagination
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Get manual journal by ID
+ */
+async function getManualJournalById(manualJournalId, accessToken, tenantId) {
+  try {
+    const response = await xeroRequest({
+      path: `/ManualJournals/${manualJournalId}`,
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      manualJournal: response.data.ManualJournals[0]
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Create manual journal (DRAFT unless a status is given)
+ *
+ * @param {Object} journalData - { narration, date, journal_lines: [{ account_code, line_amount | debit | credit, description }], status }
+ */
+async function createManualJournal(journalData, accessToken, tenantId, options = {}) {
+  try {
+    if (!journalData.narration) {
+      return localFailure('REQUIRED', 'A narration (what the journal is for) is required', 'narration');
+    }
+
+    const journalLines = toXeroJournalLines(journalData.journal_lines);
+    const unbalanced = checkJournalBalance(journalLines);
+    if (unbalanced) return unbalanced;
+
+    const xeroJournal = {
+      Narration: journalData.narration,
+      Date: journalData.date || new Date().toISOString().split('T')[0],
+      JournalLines: journalLines,
+      LineAmountTypes: journalData.line_amount_types || 'NoTax',
+      Status: journalData.status ? String(journalData.status).toUpperCase() : 'DRAFT',
+      ShowOnCashBasisReports: journalData.show_on_cash_basis_reports
+    };
+
+    const response = await xeroRequest({
+      method: 'PUT',
+      path: '/ManualJournals',
+      data: { ManualJournals: [xeroJournal] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      manualJournal: response.data.ManualJournals[0],
+      message: 'Manual journal created successfully'
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+/**
+ * Update manual journal, including posting a draft (status POSTED) or
+ * voiding a posted one (status VOIDED)
+ *
+ * Xero needs the narration and lines on every update, so they are taken
+ * from the current journal when not given.
+ */
+async function updateManualJournal(manualJournalId, journalData, accessToken, tenantId, options = {}) {
+  try {
+    const current = await getManualJournalById(manualJournalId, accessToken, tenantId);
+    if (!current.success) return current;
+
+    const journal = current.manualJournal;
+    const status = journalData.status ? String(journalData.status).toUpperCase() : null;
+    if (status && status !== journal.Status &&
+        !(MANUAL_JOURNAL_TRANSITIONS[journal.Status] || []).includes(status)) {
+      return localFailure(
+        'INVALID_STATUS_TRANSITION',
+        `A ${journal.Status} manual journal cannot be changed to ${status}`,
+        'status'
+      );
+    }
+
+    const journalLines = journalData.journal_lines
+      ? toXeroJournalLines(journalData.journal_lines)
+      : journal.JournalLines.map(({ AccountCode, LineAmount, Description, TaxType }) => ({ AccountCode, LineAmount, Description, TaxType }));
+    const unbalanced = checkJournalBalance(journalLines);
+    if (unbalanced) return unbalanced;
+
+    const xeroJournal = {
+      ManualJournalID: manualJournalId,
+      Narration: journalData.narration || journal.Narration,
+      Date: journalData.date,
+      JournalLines: journalLines,
+      LineAmountTypes: journalData.line_amount_types || journal.LineAmountTypes,
+      Status: status || undefined
+    };
+
+    const response = await xeroRequest({
+      method: 'POST',
+      path: `/ManualJournals/${manualJournalId}`,
+      data: { ManualJournals: [xeroJournal] },
+      headers: idempotencyHeaders(options.idempotencyKey),
+      accessToken,
+      tenantId
+    });
+
+    return {
+      success: true,
+      manualJournal: response.data.ManualJournals[0],
+      message: 'Manual journal updated successfully'
+    };
+  } catch (error) {
+    return xeroFailure(error);
+  }
+}
+
+// ==========================================
+// UTILITY FUNCTIONS
+// ==========================================
+
+/**
+ * Get or create contact
+ */
+async function getOrCreateContact(contactName, accessToken, tenantId) {
+  try {
+    const search = await getContacts(accessToken, tenantId, {
+      where: `Name=="${contactName}"`
+    });
+
+    if (search.success && search.contacts.length > 0) {
+      return {
+        success: true,
+        contact: search.contacts[0],
+        created: false
+      };
+    }
+
+    const create = await createContact({ name: contactName }, accessToken, tenantId);
+    if (!create.success) return create;
+
+    return {
+      success: create.success,
+      contact: create.contact,
+      created: true
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  // GET
+  getOrganization,
+  getInvoices,
+  getInvoiceById,
+  getContacts,
+  getContactById,
+  getAccounts,
+  getItems,
+  getPayments,
+
+  // POST (Create)
+  createInvoice,
+  createContact,
+  createAccount,
+  createItem,
+  createPayment,
+
+  // PUT (Update)
+  updateInvoice,
+  updateContact,
+  updateAccount,
+  updateItem,
+
+  // DELETE
+  deleteInvoice,
+  deleteContact,
+  deleteItem,
+  deletePayment,
+
+  // Quotes
+  QUOTE_TRANSITIONS,
+  getQuotes,
+  getQuoteById,
+  createQuote,
+  updateQuote,
+  convertQuoteToInvoice,
+
+  // Credit notes
+  getCreditNotes,
+  getCreditNoteById,
+  createCreditNote,
+  updateCreditNote,
+  deleteCreditNote,
+  allocateCreditNote,
+  refundCreditNote,
+
+  // Bank transactions
+  BANK_TRANSACTION_TYPES,
+  getBankTransactions,
+  getBankTransactionById,
+  createBankTransaction,
+  updateBankTransaction,
+
+  // Bank transfers
+  getBankTransfers,
+  createBankTransfer,
+
+  // Manual journals
+  MANUAL_JOURNAL_TRANSITIONS,
+  getManualJournals,
+  getManualJournalById,
+  createManualJournal,
+  updateManualJournal,
 
   // Utility
-  getOrCreateContact
+  getOrCreateContact,
+  iteratePages
 };